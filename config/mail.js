@@ -0,0 +1,59 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Outgoing mail transports
+ *
+ * A transport is anything with nodemailer's sendMail(message) -> Promise<info>.
+ * The active transport is selected with MAIL_TRANSPORT (default: "smtp" if SMTP_HOST
+ * is set, otherwise "log", which only prints the messages to the console).
+ */
+
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+  }),
+  log: () => ({
+    async sendMail(message) {
+      console.log(`✉️  Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: `log-${Date.now()}`, accepted: [message.to], rejected: [] };
+    }
+  }),
+};
+
+let transportInstance = null;
+
+export function registerMailTransport(name, factory) {
+  transports[name] = factory;
+  transportInstance = null;
+}
+
+// Lazy initialization - transport is created on first access (env is loaded by then)
+export function getMailTransport() {
+  if (transportInstance) {
+    return transportInstance;
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log');
+  const factory = transports[transportName];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+  }
+
+  transportInstance = factory();
+  console.log(`✉️  Mail transport: ${transportName}`);
+  return transportInstance;
+}
+
+/**
+ * Send one mail with the configured sender address.
+ * message: { to, subject, text, html? }
+ */
+export async function sendMail(message) {
+  return getMailTransport().sendMail({
+    from: process.env.MAIL_FROM || 'TalentBinder <no-reply@talentbinder.local>',
+    ...message,
+  });
+}
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Document storage drivers
+ *
+ * A driver implements:
+ *   save(key, buffer, { mimeType }) -> Promise<void>
+ *   createReadStream(key)            -> Readable
+ *   remove(key)                      -> Promise<void>  (must not fail for missing files)
+ *
+ * The active driver is selected with DOCUMENT_STORAGE (default: "local").
+ */
+
+class LocalDiskStorage {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    // Never allow keys to escape the storage root
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+const drivers = {
+  local: () => new LocalDiskStorage(process.env.DOCUMENT_STORAGE_PATH || path.resolve(__dirname, '..', 'uploads')),
+};
+
+let storageInstance = null;
+
+export function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+  storageInstance = null;
+}
+
+// Lazy initialization - driver is created on first access (env is loaded by then)
+export function getStorage() {
+  if (storageInstance) {
+    return storageInstance;
+  }
+
+  const driverName = process.env.DOCUMENT_STORAGE || 'local';
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Unknown DOCUMENT_STORAGE driver: ${driverName}`);
+  }
+
+  storageInstance = factory();
+  console.log(`📎 Document storage: ${driverName}`);
+  return storageInstance;
+}
+
+/**
+ * Remove several stored files, logging instead of failing on single errors.
+ */
+export async function removeStoredFiles(keys) {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.error(`Stored file ${key} could not be removed:`, err);
+    }
+  }
+}
+
+export function createStorageKey(candidateId, originalName) {
+  const extension = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `candidates/${candidateId}/${crypto.randomUUID()}${extension}`;
+}
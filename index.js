@@ -47,15 +47,31 @@ console.log(`🔐 LDAP: ${process.env.LDAP_URL}`);
 // NOW import routes (after env is loaded!)
 import authRouter from "./routes/auth.js"; // Dual authentication (LDAP + Local DB)
 import eventsRouter from "./routes/events.js";
+import eventSessionsRouter from "./routes/eventSessions.js";
+import eventSeriesRouter from "./routes/eventSeries.js";
+import eventTypesRouter from "./routes/eventTypes.js";
 import candidatesRouter from "./routes/candidates.js";
+import candidateDocumentsRouter from "./routes/candidateDocuments.js";
+import candidateNotesRouter from "./routes/candidateNotes.js";
 import accountRouter from "./routes/account.js";
 import lookupRouter from "./routes/lookup.js";
 import loggingRouter from "./routes/logging.js";
+import pipelinesRouter from "./routes/pipelines.js";
+import privacyRouter from "./routes/privacy.js";
+import publicRouter from "./routes/public.js";
+import scorecardsRouter from "./routes/scorecards.js";
 
 import { requestLogger } from "./middleware/logging.js";
+import { startNoShowSchedule } from "./utils/checkin.js";
+import { startInvitationSchedule } from "./utils/invitations.js";
+import { startRetentionSchedule } from "./utils/retention.js";
 
 const app = express();
 
+// Behind a reverse proxy (Nginx), req.ip should be the client address, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 const allowedOrigins = [
   "http://localhost:3022",
@@ -81,11 +97,24 @@ app.get("/api/data", (req, res) => {
 });
 
 app.use("/api/auth", authRouter);
+app.use("/api/events/:eventId/sessions", eventSessionsRouter);
+app.use("/api/events/:eventId/series", eventSeriesRouter);
 app.use("/api/events", eventsRouter);
+app.use("/api/event-types", eventTypesRouter);
+app.use("/api/candidates/:id/documents", candidateDocumentsRouter);
+app.use("/api/candidates/:id/notes", candidateNotesRouter);
 app.use("/api/candidates", candidatesRouter);
 app.use("/api/lookups", lookupRouter);
 app.use("/api/users", accountRouter);
 app.use("/api/logging", loggingRouter);
+app.use("/api/pipelines", pipelinesRouter);
+app.use("/api/privacy", privacyRouter);
+app.use("/api/public", publicRouter);
+app.use("/api/scorecards", scorecardsRouter);
 
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => console.log(`Server läuft auf Port ${PORT}`));
+
+startRetentionSchedule();
+startInvitationSchedule();
+startNoShowSchedule();
@@ -19,8 +19,12 @@ export function authRequired(req, res, next) {
     }
 }
 
+export function isAdmin(user) {
+    return user?.role === 'berufsbilder' || user?.role === 'developer';
+}
+
 export function checkAdmin(req, res, next) {
-    if (req.user?.role !== 'berufsbilder' || req.user?.role !== 'developer') {
+    if (!isAdmin(req.user)) {
         return res.status(403).json({ success: false, message: "Zugriff verweigert. Nur Administratoren." });
     }
     next();
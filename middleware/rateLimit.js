@@ -0,0 +1,35 @@
+// In-memory rate limiting for public endpoints (single process, counters reset on restart)
+
+/**
+ * Allow at most `max` requests per key within `windowMs`.
+ * `max` may be a function, so limits from env are read at request time.
+ * The key defaults to the client IP; requests over the limit get a 429.
+ */
+export function rateLimit({ windowMs, max, keyFn = (req) => req.ip, message = "Zu viele Anfragen. Bitte versuchen Sie es später erneut." }) {
+  const hits = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyFn(req);
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+    if (entry.count > (typeof max === 'function' ? max() : max)) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, message });
+    }
+    next();
+  };
+}
@@ -0,0 +1,5 @@
+-- Birth date for candidates, used for duplicate detection when no email is known
+ALTER TABLE Candidate ADD COLUMN IF NOT EXISTS birth_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_candidate_birth_date ON Candidate (birth_date);
+CREATE INDEX IF NOT EXISTS idx_candidate_lower_email ON Candidate (LOWER(email));
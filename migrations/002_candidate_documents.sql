@@ -0,0 +1,15 @@
+-- Document attachments (CV, school reports, cover letters) for candidates
+-- The file content lives in the configured document storage, see config/storage.js
+CREATE TABLE IF NOT EXISTS Candidate_Document (
+    document_id SERIAL PRIMARY KEY,
+    candidate_id INT NOT NULL REFERENCES Candidate(candidate_id) ON DELETE CASCADE,
+    document_type VARCHAR(32) NOT NULL DEFAULT 'other',  -- cv, school_report, cover_letter, other
+    file_name TEXT NOT NULL,
+    mime_type VARCHAR(128) NOT NULL,
+    size_bytes INT NOT NULL,
+    storage_key TEXT NOT NULL UNIQUE,
+    uploaded_by INT REFERENCES Account(account_id) ON DELETE SET NULL,
+    uploaded_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_candidate_document_candidate ON Candidate_Document (candidate_id);
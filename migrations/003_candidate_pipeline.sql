@@ -0,0 +1,61 @@
+-- Configurable candidate pipeline per apprenticeship with transition rules and status history
+-- Stages with apprenticeship_id NULL form the default pipeline used by every apprenticeship
+-- without its own stages. Candidate.candidate_status holds the stage name.
+CREATE TABLE IF NOT EXISTS Pipeline_Stage (
+    stage_id SERIAL PRIMARY KEY,
+    apprenticeship_id INT REFERENCES Apprenticeship(apprenticeship_id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL,
+    position INT NOT NULL,
+    is_final BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipeline_stage_name
+    ON Pipeline_Stage (COALESCE(apprenticeship_id, 0), name);
+
+CREATE TABLE IF NOT EXISTS Pipeline_Transition (
+    from_stage_id INT NOT NULL REFERENCES Pipeline_Stage(stage_id) ON DELETE CASCADE,
+    to_stage_id INT NOT NULL REFERENCES Pipeline_Stage(stage_id) ON DELETE CASCADE,
+    PRIMARY KEY (from_stage_id, to_stage_id)
+);
+
+CREATE TABLE IF NOT EXISTS Candidate_Status_History (
+    history_id SERIAL PRIMARY KEY,
+    candidate_id INT NOT NULL REFERENCES Candidate(candidate_id) ON DELETE CASCADE,
+    from_status VARCHAR(64),
+    to_status VARCHAR(64) NOT NULL,
+    comment TEXT,
+    changed_by INT REFERENCES Account(account_id) ON DELETE SET NULL,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_candidate_status_history_candidate
+    ON Candidate_Status_History (candidate_id, changed_at);
+
+-- Default pipeline: Interessent → Schnupperlehre → Eignungstest → Angebot → Vertrag / Absage
+INSERT INTO Pipeline_Stage (apprenticeship_id, name, position, is_final)
+SELECT NULL, v.name, v.position, v.is_final
+FROM (VALUES
+    ('Interessent', 1, FALSE),
+    ('Schnupperlehre', 2, FALSE),
+    ('Eignungstest', 3, FALSE),
+    ('Angebot', 4, FALSE),
+    ('Vertrag', 5, TRUE),
+    ('Absage', 6, TRUE)
+) AS v(name, position, is_final)
+WHERE NOT EXISTS (SELECT 1 FROM Pipeline_Stage WHERE apprenticeship_id IS NULL);
+
+INSERT INTO Pipeline_Transition (from_stage_id, to_stage_id)
+SELECT f.stage_id, t.stage_id
+FROM (VALUES
+    ('Interessent', 'Schnupperlehre'),
+    ('Interessent', 'Absage'),
+    ('Schnupperlehre', 'Eignungstest'),
+    ('Schnupperlehre', 'Absage'),
+    ('Eignungstest', 'Angebot'),
+    ('Eignungstest', 'Absage'),
+    ('Angebot', 'Vertrag'),
+    ('Angebot', 'Absage')
+) AS v(from_name, to_name)
+JOIN Pipeline_Stage f ON f.apprenticeship_id IS NULL AND f.name = v.from_name
+JOIN Pipeline_Stage t ON t.apprenticeship_id IS NULL AND t.name = v.to_name
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,33 @@
+-- Internal notes (with colleague mentions) and free-form tags on candidates
+CREATE TABLE IF NOT EXISTS Candidate_Note (
+    note_id SERIAL PRIMARY KEY,
+    candidate_id INT NOT NULL REFERENCES Candidate(candidate_id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    created_by INT REFERENCES Account(account_id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_candidate_note_candidate ON Candidate_Note (candidate_id, created_at);
+
+CREATE TABLE IF NOT EXISTS Candidate_Note_Mention (
+    note_id INT NOT NULL REFERENCES Candidate_Note(note_id) ON DELETE CASCADE,
+    account_id INT NOT NULL REFERENCES Account(account_id) ON DELETE CASCADE,
+    PRIMARY KEY (note_id, account_id)
+);
+
+CREATE TABLE IF NOT EXISTS Tag (
+    tag_id SERIAL PRIMARY KEY,
+    name VARCHAR(64) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tag_lower_name ON Tag (LOWER(name));
+
+CREATE TABLE IF NOT EXISTS Candidate_Tag (
+    candidate_id INT NOT NULL REFERENCES Candidate(candidate_id) ON DELETE CASCADE,
+    tag_id INT NOT NULL REFERENCES Tag(tag_id) ON DELETE CASCADE,
+    tagged_by INT REFERENCES Account(account_id) ON DELETE SET NULL,
+    tagged_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (candidate_id, tag_id)
+);
@@ -0,0 +1,2 @@
+-- Data retention: anonymized candidates keep their statistics rows but no personal data
+ALTER TABLE Candidate ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
@@ -0,0 +1,39 @@
+-- Accent-insensitive, typo-tolerant candidate search (trigram similarity)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- unaccent() is only STABLE; this wrapper pins the dictionary so it can be used in indexes
+CREATE OR REPLACE FUNCTION search_normalize(value TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+    SELECT lower(public.unaccent('public.unaccent'::regdictionary, coalesce(value, '')));
+$$;
+
+-- Relevance (0..1) of a candidate for an already normalized search term.
+-- Names and email weigh most, apprenticeship names and notes less.
+CREATE OR REPLACE FUNCTION candidate_search_score(p_candidate_id INT, p_term TEXT)
+RETURNS REAL
+LANGUAGE sql STABLE AS $$
+    SELECT GREATEST(
+        (SELECT GREATEST(
+                similarity(search_normalize(c.first_name || ' ' || c.last_name), p_term),
+                similarity(search_normalize(c.last_name || ' ' || c.first_name), p_term),
+                word_similarity(p_term, search_normalize(c.first_name || ' ' || c.last_name)),
+                CASE WHEN position(p_term IN lower(coalesce(c.email, ''))) > 0 THEN 0.9
+                     ELSE word_similarity(p_term, lower(coalesce(c.email, ''))) * 0.8 END
+            )
+         FROM Candidate c WHERE c.candidate_id = p_candidate_id),
+        COALESCE((SELECT MAX(word_similarity(p_term, search_normalize(a.name))) * 0.6
+                  FROM Candidate_Apprenticeship ca
+                  JOIN Apprenticeship a ON ca.apprenticeship_id = a.apprenticeship_id
+                  WHERE ca.candidate_id = p_candidate_id), 0),
+        COALESCE((SELECT MAX(word_similarity(p_term, search_normalize(n.body))) * 0.5
+                  FROM Candidate_Note n
+                  WHERE n.candidate_id = p_candidate_id), 0)
+    )::REAL;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_candidate_name_trgm
+    ON Candidate USING gin (search_normalize(first_name || ' ' || last_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_candidate_note_body_trgm
+    ON Candidate_Note USING gin (search_normalize(body) gin_trgm_ops);
@@ -0,0 +1,18 @@
+-- Recurring event series: every occurrence is a regular Event (with its own sessions,
+-- registrations and attendance) that points back to the series it was generated from.
+CREATE TABLE IF NOT EXISTS Event_Series (
+    series_id SERIAL PRIMARY KEY,
+    rrule TEXT NOT NULL,
+    starts_on DATE NOT NULL,
+    exceptions DATE[] NOT NULL DEFAULT '{}',
+    created_by INT REFERENCES Account(account_id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE Event ADD COLUMN IF NOT EXISTS series_id INT REFERENCES Event_Series(series_id) ON DELETE SET NULL;
+-- Date of the occurrence according to the rule, even if its sessions were moved later
+ALTER TABLE Event ADD COLUMN IF NOT EXISTS series_date DATE;
+-- Set when a single occurrence was edited; series-wide edits leave it alone
+ALTER TABLE Event ADD COLUMN IF NOT EXISTS series_modified BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_series_date ON Event (series_id, series_date);
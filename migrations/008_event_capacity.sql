@@ -0,0 +1,19 @@
+-- Capacity limits and waitlists for event registrations
+-- NULL capacity means unlimited. A session capacity applies in addition to the event capacity
+-- and only to registrations for that session.
+ALTER TABLE Event ADD COLUMN IF NOT EXISTS capacity INT CHECK (capacity IS NULL OR capacity >= 0);
+ALTER TABLE Event_Session ADD COLUMN IF NOT EXISTS capacity INT CHECK (capacity IS NULL OR capacity >= 0);
+
+ALTER TABLE Event_Registration ADD COLUMN IF NOT EXISTS session_id INT REFERENCES Event_Session(session_id) ON DELETE SET NULL;
+ALTER TABLE Event_Registration ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'registered';
+ALTER TABLE Event_Registration ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'event_registration_status_check') THEN
+        ALTER TABLE Event_Registration ADD CONSTRAINT event_registration_status_check
+            CHECK (status IN ('registered', 'waitlisted', 'cancelled', 'no-show'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_event_registration_event_status ON Event_Registration (event_id, status);
@@ -0,0 +1,26 @@
+-- Public self-registration via signed per-event links with double opt-in
+-- public_registration_key is part of the link signature; a new key invalidates old links.
+ALTER TABLE Event ADD COLUMN IF NOT EXISTS public_registration BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE Event ADD COLUMN IF NOT EXISTS public_registration_key TEXT;
+-- Additional questions of the public form, see utils/registrationForm.js
+ALTER TABLE Event ADD COLUMN IF NOT EXISTS registration_form JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE Event_Registration ADD COLUMN IF NOT EXISTS source VARCHAR(16) NOT NULL DEFAULT 'internal';
+ALTER TABLE Event_Registration ADD COLUMN IF NOT EXISTS form_answers JSONB;
+
+-- Submitted forms waiting for the e-mail confirmation
+CREATE TABLE IF NOT EXISTS Pending_Registration (
+    pending_id SERIAL PRIMARY KEY,
+    event_id INT NOT NULL REFERENCES Event(event_id) ON DELETE CASCADE,
+    session_id INT REFERENCES Event_Session(session_id) ON DELETE SET NULL,
+    email TEXT NOT NULL,
+    form_data JSONB NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    ip TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ NOT NULL,
+    confirmed_at TIMESTAMPTZ,
+    registration_id INT REFERENCES Event_Registration(registration_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_registration_email ON Pending_Registration (event_id, LOWER(email));
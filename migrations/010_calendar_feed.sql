@@ -0,0 +1,3 @@
+-- Secret token for the personal iCalendar feed (events assigned via Event_Recruiter)
+ALTER TABLE Account ADD COLUMN IF NOT EXISTS calendar_token TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_calendar_token ON Account (calendar_token);
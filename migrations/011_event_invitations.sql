@@ -0,0 +1,17 @@
+-- Invitation mailing: one row per recipient with its delivery status
+-- Recipients are collected when invitations_sending_at is reached (see utils/invitations.js).
+CREATE TABLE IF NOT EXISTS Event_Invitation (
+    invitation_id SERIAL PRIMARY KEY,
+    event_id INT NOT NULL REFERENCES Event(event_id) ON DELETE CASCADE,
+    candidate_id INT NOT NULL REFERENCES Candidate(candidate_id) ON DELETE CASCADE,
+    email TEXT,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT,
+    message_id TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, candidate_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_invitation_open ON Event_Invitation (status) WHERE status <> 'sent';
@@ -0,0 +1,14 @@
+-- Event templates (Event_Type): defaults applied by POST /api/events/from-template
+-- Deadlines are stored relative to the first session of the new event.
+ALTER TABLE Event_Type ADD COLUMN IF NOT EXISTS branch_id INT REFERENCES Branch(branch_id) ON DELETE SET NULL;
+ALTER TABLE Event_Type ADD COLUMN IF NOT EXISTS capacity INT CHECK (capacity IS NULL OR capacity >= 0);
+ALTER TABLE Event_Type ADD COLUMN IF NOT EXISTS invitations_days_before INT CHECK (invitations_days_before IS NULL OR invitations_days_before >= 0);
+ALTER TABLE Event_Type ADD COLUMN IF NOT EXISTS registrations_close_days_before INT CHECK (registrations_close_days_before IS NULL OR registrations_close_days_before >= 0);
+ALTER TABLE Event_Type ADD COLUMN IF NOT EXISTS public_registration BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE Event_Type ADD COLUMN IF NOT EXISTS registration_form JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE TABLE IF NOT EXISTS Event_Type_Recruiter (
+    template_id INT NOT NULL REFERENCES Event_Type(template_id) ON DELETE CASCADE,
+    recruiter_id INT NOT NULL REFERENCES Account(account_id) ON DELETE CASCADE,
+    PRIMARY KEY (template_id, recruiter_id)
+);
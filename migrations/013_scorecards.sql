@@ -0,0 +1,44 @@
+-- Evaluation scorecards for attendance reports
+-- A scorecard belongs to an event type, an apprenticeship or (both NULL) is the default.
+-- Reports resolve it in that order, see resolveScorecard() in utils/scorecards.js.
+CREATE TABLE IF NOT EXISTS Scorecard (
+    scorecard_id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    template_id INT REFERENCES Event_Type(template_id) ON DELETE CASCADE,
+    apprenticeship_id INT REFERENCES Apprenticeship(apprenticeship_id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK (template_id IS NULL OR apprenticeship_id IS NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scorecard_owner
+    ON Scorecard (COALESCE(template_id, 0), COALESCE(apprenticeship_id, 0));
+
+CREATE TABLE IF NOT EXISTS Scorecard_Criterion (
+    criterion_id SERIAL PRIMARY KEY,
+    scorecard_id INT NOT NULL REFERENCES Scorecard(scorecard_id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    scale_min INT NOT NULL DEFAULT 1,
+    scale_max INT NOT NULL DEFAULT 5,
+    weight NUMERIC(5,2) NOT NULL DEFAULT 1 CHECK (weight > 0),
+    position INT NOT NULL,
+    CHECK (scale_max > scale_min)
+);
+
+ALTER TABLE Event_Attendance ADD COLUMN IF NOT EXISTS scorecard_id INT REFERENCES Scorecard(scorecard_id) ON DELETE SET NULL;
+
+-- One row per scored criterion. Name, scale and weight are copied from the criterion,
+-- so reports stay comparable when a scorecard is changed or deleted later.
+CREATE TABLE IF NOT EXISTS Attendance_Score (
+    score_id SERIAL PRIMARY KEY,
+    attendance_id INT NOT NULL REFERENCES Event_Attendance(attendance_id) ON DELETE CASCADE,
+    criterion_id INT REFERENCES Scorecard_Criterion(criterion_id) ON DELETE SET NULL,
+    criterion_name TEXT NOT NULL,
+    score INT NOT NULL,
+    scale_min INT NOT NULL,
+    scale_max INT NOT NULL,
+    weight NUMERIC(5,2) NOT NULL,
+    UNIQUE (attendance_id, criterion_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_score_criterion ON Attendance_Score (criterion_id, score);
@@ -0,0 +1,16 @@
+-- QR-code check-in on event day
+-- Every registration gets a secret token (created on first use, see utils/checkin.js) that is
+-- printed as QR code and scanned by a recruiter's phone. One check-in per registration and session.
+ALTER TABLE Event_Registration ADD COLUMN IF NOT EXISTS checkin_token TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_registration_checkin_token ON Event_Registration (checkin_token);
+
+CREATE TABLE IF NOT EXISTS Event_Checkin (
+    checkin_id SERIAL PRIMARY KEY,
+    registration_id INT NOT NULL REFERENCES Event_Registration(registration_id) ON DELETE CASCADE,
+    session_id INT NOT NULL REFERENCES Event_Session(session_id) ON DELETE CASCADE,
+    checked_in_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    checked_in_by INT REFERENCES Account(account_id) ON DELETE SET NULL,
+    UNIQUE (registration_id, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_checkin_session ON Event_Checkin (session_id);
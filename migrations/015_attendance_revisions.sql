@@ -0,0 +1,40 @@
+-- Revision history for attendance reports
+-- Every saved version of a report (including its scores) is kept in Attendance_Revision;
+-- deleting a report records a last 'delete' revision, so admins can still see it.
+ALTER TABLE Event_Attendance ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+ALTER TABLE Event_Attendance ADD COLUMN IF NOT EXISTS updated_by INT REFERENCES Account(account_id) ON DELETE SET NULL;
+
+-- attendance_id has no foreign key: revisions outlive the deleted report
+CREATE TABLE IF NOT EXISTS Attendance_Revision (
+    revision_id SERIAL PRIMARY KEY,
+    attendance_id INT NOT NULL,
+    version INT NOT NULL,
+    action VARCHAR(16) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    event_id INT NOT NULL REFERENCES Event(event_id) ON DELETE CASCADE,
+    candidate_id INT NOT NULL REFERENCES Candidate(candidate_id) ON DELETE CASCADE,
+    attendance VARCHAR(32),
+    status VARCHAR(64),
+    comment TEXT,
+    scores JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by INT REFERENCES Account(account_id) ON DELETE SET NULL,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    changed_by INT REFERENCES Account(account_id) ON DELETE SET NULL,
+    UNIQUE (attendance_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_revision_event_candidate ON Attendance_Revision (event_id, candidate_id);
+
+-- Existing reports start their history with their current state
+INSERT INTO Attendance_Revision (attendance_id, version, action, event_id, candidate_id, attendance, status, comment, scores, created_by, changed_at, changed_by)
+SELECT ea.attendance_id, 1, 'create', ea.event_id, ea.candidate_id, ea.attendance, ea.status, ea.comment,
+       COALESCE((
+         SELECT jsonb_agg(jsonb_build_object(
+           'criterionId', s.criterion_id, 'name', s.criterion_name, 'score', s.score,
+           'scaleMin', s.scale_min, 'scaleMax', s.scale_max, 'weight', s.weight
+         ) ORDER BY s.score_id)
+         FROM Attendance_Score s WHERE s.attendance_id = ea.attendance_id
+       ), '[]'::jsonb),
+       ea.created_by, ea.created_at, ea.created_by
+FROM Event_Attendance ea
+WHERE ea.event_id IS NOT NULL AND ea.candidate_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM Attendance_Revision r WHERE r.attendance_id = ea.attendance_id);
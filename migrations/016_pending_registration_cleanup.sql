@@ -0,0 +1,9 @@
+-- Pending public registrations keep no personal data once they are confirmed or expired:
+-- confirmed rows only keep the token (for "already confirmed") and the registration they created.
+ALTER TABLE Pending_Registration ALTER COLUMN email DROP NOT NULL;
+
+UPDATE Pending_Registration
+SET email = NULL, ip = NULL, form_data = '{}'::jsonb
+WHERE confirmed_at IS NOT NULL;
+
+DELETE FROM Pending_Registration WHERE confirmed_at IS NULL AND expires_at < NOW();
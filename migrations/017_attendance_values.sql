@@ -0,0 +1,22 @@
+-- Event_Attendance.attendance uses a fixed vocabulary (see ATTENDANCE_VALUES in utils/consensus.js):
+-- present, late, absent, excused. Known German values of older reports are mapped onto it;
+-- other values stay as they are and count as unknown attendance.
+UPDATE Event_Attendance
+SET attendance = CASE LOWER(TRIM(attendance))
+    WHEN 'anwesend' THEN 'present'
+    WHEN 'verspätet' THEN 'late'
+    WHEN 'abwesend' THEN 'absent'
+    WHEN 'entschuldigt' THEN 'excused'
+    ELSE LOWER(TRIM(attendance))
+  END
+WHERE LOWER(TRIM(attendance)) IN ('anwesend', 'verspätet', 'abwesend', 'entschuldigt', 'present', 'late', 'absent', 'excused');
+
+UPDATE Attendance_Revision
+SET attendance = CASE LOWER(TRIM(attendance))
+    WHEN 'anwesend' THEN 'present'
+    WHEN 'verspätet' THEN 'late'
+    WHEN 'abwesend' THEN 'absent'
+    WHEN 'entschuldigt' THEN 'excused'
+    ELSE LOWER(TRIM(attendance))
+  END
+WHERE LOWER(TRIM(attendance)) IN ('anwesend', 'verspätet', 'abwesend', 'entschuldigt', 'present', 'late', 'absent', 'excused');
@@ -0,0 +1,29 @@
+-- New candidates start in the first stage of their pipeline (see resolveInitialStatus in utils/pipeline.js).
+-- Candidates still on the old default status 'Normal' are moved there, with an entry in the status history.
+WITH target AS (
+    SELECT c.candidate_id, c.candidate_status as from_status,
+           (SELECT ps.name
+            FROM Pipeline_Stage ps
+            WHERE ps.apprenticeship_id IS NOT DISTINCT FROM (
+                SELECT MIN(ca.apprenticeship_id)
+                FROM Candidate_Apprenticeship ca
+                WHERE ca.candidate_id = c.candidate_id
+                  AND EXISTS (SELECT 1 FROM Pipeline_Stage own WHERE own.apprenticeship_id = ca.apprenticeship_id)
+            )
+            ORDER BY ps.position ASC
+            LIMIT 1) as to_status
+    FROM Candidate c
+    WHERE c.candidate_status = 'Normal' OR c.candidate_status IS NULL
+),
+updated AS (
+    UPDATE Candidate c
+    SET candidate_status = t.to_status
+    FROM target t
+    WHERE c.candidate_id = t.candidate_id AND t.to_status IS NOT NULL
+    RETURNING c.candidate_id, t.from_status, t.to_status
+)
+INSERT INTO Candidate_Status_History (candidate_id, from_status, to_status, comment)
+SELECT candidate_id, from_status, to_status, 'Migration: erste Stufe der Pipeline'
+FROM updated;
+
+ALTER TABLE Candidate ALTER COLUMN candidate_status DROP DEFAULT;
@@ -0,0 +1,3 @@
+-- Trigram index for the email branch of the candidate search (utils/candidateFilters.js)
+CREATE INDEX IF NOT EXISTS idx_candidate_email_trgm
+    ON Candidate USING gin (lower(coalesce(email, '')) gin_trgm_ops);
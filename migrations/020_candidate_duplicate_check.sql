@@ -0,0 +1,3 @@
+-- Index for the birth date branch of the duplicate pre-filter (findCandidateDuplicates in routes/candidates.js).
+-- Name and email use the trigram indexes from 006 and 019.
+CREATE INDEX IF NOT EXISTS idx_candidate_birth_date ON Candidate (birth_date);
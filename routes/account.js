@@ -1,9 +1,15 @@
 import express from 'express';
+import crypto from 'crypto';
 import { pool } from '../config/db.js';
 import { authRequired, checkAdmin } from '../middleware/auth.js';
 import { auditLog } from '../middleware/logging.js';
 import { snakeToCamelObj, snakeToCamelArray } from '../utils/caseUtils.js';
 
+function calendarFeedUrls(req, token) {
+	const url = `${req.protocol}://${req.get('host')}/api/public/calendar/${token}.ics`;
+	return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
 const router = express.Router();
 
 router.get('/', authRequired, async (req, res) => {
@@ -29,6 +35,88 @@ router.get('/', authRequired, async (req, res) => {
 	}
 });
 
+router.get('/me/mentions', authRequired, async (req, res) => {
+	const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+	try {
+		const result = await pool.query(`
+			SELECT 
+				n.note_id,
+				n.candidate_id,
+				n.body,
+				n.created_at,
+				n.created_by,
+				a.first_name as author_first_name,
+				a.last_name as author_last_name,
+				c.first_name as candidate_first_name,
+				c.last_name as candidate_last_name
+			FROM Candidate_Note_Mention m
+			JOIN Candidate_Note n ON m.note_id = n.note_id
+			JOIN Candidate c ON n.candidate_id = c.candidate_id
+			LEFT JOIN Account a ON n.created_by = a.account_id
+			WHERE m.account_id = $1
+			ORDER BY n.created_at DESC
+			LIMIT $2;
+		`, [req.user.id, limit]);
+
+		res.json({ success: true, mentions: snakeToCamelArray(result.rows) });
+	} catch (error) {
+		console.error('GET /api/users/me/mentions error:', error);
+		res.status(500).json({ success: false, message: 'Fehler beim Abrufen der Erwähnungen' });
+	}
+});
+
+/**
+ * GET /me/calendar-feed - Subscribable iCalendar URL with all events the user is assigned to
+ * The secret token is created on first access.
+ */
+router.get('/me/calendar-feed', authRequired, async (req, res) => {
+	try {
+		const result = await pool.query(
+			`UPDATE account
+			 SET calendar_token = COALESCE(calendar_token, $1)
+			 WHERE account_id = $2
+			 RETURNING calendar_token`,
+			[crypto.randomBytes(24).toString('base64url'), req.user.id]
+		);
+
+		if (result.rows.length === 0) {
+			return res.status(404).json({ success: false, message: 'Benutzer nicht gefunden' });
+		}
+
+		res.json({ success: true, ...calendarFeedUrls(req, result.rows[0].calendar_token) });
+	} catch (error) {
+		console.error('GET /api/users/me/calendar-feed error:', error);
+		res.status(500).json({ success: false, message: 'Fehler beim Abrufen des Kalender-Abos' });
+	}
+});
+
+/**
+ * POST /me/calendar-feed/rotate - New secret token; the old feed URL stops working
+ */
+router.post('/me/calendar-feed/rotate', authRequired, async (req, res) => {
+	try {
+		const result = await pool.query(
+			`UPDATE account SET calendar_token = $1 WHERE account_id = $2 RETURNING calendar_token`,
+			[crypto.randomBytes(24).toString('base64url'), req.user.id]
+		);
+
+		if (result.rows.length === 0) {
+			return res.status(404).json({ success: false, message: 'Benutzer nicht gefunden' });
+		}
+
+		await auditLog('UPDATE', 'account', req.user.id, req.user.id, {
+			calendarTokenRotated: true,
+			ip: req.ip
+		});
+
+		res.json({ success: true, ...calendarFeedUrls(req, result.rows[0].calendar_token) });
+	} catch (error) {
+		console.error('POST /api/users/me/calendar-feed/rotate error:', error);
+		res.status(500).json({ success: false, message: 'Fehler beim Erneuern des Kalender-Abos' });
+	}
+});
+
 router.delete('/:userId', authRequired, checkAdmin, async (req, res) => {
 	const { userId } = req.params;
 
@@ -0,0 +1,228 @@
+import express from 'express';
+import multer from 'multer';
+import { pool } from '../config/db.js';
+import { getStorage, createStorageKey } from '../config/storage.js';
+import { authRequired, isAdmin } from '../middleware/auth.js';
+import { auditLog } from '../middleware/logging.js';
+import { snakeToCamelObj, snakeToCamelArray } from '../utils/caseUtils.js';
+
+// Mounted at /api/candidates/:id/documents
+const router = express.Router({ mergeParams: true });
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const ALLOWED_MIME_TYPES = [
+    'application/pdf',
+    'application/msword',
+    DOCX_MIME_TYPE,
+    'image/jpeg',
+    'image/png'
+];
+
+// Magic bytes of the allowed types; the MIME type sent by the browser is not trusted
+const FILE_SIGNATURES = [
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+    { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mimeType: 'application/msword', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] },
+    // DOCX is a ZIP archive with a word/ folder
+    { mimeType: DOCX_MIME_TYPE, bytes: [0x50, 0x4B, 0x03, 0x04], contains: 'word/' }
+];
+
+function detectMimeType(buffer) {
+    const signature = FILE_SIGNATURES.find(({ bytes, contains }) =>
+        buffer.length >= bytes.length &&
+        bytes.every((byte, index) => buffer[index] === byte) &&
+        (!contains || buffer.includes(contains))
+    );
+    return signature?.mimeType || null;
+}
+const DOCUMENT_TYPES = ['cv', 'school_report', 'cover_letter', 'other'];
+const MAX_FILE_SIZE = (parseInt(process.env.DOCUMENT_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            return callback(new Error(`Dateityp ${file.mimetype} ist nicht erlaubt.`));
+        }
+        callback(null, true);
+    }
+});
+
+function uploadDocumentFile(req, res, next) {
+    documentUpload.single("file")(req, res, (err) => {
+        if (err) {
+            const message = err.code === "LIMIT_FILE_SIZE"
+                ? `Datei ist zu gross (maximal ${MAX_FILE_SIZE / 1024 / 1024} MB).`
+                : err.message;
+            return res.status(400).json({ success: false, message });
+        }
+        next();
+    });
+}
+
+router.get("/", authRequired, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(
+            `SELECT
+                d.document_id as id,
+                d.candidate_id,
+                d.document_type,
+                d.file_name,
+                d.mime_type,
+                d.size_bytes,
+                d.uploaded_at,
+                d.uploaded_by,
+                a.first_name as uploaded_by_first_name,
+                a.last_name as uploaded_by_last_name
+             FROM Candidate_Document d
+             LEFT JOIN Account a ON d.uploaded_by = a.account_id
+             WHERE d.candidate_id = $1
+             ORDER BY d.uploaded_at DESC;`,
+            [id]
+        );
+
+        res.status(200).json({ success: true, documents: snakeToCamelArray(result.rows) });
+    } catch (error) {
+        console.error(`GET /api/candidates/${id}/documents Error:`, error);
+        res.status(500).json({ success: false, message: "Fehler beim Abrufen der Dokumente." });
+    }
+});
+
+/**
+ * POST / - Upload a document (multipart field "file", optional "documentType")
+ */
+router.post("/", authRequired, uploadDocumentFile, async (req, res) => {
+    const { id } = req.params;
+    const documentType = req.body?.documentType || "other";
+
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: "Bitte eine Datei hochladen." });
+    }
+
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+        return res.status(400).json({ success: false, message: `Ungültiger Dokumenttyp. Erlaubt: ${DOCUMENT_TYPES.join(", ")}` });
+    }
+
+    const mimeType = detectMimeType(req.file.buffer);
+    if (!mimeType) {
+        return res.status(400).json({ success: false, message: "Der Dateiinhalt entspricht keinem erlaubten Dateityp (PDF, Word, JPEG, PNG)." });
+    }
+
+    const storageKey = createStorageKey(id, req.file.originalname);
+
+    try {
+        const candidateCheck = await pool.query("SELECT candidate_id FROM Candidate WHERE candidate_id = $1;", [id]);
+        if (candidateCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Kandidat nicht gefunden." });
+        }
+
+        await getStorage().save(storageKey, req.file.buffer, { mimeType });
+
+        const result = await pool.query(
+            `INSERT INTO Candidate_Document (candidate_id, document_type, file_name, mime_type, size_bytes, storage_key, uploaded_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING document_id as id, candidate_id, document_type, file_name, mime_type, size_bytes, uploaded_at, uploaded_by;`,
+            [id, documentType, req.file.originalname, mimeType, req.file.size, storageKey, req.user.id]
+        );
+        const document = snakeToCamelObj(result.rows[0]);
+
+        await auditLog('UPLOAD', 'candidate_document', document.id, req.user.id, {
+            candidateId: parseInt(id),
+            fileName: document.fileName,
+            documentType,
+            ip: req.ip
+        });
+
+        res.status(201).json({ success: true, message: "Dokument erfolgreich hochgeladen.", document });
+    } catch (error) {
+        console.error(`POST /api/candidates/${id}/documents Error:`, error);
+        await getStorage().remove(storageKey).catch(() => {});
+        res.status(500).json({ success: false, message: "Serverfehler beim Hochladen des Dokuments." });
+    }
+});
+
+router.get("/:documentId/download", authRequired, async (req, res) => {
+    const { id, documentId } = req.params;
+
+    try {
+        const result = await pool.query(
+            `SELECT document_id, file_name, mime_type, size_bytes, storage_key
+             FROM Candidate_Document
+             WHERE document_id = $1 AND candidate_id = $2;`,
+            [documentId, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Dokument nicht gefunden." });
+        }
+        const document = result.rows[0];
+
+        await auditLog('DOWNLOAD', 'candidate_document', document.document_id, req.user.id, {
+            candidateId: parseInt(id),
+            fileName: document.file_name,
+            ip: req.ip
+        });
+
+        const stream = getStorage().createReadStream(document.storage_key);
+        stream.on("error", (err) => {
+            console.error(`Dokument ${document.storage_key} konnte nicht gelesen werden:`, err);
+            if (!res.headersSent) {
+                return res.status(404).json({ success: false, message: "Datei nicht gefunden." });
+            }
+            res.destroy(err);
+        });
+
+        res.setHeader("Content-Type", document.mime_type);
+        res.setHeader("Content-Length", document.size_bytes);
+        res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(document.file_name)}`);
+        stream.pipe(res);
+    } catch (error) {
+        console.error(`GET /api/candidates/${id}/documents/${documentId}/download Error:`, error);
+        res.status(500).json({ success: false, message: "Fehler beim Herunterladen des Dokuments." });
+    }
+});
+
+/**
+ * DELETE /:documentId - Uploader or admins only
+ */
+router.delete("/:documentId", authRequired, async (req, res) => {
+    const { id, documentId } = req.params;
+
+    try {
+        const result = await pool.query(
+            `SELECT document_id, file_name, storage_key, uploaded_by
+             FROM Candidate_Document
+             WHERE document_id = $1 AND candidate_id = $2;`,
+            [documentId, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Dokument nicht gefunden." });
+        }
+        const document = result.rows[0];
+
+        if (document.uploaded_by !== req.user.id && !isAdmin(req.user)) {
+            return res.status(403).json({ success: false, message: "Sie können nur Ihre eigenen Dokumente löschen." });
+        }
+
+        await pool.query("DELETE FROM Candidate_Document WHERE document_id = $1;", [documentId]);
+        await getStorage().remove(document.storage_key);
+
+        await auditLog('DELETE', 'candidate_document', document.document_id, req.user.id, {
+            candidateId: parseInt(id),
+            fileName: document.file_name,
+            ip: req.ip
+        });
+
+        res.status(200).json({ success: true, message: "Dokument erfolgreich gelöscht." });
+    } catch (error) {
+        console.error(`DELETE /api/candidates/${id}/documents/${documentId} Error:`, error);
+        res.status(500).json({ success: false, message: "Serverfehler beim Löschen des Dokuments." });
+    }
+});
+
+export default router;
@@ -0,0 +1,190 @@
+import express from 'express';
+import { pool } from '../config/db.js';
+import { authRequired, isAdmin } from '../middleware/auth.js';
+import { auditLog } from '../middleware/logging.js';
+import { snakeToCamelObj, snakeToCamelArray } from '../utils/caseUtils.js';
+
+// Mounted at /api/candidates/:id/notes
+const router = express.Router({ mergeParams: true });
+
+const NOTE_QUERY = `
+    SELECT
+        n.note_id as id,
+        n.candidate_id,
+        n.body,
+        n.created_at,
+        n.updated_at,
+        n.created_by,
+        a.first_name as author_first_name,
+        a.last_name as author_last_name,
+        COALESCE(
+            (SELECT json_agg(json_build_object('id', m.account_id, 'firstName', ma.first_name, 'lastName', ma.last_name, 'email', ma.email))
+             FROM Candidate_Note_Mention m
+             JOIN Account ma ON m.account_id = ma.account_id
+             WHERE m.note_id = n.note_id),
+            '[]'::json
+        ) as mentions
+    FROM Candidate_Note n
+    LEFT JOIN Account a ON n.created_by = a.account_id
+`;
+
+function parseMentionIds(value) {
+    if (!Array.isArray(value)) return [];
+    return [...new Set(value.map(v => parseInt(v, 10)).filter(n => !Number.isNaN(n)))];
+}
+
+async function saveMentions(client, noteId, mentionIds) {
+    await client.query("DELETE FROM Candidate_Note_Mention WHERE note_id = $1;", [noteId]);
+    if (mentionIds.length === 0) return;
+    // Unknown account ids are ignored
+    await client.query(
+        `INSERT INTO Candidate_Note_Mention (note_id, account_id)
+         SELECT $1, account_id FROM Account WHERE account_id = ANY($2::int[]);`,
+        [noteId, mentionIds]
+    );
+}
+
+router.get("/", authRequired, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(`${NOTE_QUERY} WHERE n.candidate_id = $1 ORDER BY n.created_at DESC;`, [id]);
+        res.status(200).json({ success: true, notes: snakeToCamelArray(result.rows) });
+    } catch (error) {
+        console.error(`GET /api/candidates/${id}/notes Error:`, error);
+        res.status(500).json({ success: false, message: "Fehler beim Abrufen der Notizen." });
+    }
+});
+
+/**
+ * POST / - Add a note. Body: { body, mentionIds? }
+ */
+router.post("/", authRequired, async (req, res) => {
+    const { id } = req.params;
+    const { body, mentionIds } = req.body || {};
+
+    if (!body || !String(body).trim()) {
+        return res.status(400).json({ success: false, message: "Notiztext ist erforderlich." });
+    }
+
+    const client = await pool.connect();
+    try {
+        const candidateCheck = await client.query("SELECT candidate_id FROM Candidate WHERE candidate_id = $1;", [id]);
+        if (candidateCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Kandidat nicht gefunden." });
+        }
+
+        await client.query("BEGIN");
+        const insertResult = await client.query(
+            `INSERT INTO Candidate_Note (candidate_id, body, created_by)
+             VALUES ($1, $2, $3)
+             RETURNING note_id;`,
+            [id, String(body).trim(), req.user.id]
+        );
+        const noteId = insertResult.rows[0].note_id;
+        const mentions = parseMentionIds(mentionIds);
+        await saveMentions(client, noteId, mentions);
+        await client.query("COMMIT");
+
+        await auditLog('CREATE', 'candidate_note', noteId, req.user.id, {
+            candidateId: parseInt(id),
+            mentionIds: mentions,
+            ip: req.ip
+        });
+
+        const result = await pool.query(`${NOTE_QUERY} WHERE n.note_id = $1;`, [noteId]);
+        res.status(201).json({ success: true, message: "Notiz erfolgreich erstellt.", note: snakeToCamelObj(result.rows[0]) });
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error(`POST /api/candidates/${id}/notes Error:`, error);
+        res.status(500).json({ success: false, message: "Serverfehler beim Erstellen der Notiz." });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * PATCH /:noteId - Edit your own note. Body: { body?, mentionIds? }
+ */
+router.patch("/:noteId", authRequired, async (req, res) => {
+    const { id, noteId } = req.params;
+    const { body, mentionIds } = req.body || {};
+
+    if (body !== undefined && !String(body).trim()) {
+        return res.status(400).json({ success: false, message: "Notiztext darf nicht leer sein." });
+    }
+
+    const client = await pool.connect();
+    try {
+        const ownershipCheck = await client.query(
+            "SELECT created_by FROM Candidate_Note WHERE note_id = $1 AND candidate_id = $2;",
+            [noteId, id]
+        );
+        if (ownershipCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Notiz nicht gefunden." });
+        }
+        if (ownershipCheck.rows[0].created_by !== req.user.id) {
+            return res.status(403).json({ success: false, message: "Sie können nur Ihre eigenen Notizen bearbeiten." });
+        }
+
+        await client.query("BEGIN");
+        await client.query(
+            `UPDATE Candidate_Note
+             SET body = COALESCE($1, body), updated_at = NOW()
+             WHERE note_id = $2;`,
+            [body !== undefined ? String(body).trim() : null, noteId]
+        );
+        if (mentionIds !== undefined) {
+            await saveMentions(client, noteId, parseMentionIds(mentionIds));
+        }
+        await client.query("COMMIT");
+
+        await auditLog('UPDATE', 'candidate_note', parseInt(noteId), req.user.id, {
+            candidateId: parseInt(id),
+            ip: req.ip
+        });
+
+        const result = await pool.query(`${NOTE_QUERY} WHERE n.note_id = $1;`, [noteId]);
+        res.status(200).json({ success: true, message: "Notiz erfolgreich aktualisiert.", note: snakeToCamelObj(result.rows[0]) });
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error(`PATCH /api/candidates/${id}/notes/${noteId} Error:`, error);
+        res.status(500).json({ success: false, message: "Serverfehler beim Aktualisieren der Notiz." });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * DELETE /:noteId - Delete your own note (admins may delete any note)
+ */
+router.delete("/:noteId", authRequired, async (req, res) => {
+    const { id, noteId } = req.params;
+
+    try {
+        const ownershipCheck = await pool.query(
+            "SELECT created_by FROM Candidate_Note WHERE note_id = $1 AND candidate_id = $2;",
+            [noteId, id]
+        );
+        if (ownershipCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Notiz nicht gefunden." });
+        }
+        if (ownershipCheck.rows[0].created_by !== req.user.id && !isAdmin(req.user)) {
+            return res.status(403).json({ success: false, message: "Sie können nur Ihre eigenen Notizen löschen." });
+        }
+
+        await pool.query("DELETE FROM Candidate_Note WHERE note_id = $1;", [noteId]);
+
+        await auditLog('DELETE', 'candidate_note', parseInt(noteId), req.user.id, {
+            candidateId: parseInt(id),
+            ip: req.ip
+        });
+
+        res.status(200).json({ success: true, message: "Notiz erfolgreich gelöscht." });
+    } catch (error) {
+        console.error(`DELETE /api/candidates/${id}/notes/${noteId} Error:`, error);
+        res.status(500).json({ success: false, message: "Serverfehler beim Löschen der Notiz." });
+    }
+});
+
+export default router;
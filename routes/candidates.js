@@ -1,103 +1,630 @@
 import express from 'express';
+import multer from 'multer';
 import { pool } from '../config/db.js';
+import { removeStoredFiles } from '../config/storage.js';
 import { authRequired, checkAdmin } from '../middleware/auth.js';
 import { auditLog } from '../middleware/logging.js';
 import { snakeToCamelObj, snakeToCamelArray } from '../utils/caseUtils.js';
+import { buildCandidateFilters, candidateOrderBy } from '../utils/candidateFilters.js';
+import { parseSpreadsheet, sendSpreadsheet } from '../utils/spreadsheet.js';
+import { resolveColumnMapping, validateImportRows } from '../utils/candidateImport.js';
+import { findPossibleDuplicates } from '../utils/duplicates.js';
+import { isValidDate } from '../utils/eventTimes.js';
+import { recordRevisions } from '../utils/attendanceRevisions.js';
+import { attendanceRate, hasAttended, loadReports, summarizeReports } from '../utils/consensus.js';
+import { loadApprenticeshipPipeline, loadCandidatePipeline, resolveInitialStatus, validateTransition, recordStatusChange } from '../utils/pipeline.js';
 
 const router = express.Router();
 
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Wrap multer so upload errors end up as JSON responses like every other error
+function uploadImportFile(req, res, next) {
+    importUpload.single("file")(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ success: false, message: "Upload fehlgeschlagen: " + err.message });
+        }
+        next();
+    });
+}
+
+const STATUS_HISTORY_QUERY = `
+    SELECT
+        h.history_id,
+        h.from_status,
+        h.to_status,
+        h.comment,
+        h.changed_at,
+        h.changed_by,
+        a.first_name as changed_by_first_name,
+        a.last_name as changed_by_last_name
+    FROM Candidate_Status_History h
+    LEFT JOIN Account a ON h.changed_by = a.account_id
+    WHERE h.candidate_id = $1
+    ORDER BY h.changed_at DESC;
+`;
+
+// Only candidates with a similar name, the same email or the same birth date are scored in JS;
+// the conditions match the trigram indexes from migrations 006/019 and the index from 020.
+async function findCandidateDuplicates(input, excludeId = null) {
+    const name = [input.firstName, input.lastName].filter(Boolean).join(" ");
+    const birthDate = String(input.birthDate || "").slice(0, 10);
+    const result = await pool.query(
+        `SELECT candidate_id, first_name, last_name, email, birth_date
+         FROM Candidate
+         WHERE anonymized_at IS NULL
+           AND ($1::int IS NULL OR candidate_id <> $1)
+           AND (search_normalize(first_name || ' ' || last_name) % search_normalize($2)
+                OR lower(coalesce(email, '')) = lower($3)
+                OR birth_date = $4::date);`,
+        [excludeId ? parseInt(excludeId, 10) : null, name, input.email ? String(input.email).trim() : null, isValidDate(birthDate) ? birthDate : null]
+    );
+    return findPossibleDuplicates(input, result.rows);
+}
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Read a query through a server-side cursor so large results never sit in memory at once.
+// `client` must be inside a transaction.
+async function* fetchInBatches(client, sql, values) {
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, values);
+    while (true) {
+        const result = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor;`);
+        if (result.rows.length === 0) break;
+        yield* snakeToCamelArray(result.rows);
+    }
+    await client.query("CLOSE export_cursor");
+}
+
 router.get("/", authRequired, async (req, res) => {
-    const { sort_by, status, search } = req.query; 
+    const { sort_by, page = 1, limit = 50 } = req.query;
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const offset = (pageNumber - 1) * pageSize;
+
+    const values = [];
+    const conditions = buildCandidateFilters(req.query, values);
+    const whereClause = conditions.length > 0 ? " WHERE " + conditions.join(" AND ") : "";
+
+    // The relevance sort adds its own parameter, which the count query must not see
+    const pageValues = [...values];
+    const orderBy = candidateOrderBy(sort_by, req.query.search, pageValues);
 
-    // Debugging: log incoming cookies to verify browser sends the token
     try {
-        console.log("[DEBUG] Incoming Request Headers Cookie:", req.headers.cookie);
-        console.log("[DEBUG] Parsed req.cookies:", req.cookies);
-    } catch (e) {
-        console.error("[DEBUG] Error logging cookies:", e);
+        // Page over distinct candidates first, then attach their apprenticeships
+        const pageResult = await pool.query(
+            `SELECT 
+                c.candidate_id as id, 
+                c.first_name, 
+                c.last_name, 
+                c.email, 
+                c.candidate_status as status,
+                c.created_at,
+                c.created_by
+             FROM Candidate c
+             ${whereClause}
+             ORDER BY ${orderBy}
+             LIMIT $${pageValues.length + 1} OFFSET $${pageValues.length + 2};`,
+            [...pageValues, pageSize, offset]
+        );
+
+        const countResult = await pool.query(
+            `SELECT c.candidate_status as status, COUNT(*)::int as count
+             FROM Candidate c
+             ${whereClause}
+             GROUP BY c.candidate_status;`,
+            values
+        );
+
+        const ids = pageResult.rows.map(row => row.id);
+        const [apprenticeshipResult, tagResult] = ids.length > 0
+            ? await Promise.all([
+                pool.query(
+                    `SELECT ca.candidate_id, a.apprenticeship_id, a.name
+                     FROM Candidate_Apprenticeship ca
+                     JOIN Apprenticeship a ON ca.apprenticeship_id = a.apprenticeship_id
+                     WHERE ca.candidate_id = ANY($1::int[])
+                     ORDER BY a.name ASC;`,
+                    [ids]
+                ),
+                pool.query(
+                    `SELECT ct.candidate_id, t.tag_id, t.name
+                     FROM Candidate_Tag ct
+                     JOIN Tag t ON ct.tag_id = t.tag_id
+                     WHERE ct.candidate_id = ANY($1::int[])
+                     ORDER BY t.name ASC;`,
+                    [ids]
+                )
+            ])
+            : [{ rows: [] }, { rows: [] }];
+
+        const candidatesMap = new Map();
+        pageResult.rows.forEach(row => {
+            const r = snakeToCamelObj(row);
+            candidatesMap.set(r.id, { ...r, apprenticeships: [], tags: [] });
+        });
+        apprenticeshipResult.rows.forEach(row => {
+            candidatesMap.get(row.candidate_id)?.apprenticeships.push({ id: row.apprenticeship_id, name: row.name });
+        });
+        tagResult.rows.forEach(row => {
+            candidatesMap.get(row.candidate_id)?.tags.push({ id: row.tag_id, name: row.name });
+        });
+
+        const statusCounts = {};
+        let total = 0;
+        countResult.rows.forEach(row => {
+            statusCounts[row.status] = row.count;
+            total += row.count;
+        });
+
+        const candidates = Array.from(candidatesMap.values());
+        res.status(200).json({
+            success: true,
+            candidates,
+            total,
+            statusCounts,
+            page: pageNumber,
+            limit: pageSize,
+            totalPages: Math.ceil(total / pageSize)
+        });
+    } catch (error) {
+        console.error("GET /api/candidates Error:", error);
+        res.status(500).json({ success: false, message: "Fehler beim Abrufen der Kandidaten." });
+    }
+});
+
+/**
+ * GET /export - Download the filtered candidate list as CSV or XLSX (format=csv|xlsx)
+ * Accepts the same filters as GET /. Every export is audited with the filters used.
+ */
+router.get("/export", authRequired, async (req, res) => {
+    const { sort_by, format = "csv" } = req.query;
+
+    if (!["csv", "xlsx"].includes(format)) {
+        return res.status(400).json({ success: false, message: "Ungültiges Format. Erlaubt sind csv und xlsx." });
+    }
+
+    const values = [];
+    const conditions = buildCandidateFilters(req.query, values);
+    const whereClause = conditions.length > 0 ? " WHERE " + conditions.join(" AND ") : "";
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query("BEGIN READ ONLY");
+
+        const query = `SELECT
+                c.candidate_id as id,
+                c.first_name,
+                c.last_name,
+                c.email,
+                c.candidate_status as status,
+                c.created_at,
+                (SELECT string_agg(a.name, ', ' ORDER BY a.name)
+                   FROM Candidate_Apprenticeship ca
+                   JOIN Apprenticeship a ON ca.apprenticeship_id = a.apprenticeship_id
+                  WHERE ca.candidate_id = c.candidate_id) as apprenticeships,
+                (SELECT string_agg(e.title, ', ' ORDER BY er.registered_at)
+                   FROM Event_Registration er
+                   JOIN Event e ON er.event_id = e.event_id
+                  WHERE er.candidate_id = c.candidate_id) as registrations,
+                (SELECT string_agg(t.name, ', ' ORDER BY t.name)
+                   FROM Candidate_Tag ct
+                   JOIN Tag t ON ct.tag_id = t.tag_id
+                  WHERE ct.candidate_id = c.candidate_id) as tags,
+                (SELECT ea.status
+                   FROM Event_Attendance ea
+                  WHERE ea.candidate_id = c.candidate_id
+                  ORDER BY COALESCE(ea.updated_at, ea.created_at) DESC
+                  LIMIT 1) as latest_attendance_status
+             FROM Candidate c
+             ${whereClause}
+             ORDER BY ${candidateOrderBy(sort_by, req.query.search, values)}`;
+
+        const rowCount = await sendSpreadsheet(res, {
+            format,
+            fileName: `kandidaten_${new Date().toISOString().slice(0, 10)}`,
+            sheetName: "Kandidaten",
+            columns: [
+                { header: "ID", key: "id", width: 8 },
+                { header: "Vorname", key: "firstName" },
+                { header: "Nachname", key: "lastName" },
+                { header: "E-Mail", key: "email", width: 30 },
+                { header: "Status", key: "status" },
+                { header: "Lehrberufe", key: "apprenticeships", width: 40 },
+                { header: "Event-Anmeldungen", key: "registrations", width: 40 },
+                { header: "Letzter Attendance-Status", key: "latestAttendanceStatus" },
+                { header: "Tags", key: "tags", width: 30 },
+                { header: "Erstellt am", key: "createdAt" }
+            ],
+            rows: fetchInBatches(client, query, values)
+        });
+        await client.query("COMMIT");
+
+        const filters = { ...req.query };
+        delete filters.format;
+        await auditLog('EXPORT', 'candidate', null, req.user.id, {
+            format,
+            filters,
+            rowCount,
+            ip: req.ip
+        });
+    } catch (error) {
+        if (client) await client.query("ROLLBACK");
+        console.error("GET /api/candidates/export Error:", error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ success: false, message: "Fehler beim Exportieren der Kandidaten." });
+    } finally {
+        client?.release();
+    }
+});
+
+/**
+ * GET /search - Quick search for the header search box
+ * Query: q, limit (default 10, max 25). Matches names, email, apprenticeships and notes,
+ * ignoring accents/umlauts and tolerating typos; results are ranked by relevance.
+ */
+router.get("/search", authRequired, async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 25);
+
+    if (q.length < 2) {
+        return res.status(200).json({ success: true, results: [] });
     }
-    
-    let query = `
-        SELECT 
-            c.candidate_id as id, 
-            c.first_name, 
-            c.last_name, 
-            c.email, 
-            c.candidate_status as status,
-            c.created_at,
-            a.name as apprenticeship,
-            a.apprenticeship_id
-        FROM 
-            Candidate c
-        LEFT JOIN 
-            Candidate_Apprenticeship ca ON c.candidate_id = ca.candidate_id
-        LEFT JOIN 
-            Apprenticeship a ON ca.apprenticeship_id = a.apprenticeship_id
-    `;
+
     const values = [];
-    const conditions = [];
+    const conditions = buildCandidateFilters({ search: q }, values);
 
-    if (search) {
-        const searchPattern = `%${search}%`;
-        conditions.push(`(LOWER(c.first_name) LIKE LOWER($${values.length + 1}) OR LOWER(c.last_name) LIKE LOWER($${values.length + 2}) OR LOWER(c.email) LIKE LOWER($${values.length + 3}))`);
-        values.push(searchPattern, searchPattern, searchPattern);
+    try {
+        const result = await pool.query(
+            `SELECT * FROM (
+                SELECT
+                    c.candidate_id as id,
+                    c.first_name,
+                    c.last_name,
+                    c.email,
+                    c.candidate_status as status,
+                    candidate_search_score(c.candidate_id, search_normalize($1)) as score,
+                    (SELECT string_agg(a.name, ', ' ORDER BY a.name)
+                       FROM Candidate_Apprenticeship ca
+                       JOIN Apprenticeship a ON ca.apprenticeship_id = a.apprenticeship_id
+                      WHERE ca.candidate_id = c.candidate_id) as apprenticeships
+                FROM Candidate c
+                WHERE c.anonymized_at IS NULL AND ${conditions.join(" AND ")}
+             ) ranked
+             ORDER BY score DESC, last_name ASC, first_name ASC
+             LIMIT $${values.length + 1};`,
+            [...values, limit]
+        );
+
+        res.status(200).json({ success: true, results: snakeToCamelArray(result.rows) });
+    } catch (error) {
+        console.error("GET /api/candidates/search Error:", error);
+        res.status(500).json({ success: false, message: "Fehler bei der Suche." });
     }
+});
 
-    if (conditions.length > 0) {
-        query += " WHERE " + conditions.join(" AND ");
+/**
+ * GET /duplicates - Live duplicate check for the candidate form
+ * Query: firstName, lastName, email, birthDate, excludeId
+ */
+router.get("/duplicates", authRequired, async (req, res) => {
+    const { firstName, lastName, email, birthDate, excludeId } = req.query;
+
+    if (!email && (!firstName || !lastName)) {
+        return res.status(400).json({ success: false, message: "Vor- und Nachname oder E-Mail sind erforderlich." });
     }
 
-    let orderBy = "c.created_at DESC";
-    if (sort_by) {
-        switch (sort_by) {
-            case "name_asc":
-                orderBy = "c.last_name ASC, c.first_name ASC";
-                break;
-            case "status":
-                orderBy = "c.candidate_status ASC, c.created_at DESC";
-                break;
-            case "created_at_desc":
-            default:
-                orderBy = "c.created_at DESC";
-                break;
+    try {
+        const duplicates = await findCandidateDuplicates({ firstName, lastName, email, birthDate }, excludeId);
+        res.status(200).json({ success: true, duplicates });
+    } catch (error) {
+        console.error("GET /api/candidates/duplicates Error:", error);
+        res.status(500).json({ success: false, message: "Fehler bei der Duplikatsprüfung." });
+    }
+});
+
+/**
+ * GET /:id - Candidate detail with apprenticeships, registrations, attendance reports,
+ * audit entries, status changes and notes, merged into a single timeline (newest first)
+ */
+router.get("/:id", authRequired, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const candidateResult = await pool.query(
+            `SELECT
+                c.candidate_id as id,
+                c.first_name,
+                c.last_name,
+                c.email,
+                c.birth_date,
+                c.candidate_status as status,
+                c.created_at,
+                c.created_by as created_by_account_id,
+                a.first_name as created_by_first_name,
+                a.last_name as created_by_last_name
+             FROM Candidate c
+             LEFT JOIN Account a ON c.created_by = a.account_id
+             WHERE c.candidate_id = $1;`,
+            [id]
+        );
+
+        if (candidateResult.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Kandidat nicht gefunden." });
         }
+
+        const [apprenticeshipsResult, registrationsResult, attendanceResult, auditResult, statusHistoryResult, notesResult, tagsResult] = await Promise.all([
+            pool.query(
+                `SELECT a.apprenticeship_id as id, a.name, a.branch_id
+                 FROM Candidate_Apprenticeship ca
+                 JOIN Apprenticeship a ON ca.apprenticeship_id = a.apprenticeship_id
+                 WHERE ca.candidate_id = $1
+                 ORDER BY a.name ASC;`,
+                [id]
+            ),
+            pool.query(
+                `SELECT
+                    er.registration_id,
+                    er.event_id,
+                    er.registered_at,
+                    er.status as registration_status,
+                    e.title as event_title,
+                    (SELECT MIN(es.date_at) FROM Event_Session es WHERE es.event_id = e.event_id) as event_date_at
+                 FROM Event_Registration er
+                 JOIN Event e ON er.event_id = e.event_id
+                 WHERE er.candidate_id = $1
+                 ORDER BY er.registered_at DESC;`,
+                [id]
+            ),
+            pool.query(
+                `SELECT
+                    ea.attendance_id,
+                    ea.event_id,
+                    ea.attendance,
+                    ea.status,
+                    ea.comment,
+                    ea.created_at,
+                    ea.created_by,
+                    e.title as event_title,
+                    a.first_name as creator_first_name,
+                    a.last_name as creator_last_name,
+                    a.email as creator_email
+                 FROM Event_Attendance ea
+                 JOIN Event e ON ea.event_id = e.event_id
+                 JOIN Account a ON ea.created_by = a.account_id
+                 WHERE ea.candidate_id = $1
+                 ORDER BY ea.created_at DESC;`,
+                [id]
+            ),
+            pool.query(
+                `SELECT
+                    al.audit_id,
+                    al.action,
+                    al.account_id as user_id,
+                    al.new_data as details,
+                    al.timestamp as created_at,
+                    CONCAT(a.first_name, ' ', a.last_name) as user_name
+                 FROM Audit_Log al
+                 LEFT JOIN Account a ON al.account_id = a.account_id
+                 WHERE al.table_name = 'candidate' AND al.record_id = $1
+                 ORDER BY al.timestamp DESC;`,
+                [id]
+            ),
+            pool.query(STATUS_HISTORY_QUERY, [id]),
+            pool.query(
+                `SELECT
+                    n.note_id,
+                    n.body,
+                    n.created_at,
+                    n.updated_at,
+                    n.created_by,
+                    a.first_name as author_first_name,
+                    a.last_name as author_last_name
+                 FROM Candidate_Note n
+                 LEFT JOIN Account a ON n.created_by = a.account_id
+                 WHERE n.candidate_id = $1
+                 ORDER BY n.created_at DESC;`,
+                [id]
+            ),
+            pool.query(
+                `SELECT t.tag_id as id, t.name
+                 FROM Candidate_Tag ct
+                 JOIN Tag t ON ct.tag_id = t.tag_id
+                 WHERE ct.candidate_id = $1
+                 ORDER BY t.name ASC;`,
+                [id]
+            )
+        ]);
+
+        const apprenticeships = snakeToCamelArray(apprenticeshipsResult.rows);
+        const registrations = snakeToCamelArray(registrationsResult.rows);
+        const attendanceReports = snakeToCamelArray(attendanceResult.rows);
+        const auditEntries = snakeToCamelArray(auditResult.rows);
+        const statusHistory = snakeToCamelArray(statusHistoryResult.rows);
+        const notes = snakeToCamelArray(notesResult.rows);
+
+        const timeline = [
+            ...registrations.map(r => ({ type: "registration", timestamp: r.registeredAt, data: r })),
+            ...attendanceReports.map(r => ({ type: "attendance", timestamp: r.createdAt, data: r })),
+            ...auditEntries.map(r => ({ type: "audit", timestamp: r.createdAt, data: r })),
+            ...statusHistory.map(r => ({ type: "status", timestamp: r.changedAt, data: r })),
+            ...notes.map(r => ({ type: "note", timestamp: r.createdAt, data: r }))
+        ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        const candidate = {
+            ...snakeToCamelObj(candidateResult.rows[0]),
+            apprenticeships,
+            registrations,
+            attendanceReports,
+            auditEntries,
+            statusHistory,
+            notes,
+            tags: tagsResult.rows
+        };
+
+        res.status(200).json({ success: true, candidate, timeline });
+    } catch (error) {
+        console.error(`GET /api/candidates/${id} Error:`, error);
+        res.status(500).json({ success: false, message: "Fehler beim Abrufen des Kandidaten." });
     }
-    query += ` ORDER BY ${orderBy};`;
+});
+
+router.get("/:id/status-history", authRequired, async (req, res) => {
+    const { id } = req.params;
 
     try {
-        const result = await pool.query(query, values);
+        const result = await pool.query(STATUS_HISTORY_QUERY, [id]);
+        res.status(200).json({ success: true, history: snakeToCamelArray(result.rows) });
+    } catch (error) {
+        console.error(`GET /api/candidates/${id}/status-history Error:`, error);
+        res.status(500).json({ success: false, message: "Fehler beim Abrufen der Status-Historie." });
+    }
+});
 
-        // Map DB rows (snake_case) to camelCase and merge duplicate candidate rows
-        const candidatesMap = new Map();
-        result.rows.forEach(row => {
-            const r = snakeToCamelObj(row);
-            if (!candidatesMap.has(r.id)) {
-                candidatesMap.set(r.id, {
-                    id: r.id,
-                    firstName: r.firstName,
-                    lastName: r.lastName,
-                    email: r.email,
-                    status: r.status,
-                    createdAt: r.createdAt,
-                    apprenticeships: []
-                });
-            }
+/**
+ * GET /:id/consensus - Reports on a candidate aggregated per event and across all events,
+ * with the attendance rate over the events the candidate was registered for or reported on
+ */
+router.get("/:id/consensus", authRequired, async (req, res) => {
+    const { id } = req.params;
 
-            if (r.apprenticeshipId) {
-                candidatesMap.get(r.id).apprenticeships.push({ id: r.apprenticeshipId, name: r.apprenticeship });
-            }
+    try {
+        const candidateResult = await pool.query(
+            "SELECT candidate_id FROM Candidate WHERE candidate_id = $1;",
+            [id]
+        );
+        if (candidateResult.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Kandidat nicht gefunden." });
+        }
+
+        const eventsResult = await pool.query(
+            `SELECT
+                e.event_id,
+                e.title,
+                to_char((SELECT MIN(es.date_at) FROM Event_Session es WHERE es.event_id = e.event_id), 'YYYY-MM-DD') as date_at,
+                er.status as registration_status,
+                EXISTS (SELECT 1 FROM Event_Checkin ci WHERE ci.registration_id = er.registration_id) as checked_in
+             FROM Event e
+             LEFT JOIN Event_Registration er ON er.event_id = e.event_id AND er.candidate_id = $1
+             WHERE er.status IN ('registered', 'no-show')
+                OR EXISTS (SELECT 1 FROM Event_Attendance ea WHERE ea.event_id = e.event_id AND ea.candidate_id = $1)
+             ORDER BY date_at DESC NULLS LAST, e.event_id DESC;`,
+            [id]
+        );
+        const reports = await loadReports(pool, { candidateId: id });
+
+        const events = eventsResult.rows.map(row => {
+            const summary = summarizeReports(reports.filter(report => report.event_id === row.event_id));
+            return {
+                eventId: row.event_id,
+                title: row.title,
+                dateAt: row.date_at,
+                registrationStatus: row.registration_status,
+                checkedIn: row.checked_in,
+                attended: hasAttended(summary, row.registration_status, row.checked_in),
+                summary
+            };
         });
 
-        const candidates = Array.from(candidatesMap.values());
-        res.status(200).json({ success: true, candidates });
+        res.status(200).json({
+            success: true,
+            candidateId: Number(id),
+            attendance: attendanceRate(events),
+            overall: summarizeReports(reports, { perEvent: false }),
+            events
+        });
     } catch (error) {
-        console.error("GET /api/candidates Error:", error);
-        res.status(500).json({ success: false, message: "Fehler beim Abrufen der Kandidaten." });
+        console.error(`GET /api/candidates/${id}/consensus Error:`, error);
+        res.status(500).json({ success: false, message: "Fehler beim Auswerten der Reports." });
+    }
+});
+
+/**
+ * PUT /:id/tags - Replace the tags of a candidate. Body: { tags: ["needs follow-up", ...] }
+ * Unknown tags are created on the fly.
+ */
+router.put("/:id/tags", authRequired, async (req, res) => {
+    const { id } = req.params;
+    const { tags } = req.body || {};
+
+    if (!Array.isArray(tags)) {
+        return res.status(400).json({ success: false, message: "tags muss eine Liste sein." });
+    }
+
+    const names = [...new Map(
+        tags.map(t => String(t || "").trim()).filter(Boolean).map(t => [t.toLowerCase(), t])
+    ).values()];
+    if (names.some(name => name.length > 64)) {
+        return res.status(400).json({ success: false, message: "Tags dürfen höchstens 64 Zeichen lang sein." });
+    }
+
+    const client = await pool.connect();
+    try {
+        const candidateCheck = await client.query("SELECT candidate_id FROM Candidate WHERE candidate_id = $1;", [id]);
+        if (candidateCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, message: "Kandidat nicht gefunden." });
+        }
+
+        await client.query("BEGIN");
+        const tagIds = [];
+        for (const name of names) {
+            const tagResult = await client.query(
+                `WITH inserted AS (
+                    INSERT INTO Tag (name) VALUES ($1)
+                    ON CONFLICT (LOWER(name)) DO NOTHING
+                    RETURNING tag_id
+                 )
+                 SELECT tag_id FROM inserted
+                 UNION ALL
+                 SELECT tag_id FROM Tag WHERE LOWER(name) = LOWER($1)
+                 LIMIT 1;`,
+                [name]
+            );
+            tagIds.push(tagResult.rows[0].tag_id);
+        }
+
+        await client.query(
+            "DELETE FROM Candidate_Tag WHERE candidate_id = $1 AND NOT (tag_id = ANY($2::int[]));",
+            [id, tagIds]
+        );
+        await client.query(
+            `INSERT INTO Candidate_Tag (candidate_id, tag_id, tagged_by)
+             SELECT $1, unnest($2::int[]), $3
+             ON CONFLICT DO NOTHING;`,
+            [id, tagIds, req.user.id]
+        );
+        await client.query("COMMIT");
+
+        await auditLog('UPDATE', 'candidate', parseInt(id), req.user.id, {
+            tags: names,
+            ip: req.ip
+        });
+
+        const result = await pool.query(
+            `SELECT t.tag_id as id, t.name
+             FROM Candidate_Tag ct
+             JOIN Tag t ON ct.tag_id = t.tag_id
+             WHERE ct.candidate_id = $1
+             ORDER BY t.name ASC;`,
+            [id]
+        );
+        res.status(200).json({ success: true, message: "Tags erfolgreich gespeichert.", tags: result.rows });
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error(`PUT /api/candidates/${id}/tags Error:`, error);
+        res.status(500).json({ success: false, message: "Serverfehler beim Speichern der Tags." });
+    } finally {
+        client.release();
     }
 });
 
 router.post("/", authRequired, async (req, res) => {
-    const { firstName, lastName, email, status, apprenticeshipId, apprenticeshipIds } = req.body || {};
+    const { firstName, lastName, email, birthDate, status, apprenticeshipId, apprenticeshipIds, force } = req.body || {};
     console.log("[DEBUG] POST /api/candidates body.apprenticeshipIds:", apprenticeshipIds, " apprenticeshipId:", apprenticeshipId);
     console.log("[DEBUG] Authenticated user:", req.user);
     const createdByAccountId = req.user.id;
@@ -110,35 +637,61 @@ router.post("/", authRequired, async (req, res) => {
         return res.status(400).json({ success: false, message: "Mindestens ein Lehrberuf ist erforderlich." });
     }
 
+    let client;
     try {
-        await pool.query('BEGIN');
+        // New candidates start in the first stage of their pipeline unless a valid stage is given
+        const initial = resolveInitialStatus(await loadApprenticeshipPipeline(pool, apprenticeshipIds), status);
+        if (initial.error) {
+            return res.status(400).json({ success: false, message: initial.error });
+        }
 
-        const candidateResult = await pool.query(
-            `INSERT INTO Candidate (first_name, last_name, email, candidate_status, created_by)
-             VALUES ($1, $2, $3, $4, $5)
+        // Fuzzy duplicate check; the client can confirm with force=true to create anyway
+        if (force !== true) {
+            const duplicates = await findCandidateDuplicates({ firstName, lastName, email, birthDate });
+            if (duplicates.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: "Möglicherweise existiert dieser Kandidat bereits.",
+                    duplicates
+                });
+            }
+        }
+
+        client = await pool.connect();
+        await client.query("BEGIN");
+
+        const candidateResult = await client.query(
+            `INSERT INTO Candidate (first_name, last_name, email, birth_date, candidate_status, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
              RETURNING candidate_id as id, email, first_name;`,
-            [firstName, lastName, email || null, status || 'Normal', createdByAccountId]
+            [firstName, lastName, email || null, birthDate || null, initial.status, createdByAccountId]
         );
         const newCandidate = candidateResult.rows[0];
 
         // Persist one or many apprenticeships if provided
         if (Array.isArray(apprenticeshipIds) && apprenticeshipIds.length > 0) {
             for (const appId of apprenticeshipIds) {
-                await pool.query(
+                await client.query(
                     `INSERT INTO Candidate_Apprenticeship (candidate_id, apprenticeship_id)
                      VALUES ($1, $2);`,
                     [newCandidate.id, appId]
                 );
             }
         } else if (apprenticeshipId) {
-            await pool.query(
+            await client.query(
                 `INSERT INTO Candidate_Apprenticeship (candidate_id, apprenticeship_id)
                  VALUES ($1, $2);`,
                 [newCandidate.id, apprenticeshipId]
             );
         }
 
-        await pool.query('COMMIT');
+        await recordStatusChange(client, {
+            candidateId: newCandidate.id,
+            toStatus: initial.status,
+            changedBy: createdByAccountId
+        });
+
+        await client.query("COMMIT");
 
         await auditLog('CREATE', 'candidate', newCandidate.id, createdByAccountId, {
           firstName,
@@ -153,7 +706,7 @@ router.post("/", authRequired, async (req, res) => {
             candidate: newCandidate 
         });
     } catch (err) {
-        await pool.query('ROLLBACK');
+        if (client) await client.query("ROLLBACK");
         console.error("POST /api/candidates Error:", err);
         console.error("Error Code:", err.code);
         console.error("Error Details:", err.message);
@@ -161,12 +714,138 @@ router.post("/", authRequired, async (req, res) => {
             return res.status(409).json({ success: false, message: "E-Mail-Adresse ist bereits registriert." });
         }
         res.status(500).json({ success: false, message: "Serverfehler beim Erstellen des Kandidaten: " + err.message });
+    } finally {
+        client?.release();
+    }
+});
+
+/**
+ * POST /import - Bulk import candidates from a CSV/XLSX upload (multipart field "file")
+ * Runs as a dry-run by default and only reports per-row errors and duplicates.
+ * With dryRun=false all valid rows are created in one transaction.
+ * Optional fields: mapping (JSON, column header -> candidate field), skipDuplicates
+ */
+router.post("/import", authRequired, uploadImportFile, async (req, res) => {
+    const dryRun = String(req.body?.dryRun ?? req.query.dryRun ?? "true") !== "false";
+    const skipDuplicates = String(req.body?.skipDuplicates ?? req.query.skipDuplicates ?? "false") === "true";
+
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: "Bitte eine CSV- oder XLSX-Datei hochladen." });
+    }
+
+    let customMapping = {};
+    if (req.body?.mapping) {
+        try {
+            customMapping = JSON.parse(req.body.mapping);
+        } catch {
+            return res.status(400).json({ success: false, message: "Ungültiges Spalten-Mapping (JSON erwartet)." });
+        }
+    }
+
+    let client;
+    try {
+        const { headers, rows, error } = await parseSpreadsheet(req.file);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (rows.length === 0) {
+            return res.status(400).json({ success: false, message: "Die Datei enthält keine Datenzeilen." });
+        }
+
+        const mapping = resolveColumnMapping(headers, customMapping);
+        const [apprenticeshipResult, candidateResult, stageResult] = await Promise.all([
+            pool.query("SELECT apprenticeship_id, name FROM Apprenticeship;"),
+            pool.query("SELECT candidate_id, first_name, last_name, email FROM Candidate;"),
+            pool.query("SELECT apprenticeship_id, name FROM Pipeline_Stage ORDER BY position ASC;")
+        ]);
+
+        const results = validateImportRows(rows, mapping, {
+            apprenticeships: apprenticeshipResult.rows,
+            existingCandidates: candidateResult.rows,
+            pipelineStages: stageResult.rows
+        });
+
+        // Email duplicates would violate the unique constraint, so they block the import unless skipped
+        const isBlockingDuplicate = (r) => r.duplicates.some(d => d.type === "email" || d.type === "file");
+        const toImport = results.filter(r => r.errors.length === 0 && !(skipDuplicates && r.duplicates.length > 0));
+
+        const summary = {
+            totalRows: results.length,
+            validRows: results.filter(r => r.errors.length === 0).length,
+            errorRows: results.filter(r => r.errors.length > 0).length,
+            duplicateRows: results.filter(r => r.duplicates.length > 0).length,
+            importableRows: toImport.length
+        };
+
+        const blocked = results.some(r => r.errors.length > 0) || (!skipDuplicates && results.some(isBlockingDuplicate));
+
+        if (dryRun || blocked) {
+            return res.status(dryRun ? 200 : 422).json({
+                success: dryRun,
+                dryRun,
+                message: dryRun ? undefined : "Import abgebrochen: Die Datei enthält fehlerhafte Zeilen oder Duplikate.",
+                mapping,
+                summary,
+                rows: results
+            });
+        }
+
+        client = await pool.connect();
+        await client.query("BEGIN");
+
+        const created = [];
+        for (const { row, candidate } of toImport) {
+            const insertResult = await client.query(
+                `INSERT INTO Candidate (first_name, last_name, email, candidate_status, created_by)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING candidate_id as id;`,
+                [candidate.firstName, candidate.lastName, candidate.email, candidate.status, req.user.id]
+            );
+            const candidateId = insertResult.rows[0].id;
+
+            for (const appId of candidate.apprenticeshipIds) {
+                await client.query(
+                    `INSERT INTO Candidate_Apprenticeship (candidate_id, apprenticeship_id) VALUES ($1, $2);`,
+                    [candidateId, appId]
+                );
+            }
+            await recordStatusChange(client, { candidateId, toStatus: candidate.status, changedBy: req.user.id, comment: 'Import' });
+            created.push({ row, id: candidateId, ...candidate });
+        }
+
+        await client.query("COMMIT");
+
+        for (const candidate of created) {
+            await auditLog('CREATE', 'candidate', candidate.id, req.user.id, {
+                firstName: candidate.firstName,
+                lastName: candidate.lastName,
+                email: candidate.email,
+                source: 'import',
+                fileName: req.file.originalname,
+                row: candidate.row,
+                ip: req.ip
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            dryRun: false,
+            message: `${created.length} Kandidaten erfolgreich importiert.`,
+            summary: { ...summary, createdRows: created.length, skippedRows: results.length - created.length },
+            created
+        });
+    } catch (err) {
+        if (client) await client.query("ROLLBACK");
+        console.error("POST /api/candidates/import Error:", err);
+        res.status(500).json({ success: false, message: "Serverfehler beim Import: " + err.message });
+    } finally {
+        client?.release();
     }
 });
 
 router.patch("/:id", authRequired, async (req, res) => {
     const { id } = req.params;
-    const { firstName, lastName, email, status, apprenticeshipId, apprenticeshipIds } = req.body || {};
+    const { firstName, lastName, email, birthDate, status, apprenticeshipId, apprenticeshipIds } = req.body || {};
     console.log(`[DEBUG] PATCH /api/candidates/${id} body.apprenticeshipIds:`, apprenticeshipIds, " apprenticeshipId:", apprenticeshipId);
 
     const fields = [];
@@ -185,6 +864,10 @@ router.patch("/:id", authRequired, async (req, res) => {
         fields.push(`email = $${queryIndex++}`);
         values.push(email);
     }
+    if (birthDate !== undefined) {
+        fields.push(`birth_date = $${queryIndex++}`);
+        values.push(birthDate || null);
+    }
     if (status) { 
         fields.push(`candidate_status = $${queryIndex++}`);
         values.push(status);
@@ -196,51 +879,236 @@ router.patch("/:id", authRequired, async (req, res) => {
     }
 
     values.push(id);
-    
+
+    let client;
     try {
-        const result = await pool.query(
-            `UPDATE candidate SET ${fields.join(", ")} WHERE candidate_id = $${queryIndex} RETURNING candidate_id as id;`,
-            values
-        );
+        client = await pool.connect();
+        await client.query("BEGIN");
 
-        if (result.rows.length === 0) {
+        const currentResult = await client.query(
+            "SELECT candidate_status FROM Candidate WHERE candidate_id = $1 FOR UPDATE;",
+            [id]
+        );
+        if (currentResult.rows.length === 0) {
+            await client.query("ROLLBACK");
             return res.status(404).json({ success: false, message: "Kandidat nicht gefunden." });
         }
-        
-        await auditLog('UPDATE', 'candidate', parseInt(id), req.user.id, {
-          fields: Object.keys(req.body),
-          ip: req.ip
-        });
-        
-        // If apprenticeshipIds provided, replace existing Candidate_Apprenticeship rows
+        const previousStatus = currentResult.rows[0].candidate_status;
+
+        // Apprenticeships first, so a status change is checked against the pipeline of the new set
         if (Array.isArray(apprenticeshipIds)) {
-            // remove existing associations
-            await pool.query(`DELETE FROM Candidate_Apprenticeship WHERE candidate_id = $1;`, [id]);
-            // insert new ones
+            // If apprenticeshipIds provided, replace existing Candidate_Apprenticeship rows
+            await client.query(`DELETE FROM Candidate_Apprenticeship WHERE candidate_id = $1;`, [id]);
             for (const appId of apprenticeshipIds) {
-                await pool.query(
+                await client.query(
                     `INSERT INTO Candidate_Apprenticeship (candidate_id, apprenticeship_id) VALUES ($1, $2);`,
                     [id, appId]
                 );
             }
         } else if (apprenticeshipId !== undefined) {
             // single id provided: replace existing with single association
-            await pool.query(`DELETE FROM Candidate_Apprenticeship WHERE candidate_id = $1;`, [id]);
+            await client.query(`DELETE FROM Candidate_Apprenticeship WHERE candidate_id = $1;`, [id]);
             if (apprenticeshipId) {
-                await pool.query(
+                await client.query(
                     `INSERT INTO Candidate_Apprenticeship (candidate_id, apprenticeship_id) VALUES ($1, $2);`,
                     [id, apprenticeshipId]
                 );
             }
         }
 
+        // Status changes must follow the candidate's pipeline
+        if (status) {
+            const pipeline = await loadCandidatePipeline(client, id);
+            const transitionError = validateTransition(pipeline, previousStatus, status);
+            if (transitionError) {
+                await client.query("ROLLBACK");
+                return res.status(422).json({ success: false, message: transitionError });
+            }
+        }
+
+        await client.query(
+            `UPDATE candidate SET ${fields.join(", ")} WHERE candidate_id = $${queryIndex};`,
+            values
+        );
+
+        if (status && status !== previousStatus) {
+            await recordStatusChange(client, {
+                candidateId: id,
+                fromStatus: previousStatus,
+                toStatus: status,
+                changedBy: req.user.id,
+                comment: req.body.statusComment || null
+            });
+        }
+
+        await client.query("COMMIT");
+
+        await auditLog('UPDATE', 'candidate', parseInt(id), req.user.id, {
+          fields: Object.keys(req.body),
+          ip: req.ip
+        });
+
         res.status(200).json({ success: true, message: "Kandidat erfolgreich aktualisiert." });
     } catch (err) {
+        if (client) await client.query("ROLLBACK");
         console.error(`PATCH /api/candidates/${id} Error:`, err);
         if (err.code === "23505") {
             return res.status(409).json({ success: false, message: "E-Mail-Adresse ist bereits registriert." });
         }
         res.status(500).json({ success: false, message: "Serverfehler beim Aktualisieren des Kandidaten." });
+    } finally {
+        client?.release();
+    }
+});
+
+/**
+ * POST /:id/merge - Fold the candidate `sourceId` into candidate :id (admin only)
+ * Apprenticeships, registrations, attendance reports, documents, notes and tags are re-pointed to the target,
+ * empty target fields are filled from the source, then the source is deleted.
+ * A recruiter has one report per candidate and event, so the source's report is dropped (kept in the
+ * revision history) where the same recruiter already reported on the target at that event.
+ */
+router.post("/:id/merge", authRequired, checkAdmin, async (req, res) => {
+    const targetId = parseInt(req.params.id, 10);
+    const sourceId = parseInt(req.body?.sourceId, 10);
+
+    if (!sourceId || sourceId === targetId) {
+        return res.status(400).json({ success: false, message: "Eine gültige sourceId (ungleich dem Ziel) ist erforderlich." });
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+
+        const candidatesResult = await client.query(
+            `SELECT candidate_id, first_name, last_name, email, birth_date, candidate_status, created_at, created_by
+             FROM Candidate WHERE candidate_id = ANY($1::int[]) FOR UPDATE;`,
+            [[targetId, sourceId]]
+        );
+        const target = candidatesResult.rows.find(r => r.candidate_id === targetId);
+        const source = candidatesResult.rows.find(r => r.candidate_id === sourceId);
+
+        if (!target || !source) {
+            await client.query("ROLLBACK");
+            return res.status(404).json({ success: false, message: "Kandidat nicht gefunden." });
+        }
+
+        const apprenticeships = await client.query(
+            `INSERT INTO Candidate_Apprenticeship (candidate_id, apprenticeship_id)
+             SELECT $1, ca.apprenticeship_id FROM Candidate_Apprenticeship ca
+             WHERE ca.candidate_id = $2
+               AND NOT EXISTS (SELECT 1 FROM Candidate_Apprenticeship t WHERE t.candidate_id = $1 AND t.apprenticeship_id = ca.apprenticeship_id);`,
+            [targetId, sourceId]
+        );
+        await client.query(`DELETE FROM Candidate_Apprenticeship WHERE candidate_id = $1;`, [sourceId]);
+
+        // Registrations for events the target is already registered for are dropped
+        const registrations = await client.query(
+            `UPDATE Event_Registration er SET candidate_id = $1
+             WHERE er.candidate_id = $2
+               AND NOT EXISTS (SELECT 1 FROM Event_Registration t WHERE t.candidate_id = $1 AND t.event_id = er.event_id);`,
+            [targetId, sourceId]
+        );
+        const droppedRegistrations = await client.query(`DELETE FROM Event_Registration WHERE candidate_id = $1;`, [sourceId]);
+
+        const collidingReports = await client.query(
+            `SELECT ea.attendance_id FROM Event_Attendance ea
+             WHERE ea.candidate_id = $2
+               AND EXISTS (
+                   SELECT 1 FROM Event_Attendance t
+                   WHERE t.candidate_id = $1 AND t.event_id = ea.event_id AND t.created_by IS NOT DISTINCT FROM ea.created_by
+               );`,
+            [targetId, sourceId]
+        );
+        const collidingIds = collidingReports.rows.map(row => row.attendance_id);
+        await recordRevisions(client, collidingIds, 'delete', req.user.id);
+        await client.query(`DELETE FROM Event_Attendance WHERE attendance_id = ANY($1::int[]);`, [collidingIds]);
+
+        const attendance = await client.query(
+            `UPDATE Event_Attendance SET candidate_id = $1 WHERE candidate_id = $2;`,
+            [targetId, sourceId]
+        );
+        await client.query(
+            `UPDATE Attendance_Revision SET candidate_id = $1 WHERE candidate_id = $2;`,
+            [targetId, sourceId]
+        );
+
+        // One invitation per event: a sent one wins over the target's pending or failed one
+        await client.query(
+            `DELETE FROM Event_Invitation t
+             WHERE t.candidate_id = $1 AND t.status <> 'sent'
+               AND EXISTS (SELECT 1 FROM Event_Invitation s WHERE s.candidate_id = $2 AND s.event_id = t.event_id AND s.status = 'sent');`,
+            [targetId, sourceId]
+        );
+        const invitations = await client.query(
+            `UPDATE Event_Invitation ei SET candidate_id = $1
+             WHERE ei.candidate_id = $2
+               AND NOT EXISTS (SELECT 1 FROM Event_Invitation t WHERE t.candidate_id = $1 AND t.event_id = ei.event_id);`,
+            [targetId, sourceId]
+        );
+        await client.query(`DELETE FROM Event_Invitation WHERE candidate_id = $1;`, [sourceId]);
+
+        const documents = await client.query(
+            `UPDATE Candidate_Document SET candidate_id = $1 WHERE candidate_id = $2;`,
+            [targetId, sourceId]
+        );
+        await client.query(
+            `UPDATE Candidate_Status_History SET candidate_id = $1 WHERE candidate_id = $2;`,
+            [targetId, sourceId]
+        );
+        await client.query(
+            `UPDATE Candidate_Note SET candidate_id = $1 WHERE candidate_id = $2;`,
+            [targetId, sourceId]
+        );
+        await client.query(
+            `INSERT INTO Candidate_Tag (candidate_id, tag_id, tagged_by, tagged_at)
+             SELECT $1, tag_id, tagged_by, tagged_at FROM Candidate_Tag WHERE candidate_id = $2
+             ON CONFLICT DO NOTHING;`,
+            [targetId, sourceId]
+        );
+
+        // Release the unique email before it may be copied to the target
+        await client.query(`UPDATE Candidate SET email = NULL WHERE candidate_id = $1;`, [sourceId]);
+        await client.query(
+            `UPDATE Candidate
+             SET email = COALESCE(email, $2),
+                 birth_date = COALESCE(birth_date, $3)
+             WHERE candidate_id = $1;`,
+            [targetId, source.email, source.birth_date]
+        );
+        await client.query(`DELETE FROM Candidate WHERE candidate_id = $1;`, [sourceId]);
+
+        await client.query("COMMIT");
+
+        const moved = {
+            apprenticeships: apprenticeships.rowCount,
+            registrations: registrations.rowCount,
+            droppedRegistrations: droppedRegistrations.rowCount,
+            attendanceReports: attendance.rowCount,
+            droppedAttendanceReports: collidingIds.length,
+            invitations: invitations.rowCount,
+            documents: documents.rowCount
+        };
+
+        await auditLog('MERGE', 'candidate', targetId, req.user.id, {
+            sourceId,
+            source: snakeToCamelObj(source),
+            moved,
+            ip: req.ip
+        });
+        await auditLog('DELETE', 'candidate', sourceId, req.user.id, {
+            mergedInto: targetId,
+            ip: req.ip
+        });
+
+        res.status(200).json({ success: true, message: "Kandidaten erfolgreich zusammengeführt.", targetId, sourceId, moved });
+    } catch (err) {
+        if (client) await client.query("ROLLBACK");
+        console.error(`POST /api/candidates/${targetId}/merge Error:`, err);
+        res.status(500).json({ success: false, message: "Serverfehler beim Zusammenführen der Kandidaten." });
+    } finally {
+        client?.release();
     }
 });
 
@@ -248,6 +1116,12 @@ router.delete("/:id", authRequired, async (req, res) => {
     const { id } = req.params;
 
     try {
+        // Collect stored files first, their rows are removed by ON DELETE CASCADE
+        const documentsResult = await pool.query(
+            "SELECT storage_key FROM Candidate_Document WHERE candidate_id = $1;",
+            [id]
+        );
+
         const result = await pool.query(
             "DELETE FROM candidate WHERE candidate_id = $1 RETURNING candidate_id as id;",
             [id]
@@ -257,6 +1131,8 @@ router.delete("/:id", authRequired, async (req, res) => {
             return res.status(404).json({ success: false, message: "Kandidat nicht gefunden." });
         }
 
+        await removeStoredFiles(documentsResult.rows.map(row => row.storage_key));
+
         await auditLog('DELETE', 'candidate', parseInt(id), req.user.id, {
           ip: req.ip
         });
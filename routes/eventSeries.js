@@ -0,0 +1,357 @@
+import express from 'express';
+import { pool } from '../config/db.js';
+import { authRequired } from '../middleware/auth.js';
+import { auditLog } from '../middleware/logging.js';
+import { CONFLICT_MESSAGE, findConflicts, loadEventSchedule } from '../utils/conflicts.js';
+import { loadEditableEvent } from '../utils/eventAccess.js';
+import { createOccurrence, loadSeries } from '../utils/eventSeries.js';
+import { validateSession } from '../utils/eventTimes.js';
+import { expandRRule, parseRRule, MAX_OCCURRENCES } from '../utils/recurrence.js';
+
+// Mounted at /api/events/:eventId/series
+// A series is defined on an existing event, which becomes its first occurrence. Every
+// occurrence is a regular event, so registrations and attendance attach to it as usual.
+// Editing one occurrence goes through PUT /api/events/:eventId, the whole series through PUT / here.
+const router = express.Router({ mergeParams: true });
+
+// Returns the exception dates as "YYYY-MM-DD" strings or null if one is invalid
+function parseExceptions(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) return null;
+  const dates = value.map(date => String(date).slice(0, 10));
+  return dates.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)) ? [...new Set(dates)] : null;
+}
+
+// Clashes of the given occurrences with other events. Run on the transaction client,
+// so new occurrences and changed times or locations are already taken into account.
+async function findOccurrenceConflicts(db, eventIds) {
+  const conflicts = [];
+  for (const eventId of eventIds) {
+    const schedule = await loadEventSchedule(db, eventId);
+    conflicts.push(...await findConflicts(db, { eventId, ...schedule }));
+  }
+  return conflicts;
+}
+
+function expandSeries(rule, startsOn, exceptions) {
+  const dates = expandRRule(rule, startsOn, exceptions);
+  if (dates.length > MAX_OCCURRENCES) {
+    return { error: `Die Serie ergibt mehr als ${MAX_OCCURRENCES} Termine. Bitte UNTIL oder COUNT anpassen.` };
+  }
+  return { dates };
+}
+
+/**
+ * GET / - The series of an event with all occurrences
+ */
+router.get("/", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const eventResult = await pool.query("SELECT series_id FROM Event WHERE event_id = $1", [eventId]);
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    }
+    if (!eventResult.rows[0].series_id) {
+      return res.status(404).json({ success: false, message: "Das Event gehört zu keiner Serie" });
+    }
+
+    const series = await loadSeries(pool, eventResult.rows[0].series_id);
+    res.json({ success: true, series });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/series Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST / - Turn an event into a recurring series
+ * Body: { rrule: "FREQ=MONTHLY;BYDAY=1WE;BYMONTH=9,10,11,12,1,2,3;UNTIL=20270331", exceptions?: ["2026-12-02"], force? }
+ * The first session date of the event is the start of the series.
+ * Occurrences that clash with other events are rejected with 409 unless force=true.
+ */
+router.post("/", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+  const { rrule, exceptions, force } = req.body || {};
+
+  const { rule, error: ruleError } = parseRRule(rrule);
+  if (ruleError) {
+    return res.status(400).json({ success: false, message: ruleError });
+  }
+  const exceptionDates = parseExceptions(exceptions);
+  if (!exceptionDates) {
+    return res.status(400).json({ success: false, message: "exceptions muss eine Liste von Daten (YYYY-MM-DD) sein" });
+  }
+
+  let client;
+  try {
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
+
+    if (event.series_id) {
+      return res.status(409).json({ success: false, message: "Das Event gehört bereits zu einer Serie" });
+    }
+
+    const startResult = await pool.query(
+      "SELECT to_char(MIN(date_at), 'YYYY-MM-DD') as starts_on FROM Event_Session WHERE event_id = $1",
+      [eventId]
+    );
+    const startsOn = startResult.rows[0].starts_on;
+    if (!startsOn) {
+      return res.status(400).json({ success: false, message: "Das Event hat keine Session, von der die Serie ausgehen kann" });
+    }
+
+    const { dates, error: expandError } = expandSeries(rule, startsOn, exceptionDates);
+    if (expandError) {
+      return res.status(400).json({ success: false, message: expandError });
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+    const seriesResult = await client.query(
+      `INSERT INTO Event_Series (rrule, starts_on, exceptions, created_by)
+       VALUES ($1, $2, $3::date[], $4)
+       RETURNING series_id;`,
+      [rrule.trim().replace(/^RRULE:/i, '').toUpperCase(), startsOn, exceptionDates, req.user.id]
+    );
+    const seriesId = seriesResult.rows[0].series_id;
+
+    await client.query(
+      "UPDATE Event SET series_id = $1, series_date = $2, series_modified = FALSE WHERE event_id = $3",
+      [seriesId, startsOn, eventId]
+    );
+    const createdIds = [];
+    for (const date of dates.filter(date => date !== startsOn)) {
+      createdIds.push(await createOccurrence(client, eventId, date));
+    }
+
+    const conflicts = await findOccurrenceConflicts(client, createdIds);
+    if (conflicts.length > 0 && force !== true) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ success: false, message: CONFLICT_MESSAGE, conflicts });
+    }
+    await client.query("COMMIT");
+
+    await auditLog('CREATE', 'event_series', seriesId, req.user.id, {
+      eventId: parseInt(eventId),
+      rrule,
+      exceptions: exceptionDates,
+      occurrences: dates.length,
+      forcedConflicts: conflicts.length > 0 ? conflicts.length : undefined,
+      ip: req.ip
+    });
+
+    const series = await loadSeries(pool, seriesId);
+    res.status(201).json({
+      success: true,
+      message: `Serie mit ${series.occurrences.length} Terminen erstellt`,
+      series,
+      conflicts: conflicts.length > 0 ? conflicts : undefined
+    });
+  } catch (error) {
+    if (client) await client.query("ROLLBACK");
+    console.error("POST /api/events/:eventId/series Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * PUT / - Edit the whole series
+ * Body: { title?, description?, branchId?, locationId?, registrationRequired?, startingAt?, endingAt?, rrule?, exceptions?, force? }
+ * Changes apply to upcoming occurrences that were not edited individually; past occurrences stay as they are.
+ * Moved, relocated or new occurrences that clash with other events are rejected with 409 unless force=true.
+ * A changed rrule or exceptions list removes upcoming occurrences that no longer match (refused with 409
+ * if they already have registrations or attendance) and creates the missing ones.
+ */
+router.put("/", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+  const { title, description, branchId, locationId, registrationRequired, startingAt, endingAt, rrule, exceptions, force } = req.body || {};
+
+  let rule = null;
+  if (rrule !== undefined) {
+    const parsed = parseRRule(rrule);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    rule = parsed.rule;
+  }
+  const exceptionDates = exceptions === undefined ? null : parseExceptions(exceptions);
+  if (exceptions !== undefined && !exceptionDates) {
+    return res.status(400).json({ success: false, message: "exceptions muss eine Liste von Daten (YYYY-MM-DD) sein" });
+  }
+
+  let client;
+  try {
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
+
+    if (!event.series_id) {
+      return res.status(404).json({ success: false, message: "Das Event gehört zu keiner Serie" });
+    }
+    const seriesId = event.series_id;
+    const current = await loadSeries(pool, seriesId);
+
+    const affectedResult = await pool.query(
+      `SELECT event_id FROM Event
+       WHERE series_id = $1 AND series_date >= CURRENT_DATE AND series_modified = FALSE`,
+      [seriesId]
+    );
+    const affectedIds = affectedResult.rows.map(r => r.event_id);
+
+    if (startingAt || endingAt) {
+      const sessionsResult = await pool.query(
+        `SELECT event_id, to_char(date_at, 'YYYY-MM-DD') as date_at, starting_at, ending_at
+         FROM Event_Session WHERE event_id = ANY($1::int[])`,
+        [affectedIds]
+      );
+      const perEvent = new Map();
+      for (const session of sessionsResult.rows) {
+        perEvent.set(session.event_id, (perEvent.get(session.event_id) || 0) + 1);
+        const sessionError = validateSession({
+          dateAt: session.date_at,
+          startingAt: startingAt || session.starting_at,
+          endingAt: endingAt || session.ending_at
+        });
+        if (sessionError) {
+          return res.status(400).json({ success: false, message: sessionError });
+        }
+      }
+      if ([...perEvent.values()].some(count => count > 1)) {
+        return res.status(409).json({
+          success: false,
+          message: "Termine mit mehreren Sessions können nicht für die ganze Serie verschoben werden. Bitte die Sessions einzeln bearbeiten."
+        });
+      }
+    }
+
+    let targetDates = null;
+    if (rule || exceptionDates) {
+      const effectiveRule = rule || parseRRule(current.rrule).rule;
+      const { dates, error: expandError } = expandSeries(effectiveRule, current.startsOn, exceptionDates || current.exceptions);
+      if (expandError) {
+        return res.status(400).json({ success: false, message: expandError });
+      }
+      targetDates = dates;
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    await client.query(
+      `UPDATE Event
+       SET title = COALESCE($1, title),
+           description = COALESCE($2, description),
+           branch_id = COALESCE($3, branch_id),
+           location_id = COALESCE($4, location_id),
+           registration_required = COALESCE($5, registration_required)
+       WHERE event_id = ANY($6::int[]);`,
+      [title || null, description || null, branchId || null, locationId || null, registrationRequired ?? null, affectedIds]
+    );
+    if (startingAt || endingAt) {
+      await client.query(
+        `UPDATE Event_Session
+         SET starting_at = COALESCE($1, starting_at),
+             ending_at = COALESCE($2, ending_at)
+         WHERE event_id = ANY($3::int[]);`,
+        [startingAt || null, endingAt || null, affectedIds]
+      );
+    }
+
+    let removed = [];
+    let added = [];
+    const addedIds = [];
+    if (targetDates) {
+      await client.query(
+        "UPDATE Event_Series SET rrule = $1, exceptions = $2::date[] WHERE series_id = $3",
+        [rule ? rrule.trim().replace(/^RRULE:/i, '').toUpperCase() : current.rrule, exceptionDates || current.exceptions, seriesId]
+      );
+
+      const today = new Date().toISOString().slice(0, 10);
+      const target = new Set(targetDates);
+      const existing = new Set(current.occurrences.map(o => o.seriesDate));
+
+      const obsolete = current.occurrences.filter(o => o.seriesDate >= today && !target.has(o.seriesDate));
+      if (obsolete.length > 0) {
+        const usedResult = await client.query(
+          `SELECT e.event_id, to_char(e.series_date, 'YYYY-MM-DD') as series_date
+           FROM Event e
+           WHERE e.event_id = ANY($1::int[])
+             AND (EXISTS (SELECT 1 FROM Event_Registration r WHERE r.event_id = e.event_id)
+               OR EXISTS (SELECT 1 FROM Event_Attendance a WHERE a.event_id = e.event_id))`,
+          [obsolete.map(o => o.id)]
+        );
+        if (usedResult.rows.length > 0) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            success: false,
+            message: "Folgende Termine haben bereits Anmeldungen oder Berichte und können nicht entfernt werden",
+            dates: usedResult.rows.map(r => r.series_date)
+          });
+        }
+        await client.query("DELETE FROM Event WHERE event_id = ANY($1::int[])", [obsolete.map(o => o.id)]);
+        removed = obsolete.map(o => o.seriesDate);
+      }
+
+      const missing = targetDates.filter(date => date >= today && !existing.has(date));
+      if (missing.length > 0) {
+        // Copy from the latest occurrence that still follows the series
+        const templateResult = await client.query(
+          `SELECT event_id FROM Event
+           WHERE series_id = $1
+           ORDER BY series_modified ASC, series_date DESC
+           LIMIT 1`,
+          [seriesId]
+        );
+        const templateId = templateResult.rows[0]?.event_id ?? parseInt(eventId);
+        for (const date of missing) {
+          addedIds.push(await createOccurrence(client, templateId, date));
+        }
+        added = missing;
+      }
+    }
+
+    const rescheduledIds = startingAt || endingAt || locationId ? affectedIds : [];
+    const conflicts = await findOccurrenceConflicts(client, [...rescheduledIds, ...addedIds]);
+    if (conflicts.length > 0 && force !== true) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ success: false, message: CONFLICT_MESSAGE, conflicts });
+    }
+
+    await client.query("COMMIT");
+
+    await auditLog('UPDATE', 'event_series', seriesId, req.user.id, {
+      eventId: parseInt(eventId),
+      title,
+      locationId,
+      startingAt,
+      endingAt,
+      rrule,
+      exceptions: exceptionDates,
+      updatedOccurrences: affectedIds,
+      addedDates: added,
+      removedDates: removed,
+      forcedConflicts: conflicts.length > 0 ? conflicts.length : undefined,
+      ip: req.ip
+    });
+
+    const series = await loadSeries(pool, seriesId);
+    res.json({
+      success: true,
+      message: "Serie erfolgreich aktualisiert",
+      series,
+      addedDates: added,
+      removedDates: removed,
+      conflicts: conflicts.length > 0 ? conflicts : undefined
+    });
+  } catch (error) {
+    if (client) await client.query("ROLLBACK");
+    console.error("PUT /api/events/:eventId/series Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  } finally {
+    client?.release();
+  }
+});
+
+export default router;
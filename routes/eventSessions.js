@@ -0,0 +1,228 @@
+import express from 'express';
+import { pool } from '../config/db.js';
+import { authRequired } from '../middleware/auth.js';
+import { auditLog } from '../middleware/logging.js';
+import { snakeToCamelObj, snakeToCamelArray } from '../utils/caseUtils.js';
+import { CONFLICT_MESSAGE, findConflicts, loadEventSchedule } from '../utils/conflicts.js';
+import { loadEditableEvent } from '../utils/eventAccess.js';
+import { markOccurrenceModified } from '../utils/eventSeries.js';
+import { defaultEndingAt, validateSession } from '../utils/eventTimes.js';
+import { parseCapacity, refillFromWaitlist } from '../utils/registrations.js';
+
+// Mounted at /api/events/:eventId/sessions
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET / - All sessions of an event in chronological order
+ */
+router.get("/", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const result = await pool.query(`
+      SELECT
+        session_id as id,
+        event_id,
+        date_at,
+        starting_at,
+        ending_at,
+        capacity
+      FROM Event_Session
+      WHERE event_id = $1
+      ORDER BY date_at ASC, starting_at ASC
+    `, [eventId]);
+
+    res.json({
+      success: true,
+      sessions: snakeToCamelArray(result.rows)
+    });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/sessions Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * Clashes of one session of the event with other events at its location or of its recruiters
+ */
+async function findSessionConflicts(eventId, session) {
+  const schedule = await loadEventSchedule(pool, eventId);
+  return findConflicts(pool, {
+    eventId: parseInt(eventId),
+    sessions: [session],
+    locationId: schedule.locationId,
+    recruiterIds: schedule.recruiterIds
+  });
+}
+
+/**
+ * POST / - Add a session. Body: { dateAt, startingAt, endingAt?, capacity?, force? }
+ * Clashes with other events are rejected with 409 unless force=true.
+ */
+router.post("/", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+  const { dateAt, startingAt, endingAt, capacity, force } = req.body || {};
+
+  const sessionError = validateSession({ dateAt, startingAt, endingAt });
+  if (sessionError) {
+    return res.status(400).json({ success: false, message: sessionError });
+  }
+  const sessionCapacity = capacity === undefined ? null : parseCapacity(capacity);
+  if (sessionCapacity === undefined) {
+    return res.status(400).json({ success: false, message: "capacity muss eine ganze Zahl ab 0 sein" });
+  }
+
+  try {
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
+
+    const finalEndingAt = endingAt || defaultEndingAt(startingAt);
+    const conflicts = await findSessionConflicts(eventId, { dateAt, startingAt, endingAt: finalEndingAt });
+    if (conflicts.length > 0 && force !== true) {
+      return res.status(409).json({ success: false, message: CONFLICT_MESSAGE, conflicts });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO Event_Session (event_id, date_at, starting_at, ending_at, capacity)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING session_id as id, event_id, date_at, starting_at, ending_at, capacity;`,
+      [eventId, dateAt, startingAt, finalEndingAt, sessionCapacity]
+    );
+    const session = snakeToCamelObj(result.rows[0]);
+    await markOccurrenceModified(pool, eventId);
+
+    await auditLog('CREATE', 'event_session', session.id, req.user.id, {
+      eventId: parseInt(eventId),
+      dateAt,
+      startingAt,
+      endingAt: finalEndingAt,
+      capacity: sessionCapacity,
+      forcedConflicts: conflicts.length > 0 ? conflicts.length : undefined,
+      ip: req.ip
+    });
+
+    res.status(201).json({ success: true, session, conflicts: conflicts.length > 0 ? conflicts : undefined });
+  } catch (error) {
+    console.error("POST /api/events/:eventId/sessions Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /:sessionId - Change date, times or capacity of a single session
+ * New times that clash with other events are rejected with 409 unless force=true.
+ */
+router.put("/:sessionId", authRequired, async (req, res) => {
+  const { eventId, sessionId } = req.params;
+  const { dateAt, startingAt, endingAt, capacity, force } = req.body || {};
+
+  const newCapacity = capacity === undefined ? undefined : parseCapacity(capacity);
+  if (capacity !== undefined && newCapacity === undefined) {
+    return res.status(400).json({ success: false, message: "capacity muss eine ganze Zahl ab 0 sein" });
+  }
+
+  try {
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
+
+    const currentResult = await pool.query(
+      "SELECT to_char(date_at, 'YYYY-MM-DD') as date_at, starting_at, ending_at FROM Event_Session WHERE session_id = $1 AND event_id = $2",
+      [sessionId, eventId]
+    );
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Session nicht gefunden" });
+    }
+
+    const current = currentResult.rows[0];
+    const merged = {
+      dateAt: dateAt || current.date_at,
+      startingAt: startingAt || current.starting_at,
+      endingAt: endingAt || current.ending_at
+    };
+    const sessionError = validateSession(merged);
+    if (sessionError) {
+      return res.status(400).json({ success: false, message: sessionError });
+    }
+
+    const conflicts = dateAt || startingAt || endingAt ? await findSessionConflicts(eventId, merged) : [];
+    if (conflicts.length > 0 && force !== true) {
+      return res.status(409).json({ success: false, message: CONFLICT_MESSAGE, conflicts });
+    }
+
+    const result = await pool.query(
+      `UPDATE Event_Session
+       SET date_at = COALESCE($1, date_at),
+           starting_at = COALESCE($2, starting_at),
+           ending_at = COALESCE($3, ending_at),
+           capacity = CASE WHEN $6 THEN $7::int ELSE capacity END
+       WHERE session_id = $4 AND event_id = $5
+       RETURNING session_id as id, event_id, date_at, starting_at, ending_at, capacity;`,
+      [dateAt || null, startingAt || null, endingAt || null, sessionId, eventId, newCapacity !== undefined, newCapacity ?? null]
+    );
+    const session = snakeToCamelObj(result.rows[0]);
+    await markOccurrenceModified(pool, eventId);
+
+    // A raised (or removed) capacity frees places for the waitlist
+    const promoted = newCapacity !== undefined ? await refillFromWaitlist(eventId) : [];
+
+    await auditLog('UPDATE', 'event_session', parseInt(sessionId), req.user.id, {
+      eventId: parseInt(eventId),
+      dateAt,
+      startingAt,
+      endingAt,
+      capacity: newCapacity,
+      promotedCandidateIds: promoted.length > 0 ? promoted.map(r => r.candidate_id) : undefined,
+      forcedConflicts: conflicts.length > 0 ? conflicts.length : undefined,
+      ip: req.ip
+    });
+
+    res.json({ success: true, session, promoted, conflicts: conflicts.length > 0 ? conflicts : undefined });
+  } catch (error) {
+    console.error("PUT /api/events/:eventId/sessions/:sessionId Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /:sessionId - Remove a session; the last session of an event cannot be removed
+ */
+router.delete("/:sessionId", authRequired, async (req, res) => {
+  const { eventId, sessionId } = req.params;
+
+  try {
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
+
+    const countResult = await pool.query(
+      "SELECT COUNT(*)::int as count FROM Event_Session WHERE event_id = $1",
+      [eventId]
+    );
+    if (countResult.rows[0].count <= 1) {
+      return res.status(409).json({
+        success: false,
+        message: "Die letzte Session eines Events kann nicht gelöscht werden. Bitte stattdessen das Event löschen."
+      });
+    }
+
+    const result = await pool.query(
+      "DELETE FROM Event_Session WHERE session_id = $1 AND event_id = $2 RETURNING session_id",
+      [sessionId, eventId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Session nicht gefunden" });
+    }
+    await markOccurrenceModified(pool, eventId);
+
+    await auditLog('DELETE', 'event_session', parseInt(sessionId), req.user.id, {
+      eventId: parseInt(eventId),
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: "Session erfolgreich gelöscht" });
+  } catch (error) {
+    console.error("DELETE /api/events/:eventId/sessions/:sessionId Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
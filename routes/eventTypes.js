@@ -0,0 +1,256 @@
+import express from 'express';
+import { pool } from '../config/db.js';
+import { authRequired, checkAdmin } from '../middleware/auth.js';
+import { auditLog } from '../middleware/logging.js';
+import { snakeToCamelObj, snakeToCamelArray } from '../utils/caseUtils.js';
+import { loadEventType, validateEventType } from '../utils/eventTemplates.js';
+
+// Event templates (Event_Type), mounted at /api/event-types
+const router = express.Router();
+
+// Body fields and their Event_Type columns; fields missing in a PUT keep their value
+const FIELDS = {
+  title: 'title',
+  description: 'description',
+  branchId: 'branch_id',
+  locationId: 'location_id',
+  registrationRequired: 'registrations_required',
+  startingAt: 'starting_at',
+  endingAt: 'ending_at',
+  multipleSessions: 'multiple_sessions',
+  capacity: 'capacity',
+  invitationsDaysBefore: 'invitations_days_before',
+  registrationsCloseDaysBefore: 'registrations_close_days_before',
+  publicRegistration: 'public_registration',
+  registrationForm: 'registration_form',
+};
+
+function toValues(body, existing = {}) {
+  const values = {};
+  for (const [field, column] of Object.entries(FIELDS)) {
+    values[field] = body[field] !== undefined ? body[field] : existing[column] ?? null;
+  }
+  values.title = typeof values.title === 'string' ? values.title.trim() : values.title;
+  values.registrationRequired = values.registrationRequired === true;
+  values.multipleSessions = values.multipleSessions === true;
+  values.publicRegistration = values.publicRegistration === true;
+  values.registrationForm = values.registrationForm || [];
+  values.recruiterIds = body.recruiterIds !== undefined ? body.recruiterIds : existing.recruiter_ids || [];
+  return values;
+}
+
+async function saveRecruiters(client, templateId, recruiterIds) {
+  await client.query("DELETE FROM Event_Type_Recruiter WHERE template_id = $1", [templateId]);
+  for (const recruiterId of new Set(recruiterIds)) {
+    await client.query(
+      "INSERT INTO Event_Type_Recruiter (template_id, recruiter_id) VALUES ($1, $2)",
+      [templateId, recruiterId]
+    );
+  }
+}
+
+function columnValues(values) {
+  return [
+    values.title,
+    values.description || null,
+    values.branchId || null,
+    values.locationId || null,
+    values.registrationRequired,
+    values.startingAt || null,
+    values.endingAt || null,
+    values.multipleSessions,
+    values.capacity ?? null,
+    values.invitationsDaysBefore ?? null,
+    values.registrationsCloseDaysBefore ?? null,
+    values.publicRegistration,
+    JSON.stringify(values.registrationForm),
+  ];
+}
+
+function sendSaveError(res, error, route) {
+  // Unknown location, branch or recruiter
+  if (error.code === "23503") {
+    return res.status(400).json({ success: false, message: "Ort, Bereich oder Recruiter existiert nicht" });
+  }
+  console.error(`${route} Error:`, error);
+  res.status(500).json({ success: false, message: error.message });
+}
+
+/**
+ * GET / - All event templates with their default recruiters
+ */
+router.get("/", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        et.*,
+        l.name as location_name,
+        COALESCE(
+          (SELECT array_agg(r.recruiter_id ORDER BY r.recruiter_id) FROM Event_Type_Recruiter r WHERE r.template_id = et.template_id),
+          '{}'
+        ) as recruiter_ids,
+        (SELECT COUNT(*)::int FROM Event e WHERE e.template_id = et.template_id) as event_count
+      FROM Event_Type et
+      LEFT JOIN Location l ON et.location_id = l.location_id
+      ORDER BY et.title ASC
+    `);
+
+    res.status(200).json({ success: true, eventTypes: snakeToCamelArray(result.rows) });
+  } catch (error) {
+    console.error("GET /api/event-types Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /:templateId - One event template
+ */
+router.get("/:templateId", authRequired, async (req, res) => {
+  try {
+    const template = await loadEventType(pool, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Eventvorlage nicht gefunden" });
+    }
+
+    res.status(200).json({ success: true, eventType: snakeToCamelObj(template) });
+  } catch (error) {
+    console.error("GET /api/event-types/:templateId Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST / - Create an event template (admin only)
+ * Body: { title, description, branchId, locationId, registrationRequired, startingAt, endingAt,
+ *         multipleSessions, capacity, invitationsDaysBefore, registrationsCloseDaysBefore,
+ *         publicRegistration, registrationForm, recruiterIds }
+ */
+router.post("/", authRequired, checkAdmin, async (req, res) => {
+  const body = req.body || {};
+  const validationError = validateEventType(body);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  const values = toValues(body);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO Event_Type (title, description, branch_id, location_id, registrations_required, starting_at, ending_at,
+                               multiple_sessions, capacity, invitations_days_before, registrations_close_days_before,
+                               public_registration, registration_form)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13::jsonb)
+       RETURNING template_id`,
+      columnValues(values)
+    );
+    const templateId = result.rows[0].template_id;
+    await saveRecruiters(client, templateId, values.recruiterIds);
+    await client.query("COMMIT");
+
+    await auditLog('CREATE', 'event_type', templateId, req.user.id, {
+      title: values.title,
+      ip: req.ip
+    });
+
+    res.status(201).json({ success: true, eventType: snakeToCamelObj(await loadEventType(pool, templateId)) });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    sendSaveError(res, error, "POST /api/event-types");
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /:templateId - Update an event template (admin only)
+ * Only the given fields change; null clears optional fields. Existing events are not affected.
+ */
+router.put("/:templateId", authRequired, checkAdmin, async (req, res) => {
+  const body = req.body || {};
+  const validationError = validateEventType(body, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  const client = await pool.connect();
+  try {
+    const existing = await loadEventType(client, req.params.templateId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Eventvorlage nicht gefunden" });
+    }
+
+    // Times are checked again together with the unchanged one
+    const values = toValues(body, existing);
+    const mergedError = validateEventType(values);
+    if (mergedError) {
+      return res.status(400).json({ success: false, message: mergedError });
+    }
+
+    await client.query("BEGIN");
+    await client.query(
+      `UPDATE Event_Type
+       SET title = $1, description = $2, branch_id = $3, location_id = $4, registrations_required = $5,
+           starting_at = $6, ending_at = $7, multiple_sessions = $8, capacity = $9, invitations_days_before = $10,
+           registrations_close_days_before = $11, public_registration = $12, registration_form = $13::jsonb
+       WHERE template_id = $14`,
+      [...columnValues(values), existing.template_id]
+    );
+    if (body.recruiterIds !== undefined) {
+      await saveRecruiters(client, existing.template_id, values.recruiterIds);
+    }
+    await client.query("COMMIT");
+
+    await auditLog('UPDATE', 'event_type', existing.template_id, req.user.id, {
+      fields: Object.keys(body).filter(key => key in FIELDS || key === 'recruiterIds'),
+      ip: req.ip
+    });
+
+    res.status(200).json({ success: true, eventType: snakeToCamelObj(await loadEventType(pool, existing.template_id)) });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    sendSaveError(res, error, "PUT /api/event-types/:templateId");
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /:templateId - Delete an event template (admin only)
+ * Events created from it keep their values and lose the reference.
+ */
+router.delete("/:templateId", authRequired, checkAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const eventsResult = await client.query(
+      "UPDATE Event SET template_id = NULL WHERE template_id = $1",
+      [req.params.templateId]
+    );
+    const result = await client.query(
+      "DELETE FROM Event_Type WHERE template_id = $1 RETURNING template_id, title",
+      [req.params.templateId]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "Eventvorlage nicht gefunden" });
+    }
+    await client.query("COMMIT");
+
+    await auditLog('DELETE', 'event_type', result.rows[0].template_id, req.user.id, {
+      title: result.rows[0].title,
+      detachedEvents: eventsResult.rowCount,
+      ip: req.ip
+    });
+
+    res.status(200).json({ success: true, message: `Eventvorlage "${result.rows[0].title}" wurde gelöscht.` });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("DELETE /api/event-types/:templateId Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
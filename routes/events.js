@@ -1,12 +1,48 @@
 import express from 'express';
 import { pool } from '../config/db.js';
-import { authRequired, checkAdmin } from '../middleware/auth.js';
+import { authRequired, checkAdmin, isAdmin } from '../middleware/auth.js';
 import { auditLog } from '../middleware/logging.js';
+import { diffVersions, loadDeletedReports, loadReportHistories, recordRevisions } from '../utils/attendanceRevisions.js';
 import { snakeToCamelObj, snakeToCamelArray } from '../utils/caseUtils.js';
+import { checkinQrCode, checkinUrl, ensureCheckinTokens, findCheckinSession, loadSessionAttendance } from '../utils/checkin.js';
+import { CONFLICT_MESSAGE, findConflicts, findUpcomingConflicts, loadEventSchedule } from '../utils/conflicts.js';
+import { ATTENDANCE_VALUES, attendanceRate, hasAttended, loadReports, normalizeAttendance, rankCandidates, summarizeReports } from '../utils/consensus.js';
+import { loadEditableEvent } from '../utils/eventAccess.js';
+import { copyEvent, loadShiftedSessions } from '../utils/eventCopy.js';
+import { buildEventFilters, eventOrderBy } from '../utils/eventFilters.js';
+import { loadEventSummary } from '../utils/eventSummary.js';
+import { loadSummaryTemplate, renderEventSummaryPdf } from '../utils/eventSummaryPdf.js';
+import { applyEventType, loadEventType } from '../utils/eventTemplates.js';
+import { defaultEndingAt, isValidDate, validateSession } from '../utils/eventTimes.js';
+import { buildCalendar, loadCalendarSessions, sendCalendar } from '../utils/ics.js';
+import { INVITATION_STATUSES } from '../utils/invitations.js';
+import { createRegistrationKey, createRegistrationToken, registrationLinkUrl } from '../utils/publicRegistration.js';
+import { validateFormDefinition } from '../utils/registrationForm.js';
+import { hasFreePlace, isRegistrationClosed, lockEventForRegistration, parseCapacity, promoteFromWaitlist, refillFromWaitlist, registerCandidate, REGISTRATION_STATUSES } from '../utils/registrations.js';
+import { loadScores, resolveScorecard, saveScores, validateScores } from '../utils/scorecards.js';
 
 const router = express.Router();
 
-router.get("/", async (req, res) => {
+/**
+ * GET / - Events with their sessions and registration/recruiter counts
+ * Query: when (upcoming|past), dateFrom, dateTo, branchId, locationId, templateId,
+ * assignedToMe, createdByMe, sort_by (created_at_desc|date_asc|date_desc|title_asc), page, limit
+ */
+router.get("/", authRequired, async (req, res) => {
+  const { sort_by, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+
+  if ([dateFrom, dateTo].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    return res.status(400).json({ success: false, message: "dateFrom und dateTo müssen im Format YYYY-MM-DD angegeben werden" });
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const offset = (pageNumber - 1) * pageSize;
+
+  const values = [];
+  const conditions = buildEventFilters(req.query, values, req.user);
+  const whereClause = conditions.length > 0 ? " WHERE " + conditions.join(" AND ") : "";
+
   try {
     const result = await pool.query(`
       SELECT 
@@ -20,8 +56,11 @@ router.get("/", async (req, res) => {
         e.invitations_sent as "invitationsSent",
         e.invitations_sending_at as "invitationsSendingAt",
         e.registrations_closing_at as "registrationsClosingAt",
+        e.capacity,
         e.created_at as "createdAt",
         e.created_by as "createdByAccountId",
+        e.series_id as "seriesId",
+        e.series_modified as "seriesModified",
         a.first_name as "createdByFirstName",
         a.last_name as "createdByLastName",
         es.date_at as "dateAt",
@@ -30,16 +69,51 @@ router.get("/", async (req, res) => {
         l.name as "locationName",
         l.address as "locationAddress",
         l.city as "locationCity",
-        l.plz as "locationPlz"
+        l.plz as "locationPlz",
+        COALESCE(
+          (SELECT json_agg(json_build_object(
+              'id', s.session_id,
+              'dateAt', s.date_at,
+              'startingAt', s.starting_at,
+              'endingAt', s.ending_at,
+              'capacity', s.capacity
+            ) ORDER BY s.date_at, s.starting_at)
+           FROM Event_Session s
+           WHERE s.event_id = e.event_id),
+          '[]'::json
+        ) as sessions,
+        (SELECT COUNT(*)::int FROM Event_Registration er WHERE er.event_id = e.event_id AND er.status = 'registered') as "registrationCount",
+        (SELECT COUNT(*)::int FROM Event_Registration er WHERE er.event_id = e.event_id AND er.status = 'waitlisted') as "waitlistCount",
+        (SELECT COUNT(*)::int FROM Event_Recruiter r WHERE r.event_id = e.event_id) as "recruiterCount"
       FROM Event e
       JOIN Account a ON e.created_by = a.account_id
-      LEFT JOIN Event_Session es ON e.event_id = es.event_id
+      LEFT JOIN LATERAL (
+        -- First session, kept flat for clients that only show one date
+        SELECT date_at, starting_at, ending_at
+        FROM Event_Session
+        WHERE event_id = e.event_id
+        ORDER BY date_at, starting_at
+        LIMIT 1
+      ) es ON true
       LEFT JOIN Location l ON e.location_id = l.location_id
-      ORDER BY e.created_at DESC;
-    `);
+      ${whereClause}
+      ORDER BY ${eventOrderBy(sort_by)}
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2};
+    `, [...values, pageSize, offset]);
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int as total FROM Event e ${whereClause};`,
+      values
+    );
+    const total = countResult.rows[0].total;
+
     res.status(200).json({
       success: true,
       events: result.rows,
+      total,
+      page: pageNumber,
+      limit: pageSize,
+      totalPages: Math.ceil(total / pageSize)
     });
   } catch (error) {
     console.error("GET /api/events Error:", error);
@@ -47,32 +121,166 @@ router.get("/", async (req, res) => {
   }
 });
 
-router.post("/", authRequired, async (req, res) => {
-  const { title, description, branchId, templateId, locationId, registrationRequired, dateAt, startingAt, endingAt, invitationsSendingAt, registrationsClosingAt } = req.body || {};
-  console.log("POST /api/events request body:", req.body);
+/**
+ * GET /conflicts - Clashes between events (same location or recruiter at overlapping times)
+ * Query: weeks (default 4, max 52), counted from today
+ */
+router.get("/conflicts", authRequired, async (req, res) => {
+  const weeks = req.query.weeks === undefined ? 4 : Number(req.query.weeks);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+    return res.status(400).json({ success: false, message: "weeks muss eine ganze Zahl zwischen 1 und 52 sein" });
+  }
+
+  try {
+    const conflicts = await findUpcomingConflicts(pool, { weeks });
+    res.json({ success: true, weeks, conflicts });
+  } catch (error) {
+    console.error("GET /api/events/conflicts Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-  if (!title || !locationId || !dateAt || !startingAt) {
+/**
+ * POST /checkin - Check a candidate in by the token of their QR code
+ * Body: { token, sessionId? }. Without sessionId the registration's session or today's session is used.
+ * A no-show registration becomes registered again.
+ */
+router.post("/checkin", authRequired, async (req, res) => {
+  const { token, sessionId } = req.body || {};
+  if (!token || typeof token !== "string") {
+    return res.status(400).json({ success: false, message: "token ist erforderlich" });
+  }
+  if (sessionId !== undefined && sessionId !== null && !Number.isInteger(sessionId)) {
+    return res.status(400).json({ success: false, message: "sessionId muss eine ganze Zahl sein" });
+  }
+
+  try {
+    const registrationResult = await pool.query(`
+      SELECT er.registration_id, er.event_id, er.candidate_id, er.session_id, er.status,
+             c.first_name, c.last_name, e.title as event_title
+      FROM Event_Registration er
+      JOIN Candidate c ON er.candidate_id = c.candidate_id
+      JOIN Event e ON er.event_id = e.event_id
+      WHERE er.checkin_token = $1
+    `, [token]);
+    const registration = registrationResult.rows[0];
+    if (!registration) {
+      return res.status(404).json({ success: false, message: "Ungültiger Check-in-Code" });
+    }
+    if (!["registered", "no-show"].includes(registration.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `${registration.first_name} ${registration.last_name} ist nicht angemeldet (Status: ${registration.status})`
+      });
+    }
+
+    const { session, error } = await findCheckinSession(pool, registration, sessionId ?? null);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const inserted = await pool.query(`
+      INSERT INTO Event_Checkin (registration_id, session_id, checked_in_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (registration_id, session_id) DO NOTHING
+      RETURNING checked_in_at
+    `, [registration.registration_id, session.session_id, req.user.id]);
+    const alreadyCheckedIn = inserted.rows.length === 0;
+    const checkedInAt = alreadyCheckedIn
+      ? (await pool.query(
+        "SELECT checked_in_at FROM Event_Checkin WHERE registration_id = $1 AND session_id = $2",
+        [registration.registration_id, session.session_id]
+      )).rows[0].checked_in_at
+      : inserted.rows[0].checked_in_at;
+
+    if (registration.status === "no-show") {
+      await pool.query(
+        "UPDATE Event_Registration SET status = 'registered', status_changed_at = NOW() WHERE registration_id = $1",
+        [registration.registration_id]
+      );
+    }
+
+    if (!alreadyCheckedIn) {
+      await auditLog('CHECKIN', 'event_registration', registration.registration_id, req.user.id, {
+        eventId: registration.event_id,
+        candidateId: registration.candidate_id,
+        sessionId: session.session_id,
+        ip: req.ip
+      });
+    }
+
+    res.status(alreadyCheckedIn ? 200 : 201).json({
+      success: true,
+      message: alreadyCheckedIn
+        ? `${registration.first_name} ${registration.last_name} ist bereits eingecheckt`
+        : `${registration.first_name} ${registration.last_name} ist eingecheckt`,
+      alreadyCheckedIn,
+      checkin: {
+        eventId: registration.event_id,
+        eventTitle: registration.event_title,
+        candidateId: registration.candidate_id,
+        firstName: registration.first_name,
+        lastName: registration.last_name,
+        session: snakeToCamelObj(session),
+        checkedInAt
+      }
+    });
+  } catch (error) {
+    console.error("POST /api/events/checkin Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * Validate and store a new event with its sessions (POST / and POST /from-template).
+ * `extras` holds settings only templates provide: recruiterIds, publicRegistration, registrationForm.
+ */
+async function createEvent(req, res, input, extras = {}) {
+  const { title, description, branchId, templateId, locationId, registrationRequired, dateAt, startingAt, endingAt, invitationsSendingAt, registrationsClosingAt, capacity, sessions } = input;
+
+  const requestedSessions = Array.isArray(sessions) && sessions.length > 0
+    ? sessions
+    : [{ dateAt, startingAt, endingAt }];
+  const eventCapacity = capacity === undefined ? null : parseCapacity(capacity);
+
+  if (!title || !locationId) {
     return res.status(400).json({ success: false, message: "title, locationId, dateAt, and startingAt are required" });
   }
 
+  for (const session of requestedSessions) {
+    const sessionError = validateSession(session);
+    if (sessionError) {
+      return res.status(400).json({ success: false, message: sessionError });
+    }
+  }
+
+  if (eventCapacity === undefined || requestedSessions.some(session => session.capacity !== undefined && parseCapacity(session.capacity) === undefined)) {
+    return res.status(400).json({ success: false, message: "capacity muss eine ganze Zahl ab 0 sein" });
+  }
+
   // If endingAt is not provided, calculate it as startingAt + 2 hours
-  const finalEndingAt = endingAt || (() => {
-    const [hours, minutes] = startingAt.split(':');
-    const totalMinutes = parseInt(hours) * 60 + parseInt(minutes) + 120;
-    const newHours = Math.floor(totalMinutes / 60);
-    const newMinutes = totalMinutes % 60;
-    return `${String(newHours).padStart(2, '0')}:${String(newMinutes).padStart(2, '0')}`;
-  })();
+  const finalSessions = requestedSessions.map(session => ({
+    dateAt: session.dateAt,
+    startingAt: session.startingAt,
+    endingAt: session.endingAt || defaultEndingAt(session.startingAt),
+    capacity: session.capacity === undefined ? null : parseCapacity(session.capacity)
+  }));
+  const finalEndingAt = finalSessions[0].endingAt;
 
   const createdByAccountId = req.user.id;
 
   try {
+    const conflicts = await findConflicts(pool, { sessions: finalSessions, locationId, recruiterIds: extras.recruiterIds });
+    if (conflicts.length > 0 && req.body?.force !== true) {
+      return res.status(409).json({ success: false, message: CONFLICT_MESSAGE, conflicts });
+    }
+
     // Create the Event (metadata)
     const eventResult = await pool.query(
-      `INSERT INTO Event (title, description, branch_id, template_id, location_id, registration_required, invitations_sending_at, registrations_closing_at, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `INSERT INTO Event (title, description, branch_id, template_id, location_id, registration_required, invitations_sending_at, registrations_closing_at, capacity, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING event_id as id, title;`,
-      [title, description || null, branchId || null, templateId || null, locationId, registrationRequired || false, invitationsSendingAt || null, registrationsClosingAt || null, createdByAccountId]
+      [title, description || null, branchId || null, templateId || null, locationId, registrationRequired || false, invitationsSendingAt || null, registrationsClosingAt || null, eventCapacity, createdByAccountId]
     );
 
     if (!eventResult.rows || eventResult.rows.length === 0) {
@@ -81,45 +289,138 @@ router.post("/", authRequired, async (req, res) => {
 
     const eventId = eventResult.rows[0].id;
 
-    // Create the Event_Session with date and time data
-    const sessionResult = await pool.query(
-      `INSERT INTO Event_Session (event_id, date_at, starting_at, ending_at)
-       VALUES ($1, $2, $3, $4)
-       RETURNING session_id;`,
-      [eventId, dateAt, startingAt, finalEndingAt]
-    );
-
-    if (!sessionResult.rows || sessionResult.rows.length === 0) {
+    // Create the Event_Session rows with date and time data
+    const createdSessions = [];
+    try {
+      for (const session of finalSessions) {
+        const sessionResult = await pool.query(
+          `INSERT INTO Event_Session (event_id, date_at, starting_at, ending_at, capacity)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING session_id;`,
+          [eventId, session.dateAt, session.startingAt, session.endingAt, session.capacity]
+        );
+        createdSessions.push({ id: sessionResult.rows[0].session_id, ...session });
+      }
+
+      for (const recruiterId of extras.recruiterIds || []) {
+        await pool.query(
+          "INSERT INTO Event_Recruiter (event_id, recruiter_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+          [eventId, recruiterId]
+        );
+      }
+      if (extras.publicRegistration || extras.registrationForm?.length > 0) {
+        await pool.query(
+          `UPDATE Event
+           SET public_registration = $1, registration_form = $2::jsonb, public_registration_key = $3
+           WHERE event_id = $4`,
+          [extras.publicRegistration === true, JSON.stringify(extras.registrationForm || []), createRegistrationKey(), eventId]
+        );
+      }
+    } catch (sessionError) {
       // Rollback the event creation if session creation fails
       await pool.query("DELETE FROM Event WHERE event_id = $1", [eventId]);
+      console.error("POST /api/events Session Error:", sessionError);
       return res.status(500).json({ success: false, message: "Event-Session konnte nicht erstellt werden" });
     }
 
     const newEvent = {
       id: eventResult.rows[0].id,
       title: eventResult.rows[0].title,
-      dateAt,
-      startingAt,
+      dateAt: finalSessions[0].dateAt,
+      startingAt: finalSessions[0].startingAt,
       endingAt: finalEndingAt,
       invitationsSendingAt,
       registrationsClosingAt,
+      capacity: eventCapacity,
+      sessions: createdSessions,
     };
     
     await auditLog('CREATE', 'event', eventId, createdByAccountId, {
       title,
-      dateAt,
-      startingAt,
-      endingAt: finalEndingAt,
+      sessions: finalSessions,
+      templateId: templateId || undefined,
+      recruiterIds: extras.recruiterIds?.length > 0 ? extras.recruiterIds : undefined,
+      forcedConflicts: conflicts.length > 0 ? conflicts.length : undefined,
       ip: req.ip
     });
     
-    res.status(201).json({ success: true, event: newEvent });
+    res.status(201).json({ success: true, event: newEvent, conflicts: conflicts.length > 0 ? conflicts : undefined });
   } catch (error) {
     console.error("POST /api/events Error:", error);
     res.status(500).json({ success: false, message: error.message });
   }
+}
+
+/**
+ * Create an event from the template in req.body.templateId (POST / and POST /from-template).
+ */
+async function createEventFromTemplate(req, res) {
+  const { templateId, recruiterIds, registrationForm } = req.body || {};
+
+  if (!Number.isInteger(Number(templateId)) || Number(templateId) <= 0) {
+    return res.status(400).json({ success: false, message: "templateId ist erforderlich" });
+  }
+  if (recruiterIds !== undefined && (!Array.isArray(recruiterIds) || !recruiterIds.every(id => Number.isInteger(id) && id > 0))) {
+    return res.status(400).json({ success: false, message: "recruiterIds muss eine Liste von Benutzer-IDs sein" });
+  }
+  if (registrationForm !== undefined) {
+    const formError = validateFormDefinition(registrationForm);
+    if (formError) {
+      return res.status(400).json({ success: false, message: formError });
+    }
+  }
+
+  try {
+    const template = await loadEventType(pool, Number(templateId));
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Eventvorlage nicht gefunden" });
+    }
+
+    const { input, extras, error: templateError } = applyEventType(template, req.body);
+    if (templateError) {
+      return res.status(400).json({ success: false, message: templateError });
+    }
+
+    if (recruiterIds?.length > 0) {
+      const accountsResult = await pool.query(
+        "SELECT account_id FROM Account WHERE account_id = ANY($1::int[])",
+        [recruiterIds]
+      );
+      if (accountsResult.rows.length !== new Set(recruiterIds).size) {
+        return res.status(400).json({ success: false, message: "Unbekannte Benutzer in recruiterIds" });
+      }
+    }
+
+    await createEvent(req, res, input, extras);
+  } catch (error) {
+    console.error("POST /api/events/from-template Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+}
+
+/**
+ * POST / - Create an event with one or more sessions
+ * Either pass dateAt/startingAt/endingAt for a single session or a `sessions` array.
+ * With a templateId the event is created from that template, like POST /from-template.
+ * Clashes with other events (same location or recruiter at the same time) are rejected
+ * with 409 and the list of conflicts, unless force=true.
+ */
+router.post("/", authRequired, async (req, res) => {
+  console.log("POST /api/events request body:", req.body);
+  if (req.body?.templateId !== undefined && req.body?.templateId !== null) {
+    return createEventFromTemplate(req, res);
+  }
+  await createEvent(req, res, req.body || {});
 });
 
+/**
+ * POST /from-template - Create an event from an event type (template)
+ * Body: { templateId, dateAt | sessions, ...overrides }
+ * Title, description, branch, location, default times, capacity, registration settings,
+ * deadlines and default recruiters come from the template unless the body sets them.
+ */
+router.post("/from-template", authRequired, (req, res) => createEventFromTemplate(req, res));
+
 router.delete("/:eventId", authRequired, async (req, res) => {
   const { eventId } = req.params;
   console.log("Delete Event request for ID:", eventId);
@@ -138,16 +439,23 @@ router.delete("/:eventId", authRequired, async (req, res) => {
     const eventCreatorId = eventData.created_by;
     const eventTitle = eventData.title;
 
-    const isAdmin = req.user.isAdmin;
     const isCreator = eventCreatorId === req.user.id;
     
-    if (!isAdmin && !isCreator) {
+    if (!isAdmin(req.user) && !isCreator) {
       return res.status(403).json({ 
         success: false, 
         message: "Zugriff verweigert. Sie können nur Ihre eigenen Events löschen." 
       });
     }
 
+    // Deleting one occurrence of a series records it as an exception, so it is not generated again
+    await pool.query(
+      `UPDATE Event_Series s
+       SET exceptions = array_append(s.exceptions, e.series_date)
+       FROM Event e
+       WHERE e.event_id = $1 AND e.series_id = s.series_id AND NOT e.series_date = ANY(s.exceptions)`,
+      [eventId]
+    );
     await pool.query("DELETE FROM Event WHERE event_id = $1", [eventId]);
     
     await auditLog('DELETE', 'event', parseInt(eventId), req.user.id, {
@@ -167,7 +475,12 @@ router.delete("/:eventId", authRequired, async (req, res) => {
 
 router.put("/:eventId", authRequired, async (req, res) => {
   const { eventId } = req.params;
-  const { title, description, branchId, templateId, locationId, registrationRequired, dateAt, startingAt, endingAt, invitationsSendingAt, registrationsClosingAt } = req.body || {};
+  const { title, description, branchId, templateId, locationId, registrationRequired, dateAt, startingAt, endingAt, invitationsSendingAt, registrationsClosingAt, capacity } = req.body || {};
+
+  const newCapacity = capacity === undefined ? undefined : parseCapacity(capacity);
+  if (capacity !== undefined && newCapacity === undefined) {
+    return res.status(400).json({ success: false, message: "capacity muss eine ganze Zahl ab 0 sein" });
+  }
 
   try {
     const checkResult = await pool.query(
@@ -180,16 +493,50 @@ router.put("/:eventId", authRequired, async (req, res) => {
     }
     
     const eventCreatorId = checkResult.rows[0].created_by;
-    const isAdmin = req.user.role === 'berufsbilder' && req.user.isAdmin === true;
     const isCreator = eventCreatorId === req.user.id;
     
-    if (!isAdmin && !isCreator) {
+    if (!isAdmin(req.user) && !isCreator) {
       return res.status(403).json({ 
         success: false, 
         message: "Zugriff verweigert. Sie können nur Ihre eigenen Events bearbeiten." 
       });
     }
 
+    // Session times via PUT are only unambiguous for single-session events,
+    // others are edited through /:eventId/sessions/:sessionId
+    if (dateAt || startingAt || endingAt) {
+      const sessionCount = await pool.query(
+        "SELECT COUNT(*)::int as count FROM Event_Session WHERE event_id = $1",
+        [eventId]
+      );
+      if (sessionCount.rows[0].count > 1) {
+        return res.status(409).json({
+          success: false,
+          message: "Das Event hat mehrere Sessions. Bitte Termine über /api/events/:eventId/sessions bearbeiten."
+        });
+      }
+    }
+
+    // A new location or new times may clash with other events
+    let conflicts = [];
+    if (locationId || dateAt || startingAt || endingAt) {
+      const schedule = await loadEventSchedule(pool, eventId);
+      const sessions = schedule.sessions.map(session => ({
+        dateAt: dateAt || session.dateAt,
+        startingAt: startingAt || session.startingAt,
+        endingAt: endingAt || session.endingAt
+      }));
+      conflicts = await findConflicts(pool, {
+        eventId: parseInt(eventId),
+        sessions,
+        locationId: locationId || schedule.locationId,
+        recruiterIds: schedule.recruiterIds
+      });
+      if (conflicts.length > 0 && req.body?.force !== true) {
+        return res.status(409).json({ success: false, message: CONFLICT_MESSAGE, conflicts });
+      }
+    }
+
     // Update Event table (metadata)
     const eventUpdate = await pool.query(
       `UPDATE Event
@@ -200,12 +547,17 @@ router.put("/:eventId", authRequired, async (req, res) => {
            location_id = COALESCE($5, location_id),
            registration_required = COALESCE($6, registration_required),
            invitations_sending_at = COALESCE($7, invitations_sending_at), 
-           registrations_closing_at = COALESCE($8, registrations_closing_at)
+           registrations_closing_at = COALESCE($8, registrations_closing_at),
+           capacity = CASE WHEN $10 THEN $11::int ELSE capacity END,
+           series_modified = series_id IS NOT NULL
        WHERE event_id = $9
        RETURNING event_id as id, title;`,
-      [title || null, description || null, branchId || null, templateId || null, locationId || null, registrationRequired || null, invitationsSendingAt || null, registrationsClosingAt || null, eventId]
+      [title || null, description || null, branchId || null, templateId || null, locationId || null, registrationRequired || null, invitationsSendingAt || null, registrationsClosingAt || null, eventId, newCapacity !== undefined, newCapacity ?? null]
     );
 
+    // A raised (or removed) capacity frees places for the waitlist
+    const promoted = newCapacity !== undefined ? await refillFromWaitlist(eventId) : [];
+
     // Update Event_Session table (date and timing data)
     if (dateAt || startingAt || endingAt) {
       await pool.query(
@@ -226,6 +578,7 @@ router.put("/:eventId", authRequired, async (req, res) => {
       endingAt,
       invitationsSendingAt,
       registrationsClosingAt,
+      capacity: newCapacity,
     };
     
     await auditLog('UPDATE', 'event', parseInt(eventId), req.user.id, {
@@ -233,16 +586,145 @@ router.put("/:eventId", authRequired, async (req, res) => {
       dateAt,
       startingAt,
       endingAt,
+      capacity: newCapacity,
+      promotedCandidateIds: promoted.length > 0 ? promoted.map(r => r.candidate_id) : undefined,
+      forcedConflicts: conflicts.length > 0 ? conflicts.length : undefined,
       ip: req.ip
     });
     
-    res.status(200).json({ success: true, event: updatedEvent });
+    res.status(200).json({ success: true, event: updatedEvent, promoted, conflicts: conflicts.length > 0 ? conflicts : undefined });
   } catch (error) {
     console.error("PUT /api/events/:id Error:", error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+/**
+ * POST /:eventId/copy - Copy an event with its sessions and recruiters
+ * Body: { startDate (first session of the copy, YYYY-MM-DD), title?, includeRegistrations?, includeAttendance?, force? }
+ * Sessions and deadlines keep their distance to the first session. Registrations and attendance
+ * reports are only copied on request. Clashes of the copy with other events are rejected with 409
+ * unless force=true.
+ */
+router.post("/:eventId/copy", authRequired, async (req, res) => {
+  const { startDate, title, includeRegistrations, includeAttendance, force } = req.body || {};
+
+  if (!startDate || !isValidDate(startDate)) {
+    return res.status(400).json({ success: false, message: "startDate ist erforderlich (YYYY-MM-DD)" });
+  }
+
+  const source = await loadEditableEvent(req, res);
+  if (!source) return;
+
+  const client = await pool.connect();
+  try {
+
+    const sessions = await loadShiftedSessions(client, source.event_id, startDate);
+    const schedule = await loadEventSchedule(client, source.event_id);
+    const conflicts = await findConflicts(client, {
+      sessions: sessions.map(session => ({ dateAt: session.date_at, startingAt: session.starting_at, endingAt: session.ending_at })),
+      locationId: schedule.locationId,
+      recruiterIds: schedule.recruiterIds
+    });
+    if (conflicts.length > 0 && force !== true) {
+      return res.status(409).json({ success: false, message: CONFLICT_MESSAGE, conflicts });
+    }
+
+    await client.query("BEGIN");
+    const copy = await copyEvent(client, source.event_id, {
+      sessions,
+      title: title || null,
+      createdBy: req.user.id,
+      includeRegistrations: includeRegistrations === true,
+      includeAttendance: includeAttendance === true
+    });
+    await client.query("COMMIT");
+
+    await auditLog('CREATE', 'event', copy.eventId, req.user.id, {
+      title: copy.title,
+      copiedFromEventId: source.event_id,
+      startDate,
+      shiftedByDays: copy.offsetDays,
+      registrations: copy.registrations,
+      attendanceReports: copy.attendance,
+      forcedConflicts: conflicts.length > 0 ? conflicts.length : undefined,
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Event "${source.title}" wurde kopiert`,
+      event: {
+        id: copy.eventId,
+        title: copy.title,
+        copiedFromEventId: source.event_id,
+        sessions: copy.sessions,
+        registrations: copy.registrations,
+        attendanceReports: copy.attendance
+      },
+      conflicts: conflicts.length > 0 ? conflicts : undefined
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("POST /api/events/:eventId/copy Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /:eventId/ics - iCalendar file with one entry per session of the event
+ */
+router.get("/:eventId/ics", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const eventResult = await pool.query("SELECT event_id, title FROM Event WHERE event_id = $1", [eventId]);
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    }
+
+    const sessions = await loadCalendarSessions(pool, { eventId: eventResult.rows[0].event_id });
+    const calendar = buildCalendar({ name: eventResult.rows[0].title, sessions, host: req.get('host') });
+
+    sendCalendar(res, `event_${eventId}.ics`, calendar);
+  } catch (error) {
+    console.error("GET /api/events/:eventId/ics Error:", error);
+    res.status(500).json({ success: false, message: "Fehler beim Erstellen der Kalenderdatei" });
+  }
+});
+
+/**
+ * GET /:eventId/summary.pdf - Post-event summary: metadata, sessions, recruiters,
+ * registered vs. attended candidates and all attendance reports grouped by candidate
+ */
+router.get("/:eventId/summary.pdf", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const summary = await loadEventSummary(pool, eventId);
+    if (!summary) {
+      return res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    }
+
+    const pdf = await renderEventSummaryPdf(summary, loadSummaryTemplate());
+
+    await auditLog('EXPORT', 'event', summary.event.id, req.user.id, {
+      format: 'pdf',
+      candidates: summary.candidates.length,
+      ip: req.ip
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="event_${summary.event.id}_zusammenfassung.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error("GET /api/events/:eventId/summary.pdf Error:", error);
+    res.status(500).json({ success: false, message: "Fehler beim Erstellen des PDF" });
+  }
+});
+
 router.get("/:eventId/recruiters", authRequired, async (req, res) => {
   const { eventId } = req.params;
 
@@ -276,7 +758,7 @@ router.get("/:eventId/recruiters", authRequired, async (req, res) => {
 
 router.post("/:eventId/recruiters", authRequired, async (req, res) => {
   const { eventId } = req.params;
-  const { recruiter_id } = req.body;
+  const { recruiter_id, force } = req.body;
 
   if (!recruiter_id) {
     return res.status(400).json({
@@ -298,6 +780,16 @@ router.post("/:eventId/recruiters", authRequired, async (req, res) => {
       });
     }
 
+    const schedule = await loadEventSchedule(pool, eventId);
+    const conflicts = await findConflicts(pool, {
+      eventId: parseInt(eventId),
+      sessions: schedule.sessions,
+      recruiterIds: [parseInt(recruiter_id)]
+    });
+    if (conflicts.length > 0 && force !== true) {
+      return res.status(409).json({ success: false, message: CONFLICT_MESSAGE, conflicts });
+    }
+
     await pool.query(`
       INSERT INTO Event_Recruiter (event_id, recruiter_id)
       VALUES ($1, $2)
@@ -305,7 +797,8 @@ router.post("/:eventId/recruiters", authRequired, async (req, res) => {
 
     res.json({
       success: true,
-      message: "Recruiter erfolgreich hinzugefügt"
+      message: "Recruiter erfolgreich hinzugefügt",
+      conflicts: conflicts.length > 0 ? conflicts : undefined
     });
   } catch (error) {
     console.error("Fehler beim Hinzufügen des Recruiters:", error);
@@ -345,10 +838,197 @@ router.delete("/:eventId/recruiters/:recruiterId", authRequired, async (req, res
   }
 });
 
+/**
+ * Public registration settings of an event (link, form), for the response of the two routes below
+ */
+async function loadPublicRegistration(eventId) {
+  const result = await pool.query(
+    "SELECT public_registration, public_registration_key, registration_form FROM Event WHERE event_id = $1",
+    [eventId]
+  );
+  const event = result.rows[0];
+  const token = event.public_registration && event.public_registration_key
+    ? createRegistrationToken(eventId, event.public_registration_key)
+    : null;
+
+  return {
+    enabled: event.public_registration,
+    token,
+    url: token ? registrationLinkUrl(token) : null,
+    registrationForm: event.registration_form
+  };
+}
+
+/**
+ * GET /:eventId/invitations - Invitation mailing of an event with the delivery status per recipient
+ */
+router.get("/:eventId/invitations", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+  const { status } = req.query;
+
+  if (status && !INVITATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Ungültiger Status. Erlaubt: ${INVITATION_STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const eventResult = await pool.query(
+      "SELECT invitations_sent, invitations_sending_at FROM Event WHERE event_id = $1",
+      [eventId]
+    );
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        i.invitation_id,
+        i.candidate_id,
+        c.first_name,
+        c.last_name,
+        i.email,
+        i.status,
+        i.attempts,
+        i.last_error,
+        i.sent_at,
+        i.created_at
+      FROM Event_Invitation i
+      JOIN Candidate c ON i.candidate_id = c.candidate_id
+      WHERE i.event_id = $1 AND ($2::text IS NULL OR i.status = $2)
+      ORDER BY c.last_name, c.first_name
+    `, [eventId, status || null]);
+
+    const countsResult = await pool.query(
+      "SELECT status, COUNT(*)::int as count FROM Event_Invitation WHERE event_id = $1 GROUP BY status",
+      [eventId]
+    );
+    const counts = Object.fromEntries(INVITATION_STATUSES.map(s => [s, 0]));
+    countsResult.rows.forEach(row => { counts[row.status] = row.count; });
+
+    res.json({
+      success: true,
+      invitationsSent: eventResult.rows[0].invitations_sent,
+      invitationsSendingAt: eventResult.rows[0].invitations_sending_at,
+      counts,
+      invitations: snakeToCamelArray(result.rows)
+    });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/invitations Error:", error);
+    res.status(500).json({ success: false, message: "Fehler beim Abrufen der Einladungen" });
+  }
+});
+
+/**
+ * POST /:eventId/invitations/retry - Send failed invitations again with the next scheduler run
+ */
+router.post("/:eventId/invitations/retry", authRequired, async (req, res) => {
+  try {
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
+
+    const result = await pool.query(
+      `UPDATE Event_Invitation
+       SET status = 'pending', attempts = 0
+       WHERE event_id = $1 AND status = 'failed'
+       RETURNING invitation_id`,
+      [event.event_id]
+    );
+
+    await auditLog('UPDATE', 'event', event.event_id, req.user.id, {
+      invitationsRetried: result.rowCount,
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: `${result.rowCount} Einladungen werden erneut versendet`, retried: result.rowCount });
+  } catch (error) {
+    console.error("POST /api/events/:eventId/invitations/retry Error:", error);
+    res.status(500).json({ success: false, message: "Fehler beim erneuten Versenden der Einladungen" });
+  }
+});
+
+/**
+ * GET /:eventId/public-registration - Public registration link and form fields of an event
+ */
+router.get("/:eventId/public-registration", authRequired, async (req, res) => {
+  try {
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
+
+    res.json({ success: true, publicRegistration: await loadPublicRegistration(req.params.eventId) });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/public-registration Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /:eventId/public-registration - Enable/disable the public link and set additional form fields
+ * Body: { enabled?, registrationForm?: [{ key, label, type, required, options }], rotateLink? }
+ * rotateLink creates a new signed link; previously shared links stop working.
+ */
+router.put("/:eventId/public-registration", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+  const { enabled, registrationForm, rotateLink } = req.body || {};
+
+  if (registrationForm !== undefined) {
+    const formError = validateFormDefinition(registrationForm);
+    if (formError) {
+      return res.status(400).json({ success: false, message: formError });
+    }
+  }
+
+  try {
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
+
+    await pool.query(
+      `UPDATE Event
+       SET public_registration = COALESCE($1, public_registration),
+           registration_form = COALESCE($2::jsonb, registration_form),
+           public_registration_key = CASE
+             WHEN $3 OR public_registration_key IS NULL THEN $4
+             ELSE public_registration_key
+           END
+       WHERE event_id = $5`,
+      [
+        typeof enabled === 'boolean' ? enabled : null,
+        registrationForm !== undefined ? JSON.stringify(registrationForm) : null,
+        rotateLink === true,
+        createRegistrationKey(),
+        eventId
+      ]
+    );
+
+    await auditLog('UPDATE', 'event', parseInt(eventId), req.user.id, {
+      publicRegistration: enabled,
+      registrationFormFields: registrationForm?.map(field => field.key),
+      rotateLink: rotateLink === true || undefined,
+      ip: req.ip
+    });
+
+    res.json({ success: true, publicRegistration: await loadPublicRegistration(eventId) });
+  } catch (error) {
+    console.error("PUT /api/events/:eventId/public-registration Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /:eventId/registrations - Registrations with status and waitlist position
+ * Query: status (optional, comma-separated)
+ */
 router.get("/:eventId/registrations", authRequired, async (req, res) => {
   const { eventId } = req.params;
+  const statuses = req.query.status ? String(req.query.status).split(',').map(s => s.trim()) : null;
 
   try {
+    const eventResult = await pool.query("SELECT capacity FROM Event WHERE event_id = $1", [eventId]);
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    }
+
     const result = await pool.query(`
       SELECT 
         er.registration_id,
@@ -357,19 +1037,38 @@ router.get("/:eventId/registrations", authRequired, async (req, res) => {
         c.last_name,
         c.email,
         c.candidate_status,
-        er.registered_at
+        er.registered_at,
+        er.session_id,
+        er.status,
+        er.status_changed_at,
+        er.source,
+        er.form_answers,
+        CASE WHEN er.status = 'waitlisted' THEN
+          ROW_NUMBER() OVER (PARTITION BY er.status ORDER BY er.registered_at ASC, er.registration_id ASC)
+        END as waitlist_position
       FROM Event_Registration er
       JOIN Candidate c ON er.candidate_id = c.candidate_id
       WHERE er.event_id = $1
       ORDER BY er.registered_at DESC
     `, [eventId]);
 
+    const counts = Object.fromEntries(REGISTRATION_STATUSES.map(status => [
+      status,
+      result.rows.filter(r => r.status === status).length
+    ]));
+    const rows = statuses ? result.rows.filter(r => statuses.includes(r.status)) : result.rows;
+
     // Convert snake_case to camelCase before sending to frontend
-    const camelCaseRegistrations = snakeToCamelArray(result.rows);
+    const camelCaseRegistrations = snakeToCamelArray(rows.map(r => ({
+      ...r,
+      waitlist_position: r.waitlist_position === null ? null : Number(r.waitlist_position)
+    })));
 
     res.json({
       success: true,
       count: camelCaseRegistrations.length,
+      capacity: eventResult.rows[0].capacity,
+      counts,
       registrations: camelCaseRegistrations
     });
   } catch (error) {
@@ -381,9 +1080,15 @@ router.get("/:eventId/registrations", authRequired, async (req, res) => {
   }
 });
 
+/**
+ * POST /:eventId/registrations - Register a candidate
+ * Body: { candidate_id, session_id?, override? }
+ * Full events/sessions put the candidate on the waitlist. After registrations_closing_at
+ * only admins can register, by passing override: true.
+ */
 router.post("/:eventId/registrations", authRequired, async (req, res) => {
   const { eventId } = req.params;
-  const { candidate_id } = req.body;
+  const { candidate_id, session_id, override } = req.body;
 
   if (!candidate_id) {
     return res.status(400).json({
@@ -392,8 +1097,16 @@ router.post("/:eventId/registrations", authRequired, async (req, res) => {
     });
   }
 
+  if (override && !isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Nur Administratoren können den Anmeldeschluss übergehen"
+    });
+  }
+
+  const client = await pool.connect();
   try {
-    const candidateCheck = await pool.query(
+    const candidateCheck = await client.query(
       "SELECT candidate_id FROM Candidate WHERE candidate_id = $1",
       [candidate_id]
     );
@@ -405,19 +1118,67 @@ router.post("/:eventId/registrations", authRequired, async (req, res) => {
       });
     }
 
-    const result = await pool.query(
-      `INSERT INTO Event_Registration (event_id, candidate_id)
-       VALUES ($1, $2)
-       RETURNING registration_id, candidate_id, registered_at`,
-      [eventId, candidate_id]
-    );
+    if (session_id) {
+      const sessionCheck = await client.query(
+        "SELECT 1 FROM Event_Session WHERE session_id = $1 AND event_id = $2",
+        [session_id, eventId]
+      );
+      if (sessionCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Session gehört nicht zu diesem Event"
+        });
+      }
+    }
+
+    await client.query("BEGIN");
+    const event = await lockEventForRegistration(client, eventId);
+    if (!event) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    }
+
+    if (isRegistrationClosed(event) && !override) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        message: "Der Anmeldeschluss für dieses Event ist vorbei"
+      });
+    }
 
+    const { registration, conflict } = await registerCandidate(client, {
+      eventId,
+      candidateId: candidate_id,
+      sessionId: session_id || null
+    });
+    if (conflict) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        message: "Kandidat ist bereits für dieses Event registriert"
+      });
+    }
+    await client.query("COMMIT");
+
+    await auditLog('CREATE', 'event_registration', registration.registration_id, req.user.id, {
+      eventId: parseInt(eventId),
+      candidateId: parseInt(candidate_id),
+      sessionId: registration.session_id,
+      status: registration.status,
+      override: isRegistrationClosed(event) ? true : undefined,
+      ip: req.ip
+    });
+
+    const waitlisted = registration.status === 'waitlisted';
     res.status(201).json({
       success: true,
-      message: "Kandidat erfolgreich registriert",
-      registration: result.rows[0]
+      message: waitlisted
+        ? "Das Event ist ausgebucht. Kandidat wurde auf die Warteliste gesetzt"
+        : "Kandidat erfolgreich registriert",
+      registration
     });
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("Fehler beim Registrieren des Kandidaten:", error);
     
     if (error.code === "23505") {
@@ -431,14 +1192,191 @@ router.post("/:eventId/registrations", authRequired, async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    client.release();
   }
 });
 
-router.delete("/:eventId/registrations/:candidateId", authRequired, checkAdmin, async (req, res) => {
+/**
+ * PATCH /:eventId/registrations/:candidateId - Change the registration status
+ * Body: { status } (registered, waitlisted, cancelled, no-show)
+ * Freed places are given to the waitlist; moving someone from the waitlist requires a free place.
+ */
+router.patch("/:eventId/registrations/:candidateId", authRequired, checkAdmin, async (req, res) => {
   const { eventId, candidateId } = req.params;
+  const { status } = req.body || {};
+
+  if (!REGISTRATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Ungültiger Status. Erlaubt: ${REGISTRATION_STATUSES.join(', ')}`
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const event = await lockEventForRegistration(client, eventId);
+    const currentResult = await client.query(
+      "SELECT registration_id, session_id, status FROM Event_Registration WHERE event_id = $1 AND candidate_id = $2",
+      [eventId, candidateId]
+    );
+
+    if (!event || currentResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({
+        success: false,
+        message: "Registrierung nicht gefunden"
+      });
+    }
+
+    const current = currentResult.rows[0];
+    if (current.status === status) {
+      await client.query("ROLLBACK");
+      return res.json({ success: true, message: "Status unverändert", registration: current });
+    }
+
+    const takesPlace = status === 'registered' || status === 'no-show';
+    const hadPlace = current.status === 'registered' || current.status === 'no-show';
+    if (takesPlace && !hadPlace && !await hasFreePlace(client, eventId, current.session_id)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        message: "Das Event ist ausgebucht"
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE Event_Registration SET status = $1, status_changed_at = NOW()
+       WHERE registration_id = $2
+       RETURNING registration_id, candidate_id, session_id, status, registered_at, status_changed_at`,
+      [status, current.registration_id]
+    );
+    const promoted = hadPlace && !takesPlace
+      ? await promoteFromWaitlist(client, eventId, { excludeRegistrationId: current.registration_id })
+      : [];
+    await client.query("COMMIT");
+
+    await auditLog('UPDATE', 'event_registration', current.registration_id, req.user.id, {
+      eventId: parseInt(eventId),
+      candidateId: parseInt(candidateId),
+      from: current.status,
+      to: status,
+      promotedCandidateIds: promoted.map(r => r.candidate_id),
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: "Status erfolgreich geändert",
+      registration: result.rows[0],
+      promoted
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Fehler beim Ändern der Registrierung:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /:eventId/checkin-codes - Check-in token and link of every active registration, e.g. for printing
+ * Tokens are created on first request.
+ */
+router.get("/:eventId/checkin-codes", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    await ensureCheckinTokens(pool, eventId);
+    const result = await pool.query(`
+      SELECT er.registration_id, er.candidate_id, c.first_name, c.last_name, er.session_id, er.status, er.checkin_token
+      FROM Event_Registration er
+      JOIN Candidate c ON er.candidate_id = c.candidate_id
+      WHERE er.event_id = $1 AND er.status <> 'cancelled'
+      ORDER BY c.last_name, c.first_name
+    `, [eventId]);
+
+    res.json({
+      success: true,
+      codes: snakeToCamelArray(result.rows).map(row => ({ ...row, checkinUrl: checkinUrl(row.checkinToken) }))
+    });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/checkin-codes Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /:eventId/registrations/:candidateId/qr - QR code with the candidate's check-in link
+ * Query: format=svg (default) or png
+ */
+router.get("/:eventId/registrations/:candidateId/qr", authRequired, async (req, res) => {
+  const { eventId, candidateId } = req.params;
+  const format = req.query.format === "png" ? "png" : "svg";
 
   try {
     const result = await pool.query(
+      "SELECT registration_id FROM Event_Registration WHERE event_id = $1 AND candidate_id = $2 AND status <> 'cancelled'",
+      [eventId, candidateId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Registrierung nicht gefunden" });
+    }
+
+    await ensureCheckinTokens(pool, eventId);
+    const tokenResult = await pool.query(
+      "SELECT checkin_token FROM Event_Registration WHERE registration_id = $1",
+      [result.rows[0].registration_id]
+    );
+    const image = await checkinQrCode(tokenResult.rows[0].checkin_token, format);
+
+    res.setHeader("Content-Type", format === "png" ? "image/png" : "image/svg+xml");
+    res.setHeader("Content-Disposition", `inline; filename="checkin_${eventId}_${candidateId}.${format}"`);
+    res.send(image);
+  } catch (error) {
+    console.error("GET /api/events/:eventId/registrations/:candidateId/qr Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /:eventId/checkins - Live attendance per session (expected, checked in, missing, no-shows)
+ * Query: sessionId to limit the summary to one session
+ */
+router.get("/:eventId/checkins", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+  const sessionId = req.query.sessionId ? parseInt(req.query.sessionId, 10) : null;
+  if (Number.isNaN(sessionId)) {
+    return res.status(400).json({ success: false, message: "sessionId muss eine ganze Zahl sein" });
+  }
+
+  try {
+    const eventResult = await pool.query("SELECT event_id FROM Event WHERE event_id = $1", [eventId]);
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    }
+
+    const sessions = await loadSessionAttendance(pool, eventId, sessionId);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/checkins Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.delete("/:eventId/registrations/:candidateId", authRequired, checkAdmin, async (req, res) => {
+  const { eventId, candidateId } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await lockEventForRegistration(client, eventId);
+    const result = await client.query(
       `DELETE FROM Event_Registration 
        WHERE event_id = $1 AND candidate_id = $2
        RETURNING registration_id`,
@@ -446,22 +1384,106 @@ router.delete("/:eventId/registrations/:candidateId", authRequired, checkAdmin,
     );
 
     if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
       return res.status(404).json({
         success: false,
         message: "Registrierung nicht gefunden"
       });
     }
 
+    // The freed place goes to the next candidate on the waitlist
+    const promoted = await promoteFromWaitlist(client, eventId);
+    await client.query("COMMIT");
+
+    for (const registration of promoted) {
+      await auditLog('UPDATE', 'event_registration', registration.registration_id, req.user.id, {
+        eventId: parseInt(eventId),
+        candidateId: registration.candidate_id,
+        from: 'waitlisted',
+        to: 'registered',
+        ip: req.ip
+      });
+    }
+
     res.json({
       success: true,
-      message: "Registrierung erfolgreich entfernt"
+      message: "Registrierung erfolgreich entfernt",
+      promoted
     });
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("Fehler beim Entfernen der Registrierung:", error);
     res.status(500).json({
       success: false,
       message: error.message
     });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /:eventId/consensus - Ranking of all candidates of an event for the debrief
+ * Covers registered candidates and everyone with a report, each with the consensus of their reports
+ */
+router.get("/:eventId/consensus", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const eventResult = await pool.query("SELECT event_id, title FROM Event WHERE event_id = $1", [eventId]);
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    }
+
+    const candidatesResult = await pool.query(`
+      SELECT c.candidate_id, c.first_name, c.last_name, er.status as registration_status,
+             EXISTS (SELECT 1 FROM Event_Checkin ci WHERE ci.registration_id = er.registration_id) as checked_in
+      FROM Candidate c
+      LEFT JOIN Event_Registration er ON er.candidate_id = c.candidate_id AND er.event_id = $1
+      WHERE er.status IN ('registered', 'no-show')
+         OR EXISTS (SELECT 1 FROM Event_Attendance ea WHERE ea.candidate_id = c.candidate_id AND ea.event_id = $1)
+    `, [eventId]);
+    const reports = await loadReports(pool, { eventId });
+
+    const candidates = candidatesResult.rows.map(row => {
+      const summary = summarizeReports(reports.filter(report => report.candidate_id === row.candidate_id));
+      return {
+        candidateId: row.candidate_id,
+        firstName: row.first_name,
+        lastName: row.last_name,
+        registrationStatus: row.registration_status,
+        checkedIn: row.checked_in,
+        attended: hasAttended(summary, row.registration_status, row.checked_in),
+        summary
+      };
+    });
+
+    res.json({
+      success: true,
+      event: { id: eventResult.rows[0].event_id, title: eventResult.rows[0].title },
+      attendance: attendanceRate(candidates),
+      candidates: rankCandidates(candidates)
+    });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/consensus Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /:eventId/scorecard?candidateId= - Scorecard to use for a report on this candidate
+ * Event type first, then the candidate's apprenticeship, then the default scorecard.
+ */
+router.get("/:eventId/scorecard", authRequired, async (req, res) => {
+  const { eventId } = req.params;
+  const candidateId = req.query.candidateId ? parseInt(req.query.candidateId, 10) : null;
+
+  try {
+    const scorecard = await resolveScorecard(pool, { eventId, candidateId });
+    res.status(200).json({ success: true, scorecard });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/scorecard Error:", error);
+    res.status(500).json({ success: false, message: error.message });
   }
 });
 
@@ -469,10 +1491,13 @@ router.delete("/:eventId/registrations/:candidateId", authRequired, checkAdmin,
  * POST /:eventId/attendance - Create attendance report for a candidate at an event
  * Saves feedback (status, attendance, comment) about a candidate after an event
  * Multiple users can create reports for the same candidate, but each user can only have one report per candidate
+ * attendance: present, late, absent or excused; the German values of older clients
+ * (Anwesend, Verspätet, Abwesend, Entschuldigt) are mapped onto them.
+ * Optional scores: [{ criterionId, score }] against the scorecard from GET /:eventId/scorecard
  */
 router.post("/:eventId/attendance", authRequired, async (req, res) => {
   const { eventId } = req.params;
-  const { candidate_id, status, attendance, comment } = req.body;
+  const { candidate_id, status, attendance, comment, scores = [] } = req.body;
   const accountId = req.user.id;
 
   if (!candidate_id || !status || !attendance) {
@@ -481,10 +1506,18 @@ router.post("/:eventId/attendance", authRequired, async (req, res) => {
       message: "candidate_id, status, and attendance are required"
     });
   }
+  const attendanceValue = normalizeAttendance(attendance);
+  if (!attendanceValue) {
+    return res.status(400).json({
+      success: false,
+      message: `Ungültige Anwesenheit. Erlaubt: ${ATTENDANCE_VALUES.join(', ')}`
+    });
+  }
 
+  const client = await pool.connect();
   try {
     // Check if this user already has a report for this candidate at this event
-    const existsResult = await pool.query(
+    const existsResult = await client.query(
       `SELECT attendance_id FROM Event_Attendance 
        WHERE event_id = $1 AND candidate_id = $2 AND created_by = $3`,
       [eventId, candidate_id, accountId]
@@ -498,8 +1531,15 @@ router.post("/:eventId/attendance", authRequired, async (req, res) => {
       });
     }
 
+    const scorecard = await resolveScorecard(client, { eventId, candidateId: candidate_id });
+    const { values: scoreValues, error: scoreError } = validateScores(scorecard, scores);
+    if (scoreError) {
+      return res.status(400).json({ success: false, message: scoreError });
+    }
+
     // Insert new record
-    const result = await pool.query(
+    await client.query("BEGIN");
+    const result = await client.query(
       `INSERT INTO Event_Attendance (event_id, candidate_id, attendance, status, comment, created_by)
        VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING 
@@ -511,10 +1551,14 @@ router.post("/:eventId/attendance", authRequired, async (req, res) => {
          comment,
          created_at,
          created_by`,
-      [eventId, candidate_id, attendance, status, comment || null, accountId]
+      [eventId, candidate_id, attendanceValue, status, comment || null, accountId]
     );
+    await saveScores(client, result.rows[0].attendance_id, scorecard?.id, scoreValues);
+    await recordRevisions(client, [result.rows[0].attendance_id], 'create', accountId);
+    await client.query("COMMIT");
 
-    const report = snakeToCamelObj(result.rows[0]);
+    const scored = (await loadScores(pool, [result.rows[0].attendance_id])).get(result.rows[0].attendance_id);
+    const report = { ...snakeToCamelObj(result.rows[0]), ...scored };
 
     res.status(201).json({
       success: true,
@@ -522,11 +1566,14 @@ router.post("/:eventId/attendance", authRequired, async (req, res) => {
       report
     });
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("Fehler beim Speichern des Attendance Reports:", error);
     res.status(500).json({
       success: false,
       message: error.message
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -536,6 +1583,10 @@ router.post("/:eventId/attendance", authRequired, async (req, res) => {
  */
 router.get("/:eventId/attendance", authRequired, async (req, res) => {
   const { eventId } = req.params;
+  const includeDeleted = req.query.includeDeleted === "true";
+  if (includeDeleted && !isAdmin(req.user)) {
+    return res.status(403).json({ success: false, message: "Nur Administratoren sehen gelöschte Reports" });
+  }
 
   try {
     const result = await pool.query(`
@@ -546,8 +1597,11 @@ router.get("/:eventId/attendance", authRequired, async (req, res) => {
         ea.attendance,
         ea.status,
         ea.comment,
+        ea.scorecard_id,
         ea.created_at,
         ea.created_by,
+        ea.updated_at,
+        ea.updated_by,
         c.first_name as candidate_first_name,
         c.last_name as candidate_last_name,
         c.email as candidate_email,
@@ -562,7 +1616,11 @@ router.get("/:eventId/attendance", authRequired, async (req, res) => {
     `, [eventId]);
 
     // Convert snake_case to camelCase
-    const camelCaseReports = snakeToCamelArray(result.rows);
+    const scores = await loadScores(pool, result.rows.map(row => row.attendance_id));
+    const camelCaseReports = snakeToCamelArray(result.rows).map(report => ({ ...report, ...scores.get(report.attendanceId) }));
+    if (includeDeleted) {
+      camelCaseReports.push(...await loadDeletedReports(pool, { eventId }));
+    }
 
     res.json({
       success: true,
@@ -584,6 +1642,10 @@ router.get("/:eventId/attendance", authRequired, async (req, res) => {
  */
 router.get("/:eventId/attendance/:candidateId", authRequired, async (req, res) => {
   const { eventId, candidateId } = req.params;
+  const includeDeleted = req.query.includeDeleted === "true";
+  if (includeDeleted && !isAdmin(req.user)) {
+    return res.status(403).json({ success: false, message: "Nur Administratoren sehen gelöschte Reports" });
+  }
 
   try {
     const result = await pool.query(`
@@ -594,8 +1656,11 @@ router.get("/:eventId/attendance/:candidateId", authRequired, async (req, res) =
         ea.attendance,
         ea.status,
         ea.comment,
+        ea.scorecard_id,
         ea.created_at,
         ea.created_by,
+        ea.updated_at,
+        ea.updated_by,
         a.first_name as creator_first_name,
         a.last_name as creator_last_name,
         a.email as creator_email
@@ -606,7 +1671,11 @@ router.get("/:eventId/attendance/:candidateId", authRequired, async (req, res) =
     `, [eventId, candidateId]);
 
     // Convert snake_case to camelCase
-    const camelCaseReports = snakeToCamelArray(result.rows);
+    const scores = await loadScores(pool, result.rows.map(row => row.attendance_id));
+    const camelCaseReports = snakeToCamelArray(result.rows).map(report => ({ ...report, ...scores.get(report.attendanceId) }));
+    if (includeDeleted) {
+      camelCaseReports.push(...await loadDeletedReports(pool, { eventId, candidateId }));
+    }
 
     res.json({
       success: true,
@@ -622,13 +1691,105 @@ router.get("/:eventId/attendance/:candidateId", authRequired, async (req, res) =
   }
 });
 
+/**
+ * GET /:eventId/attendance/:candidateId/consensus - Aggregated view of all reports on a candidate at an event
+ * Consensus recommendation, average scores and where the recruiters disagree
+ */
+router.get("/:eventId/attendance/:candidateId/consensus", authRequired, async (req, res) => {
+  const { eventId, candidateId } = req.params;
+
+  try {
+    const registration = await pool.query(
+      `SELECT er.status, EXISTS (SELECT 1 FROM Event_Checkin ci WHERE ci.registration_id = er.registration_id) as checked_in
+       FROM Event_Registration er
+       WHERE er.event_id = $1 AND er.candidate_id = $2`,
+      [eventId, candidateId]
+    );
+    const reports = await loadReports(pool, { eventId, candidateId });
+    const summary = summarizeReports(reports);
+
+    res.json({
+      success: true,
+      eventId: Number(eventId),
+      candidateId: Number(candidateId),
+      registrationStatus: registration.rows[0]?.status ?? null,
+      checkedIn: registration.rows[0]?.checked_in ?? false,
+      attended: hasAttended(summary, registration.rows[0]?.status, registration.rows[0]?.checked_in),
+      consensus: summary
+    });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/attendance/:candidateId/consensus Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /:eventId/attendance/:candidateId/revisions - Version history of the reports on a candidate at an event
+ * Every version lists what changed against the previous one. Admins also get deleted reports.
+ */
+router.get("/:eventId/attendance/:candidateId/revisions", authRequired, async (req, res) => {
+  const { eventId, candidateId } = req.params;
+
+  try {
+    const reports = await loadReportHistories(pool, { eventId, candidateId, includeDeleted: isAdmin(req.user) });
+    res.json({ success: true, count: reports.length, reports });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/attendance/:candidateId/revisions Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /:eventId/attendance/:candidateId/revisions/diff - Compare two versions of one report
+ * Query: attendanceId, from (default: the version before `to`), to (default: latest version)
+ */
+router.get("/:eventId/attendance/:candidateId/revisions/diff", authRequired, async (req, res) => {
+  const { eventId, candidateId } = req.params;
+  const attendanceId = parseInt(req.query.attendanceId, 10);
+  const from = req.query.from === undefined ? null : parseInt(req.query.from, 10);
+  const to = req.query.to === undefined ? null : parseInt(req.query.to, 10);
+  if (Number.isNaN(attendanceId) || Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ success: false, message: "attendanceId, from und to müssen ganze Zahlen sein" });
+  }
+
+  try {
+    const [report] = await loadReportHistories(pool, { eventId, candidateId, attendanceId, includeDeleted: isAdmin(req.user) });
+    if (!report) {
+      return res.status(404).json({ success: false, message: "Report nicht gefunden" });
+    }
+
+    const toVersion = to === null ? report.versions.at(-1) : report.versions.find(version => version.version === to);
+    const fromVersion = from === null
+      ? report.versions.find(version => version.version === toVersion?.version - 1)
+      : report.versions.find(version => version.version === from);
+    if (!toVersion || (from !== null && !fromVersion)) {
+      return res.status(404).json({ success: false, message: "Version nicht gefunden" });
+    }
+
+    // Versions come with their changes against the previous one, which do not apply here
+    const withoutChanges = ({ changes, ...version }) => version;
+    const older = fromVersion ? withoutChanges(fromVersion) : null;
+    const newer = withoutChanges(toVersion);
+    res.json({
+      success: true,
+      attendanceId,
+      from: older,
+      to: newer,
+      changes: diffVersions(older, newer)
+    });
+  } catch (error) {
+    console.error("GET /api/events/:eventId/attendance/:candidateId/revisions/diff Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 /**
  * PUT /:eventId/attendance/:candidateId - Update your own attendance report for a candidate
- * You can only edit reports that you created
+ * You can only edit reports that you created. The previous version stays in the revision history.
  */
 router.put("/:eventId/attendance/:candidateId", authRequired, async (req, res) => {
   const { eventId, candidateId } = req.params;
-  const { status, attendance, comment } = req.body;
+  const { status, attendance, comment, scores } = req.body;
   const accountId = req.user.id;
 
   if (!status || !attendance) {
@@ -637,10 +1798,18 @@ router.put("/:eventId/attendance/:candidateId", authRequired, async (req, res) =
       message: "status and attendance are required"
     });
   }
+  const attendanceValue = normalizeAttendance(attendance);
+  if (!attendanceValue) {
+    return res.status(400).json({
+      success: false,
+      message: `Ungültige Anwesenheit. Erlaubt: ${ATTENDANCE_VALUES.join(', ')}`
+    });
+  }
 
+  const client = await pool.connect();
   try {
     // Check if user owns this report
-    const ownershipCheck = await pool.query(
+    const ownershipCheck = await client.query(
       `SELECT attendance_id FROM Event_Attendance 
        WHERE event_id = $1 AND candidate_id = $2 AND created_by = $3`,
       [eventId, candidateId, accountId]
@@ -653,9 +1822,22 @@ router.put("/:eventId/attendance/:candidateId", authRequired, async (req, res) =
       });
     }
 
-    const result = await pool.query(
+    // Scores are only replaced when sent along
+    let scorecard = null;
+    let scoreValues = null;
+    if (scores !== undefined) {
+      scorecard = await resolveScorecard(client, { eventId, candidateId });
+      const validation = validateScores(scorecard, scores);
+      if (validation.error) {
+        return res.status(400).json({ success: false, message: validation.error });
+      }
+      scoreValues = validation.values;
+    }
+
+    await client.query("BEGIN");
+    const result = await client.query(
       `UPDATE Event_Attendance 
-       SET attendance = $1, status = $2, comment = $3, created_at = NOW()
+       SET attendance = $1, status = $2, comment = $3, updated_at = NOW(), updated_by = $6
        WHERE event_id = $4 AND candidate_id = $5 AND created_by = $6
        RETURNING 
          attendance_id,
@@ -665,18 +1847,28 @@ router.put("/:eventId/attendance/:candidateId", authRequired, async (req, res) =
          status,
          comment,
          created_at,
-         created_by`,
-      [attendance, status, comment || null, eventId, candidateId, accountId]
+         created_by,
+         updated_at,
+         updated_by`,
+      [attendanceValue, status, comment || null, eventId, candidateId, accountId]
     );
 
     if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
       return res.status(404).json({
         success: false,
         message: "Report nicht gefunden"
       });
     }
 
-    const report = snakeToCamelObj(result.rows[0]);
+    if (scoreValues) {
+      await saveScores(client, result.rows[0].attendance_id, scorecard?.id, scoreValues);
+    }
+    await recordRevisions(client, [result.rows[0].attendance_id], 'update', accountId);
+    await client.query("COMMIT");
+
+    const scored = (await loadScores(pool, [result.rows[0].attendance_id])).get(result.rows[0].attendance_id);
+    const report = { ...snakeToCamelObj(result.rows[0]), ...scored };
 
     res.json({
       success: true,
@@ -684,11 +1876,14 @@ router.put("/:eventId/attendance/:candidateId", authRequired, async (req, res) =
       report
     });
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("Fehler beim Aktualisieren des Attendance Reports:", error);
     res.status(500).json({
       success: false,
       message: error.message
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -700,31 +1895,41 @@ router.delete("/:eventId/attendance/:candidateId", authRequired, async (req, res
   const { eventId, candidateId } = req.params;
   const accountId = req.user.id;
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      `DELETE FROM Event_Attendance 
-       WHERE event_id = $1 AND candidate_id = $2 AND created_by = $3
-       RETURNING attendance_id`,
+    await client.query("BEGIN");
+    const existing = await client.query(
+      `SELECT attendance_id FROM Event_Attendance 
+       WHERE event_id = $1 AND candidate_id = $2 AND created_by = $3`,
       [eventId, candidateId, accountId]
     );
 
-    if (result.rows.length === 0) {
+    if (existing.rows.length === 0) {
+      await client.query("ROLLBACK");
       return res.status(403).json({
         success: false,
         message: "Sie können nur Ihre eigenen Reports löschen"
       });
     }
 
+    // The last version keeps the deleted report visible for admins
+    await recordRevisions(client, [existing.rows[0].attendance_id], 'delete', accountId);
+    await client.query("DELETE FROM Event_Attendance WHERE attendance_id = $1", [existing.rows[0].attendance_id]);
+    await client.query("COMMIT");
+
     res.json({
       success: true,
       message: "Report erfolgreich gelöscht"
     });
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("Fehler beim Löschen des Attendance Reports:", error);
     res.status(500).json({
       success: false,
       message: error.message
     });
+  } finally {
+    client.release();
   }
 });
 
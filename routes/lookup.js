@@ -112,4 +112,30 @@ router.get("/event-types", authRequired, async (req, res) => {
   }
 });
 
+router.get("/tags", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        t.tag_id,
+        t.name,
+        COUNT(ct.candidate_id)::int as usage_count
+      FROM Tag t
+      LEFT JOIN Candidate_Tag ct ON t.tag_id = ct.tag_id
+      GROUP BY t.tag_id, t.name
+      ORDER BY t.name ASC;
+    `);
+    
+    // Convert snake_case to camelCase before sending to frontend
+    const camelCaseTags = snakeToCamelArray(result.rows);
+    
+    res.status(200).json({
+      success: true,
+      tags: camelCaseTags,
+    });
+  } catch (error) {
+    console.error("GET /api/tags Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,164 @@
+import express from 'express';
+import { pool } from '../config/db.js';
+import { authRequired, checkAdmin } from '../middleware/auth.js';
+import { auditLog } from '../middleware/logging.js';
+import { loadPipeline } from '../utils/pipeline.js';
+
+const router = express.Router();
+
+// "default" (or no value) addresses the default pipeline
+function parseApprenticeshipId(value) {
+  if (value === undefined || value === null || value === '' || value === 'default') return null;
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) ? undefined : id;
+}
+
+/**
+ * GET / - Stages and transitions of a pipeline
+ * Query: apprenticeshipId (falls back to the default pipeline if the apprenticeship has none)
+ */
+router.get("/", authRequired, async (req, res) => {
+  const apprenticeshipId = parseApprenticeshipId(req.query.apprenticeshipId);
+  if (apprenticeshipId === undefined) {
+    return res.status(400).json({ success: false, message: "Ungültige apprenticeshipId" });
+  }
+
+  try {
+    let pipeline = await loadPipeline(pool, apprenticeshipId);
+    const isDefault = pipeline.stages.length === 0 && apprenticeshipId !== null;
+    if (isDefault) {
+      pipeline = await loadPipeline(pool, null);
+    }
+
+    res.status(200).json({ success: true, pipeline: { ...pipeline, inheritsDefault: isDefault } });
+  } catch (error) {
+    console.error("GET /api/pipelines Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /counts - Number of candidates per stage
+ * Query: apprenticeshipId (optional, restricts to candidates of that apprenticeship)
+ * Statuses that are not part of the pipeline are reported under "other".
+ */
+router.get("/counts", authRequired, async (req, res) => {
+  const apprenticeshipId = parseApprenticeshipId(req.query.apprenticeshipId);
+  if (apprenticeshipId === undefined) {
+    return res.status(400).json({ success: false, message: "Ungültige apprenticeshipId" });
+  }
+
+  try {
+    let pipeline = await loadPipeline(pool, apprenticeshipId);
+    if (pipeline.stages.length === 0) {
+      pipeline = await loadPipeline(pool, null);
+    }
+
+    const result = await pool.query(`
+      SELECT c.candidate_status as status, COUNT(*)::int as count
+      FROM Candidate c
+      WHERE $1::int IS NULL OR EXISTS (
+        SELECT 1 FROM Candidate_Apprenticeship ca
+        WHERE ca.candidate_id = c.candidate_id AND ca.apprenticeship_id = $1
+      )
+      GROUP BY c.candidate_status;
+    `, [apprenticeshipId]);
+
+    const countsByStatus = new Map(result.rows.map(r => [r.status, r.count]));
+    const stages = pipeline.stages.map(stage => ({
+      ...stage,
+      count: countsByStatus.get(stage.name) || 0
+    }));
+    const other = result.rows
+      .filter(r => !pipeline.stages.some(stage => stage.name === r.status))
+      .reduce((sum, r) => sum + r.count, 0);
+
+    res.status(200).json({
+      success: true,
+      apprenticeshipId,
+      stages,
+      other,
+      total: result.rows.reduce((sum, r) => sum + r.count, 0)
+    });
+  } catch (error) {
+    console.error("GET /api/pipelines/counts Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /:apprenticeshipId - Replace the stages and transitions of a pipeline (admin only)
+ * Body: { stages: [{ name, isFinal }], transitions: [{ from, to }] }
+ * An empty stages list removes the apprenticeship's own pipeline, so it inherits the default again.
+ */
+router.put("/:apprenticeshipId", authRequired, checkAdmin, async (req, res) => {
+  const apprenticeshipId = parseApprenticeshipId(req.params.apprenticeshipId);
+  const { stages, transitions = [] } = req.body || {};
+
+  if (apprenticeshipId === undefined) {
+    return res.status(400).json({ success: false, message: "Ungültige apprenticeshipId" });
+  }
+  if (!Array.isArray(stages) || !Array.isArray(transitions)) {
+    return res.status(400).json({ success: false, message: "stages und transitions müssen Listen sein" });
+  }
+  if (apprenticeshipId === null && stages.length === 0) {
+    return res.status(400).json({ success: false, message: "Die Standard-Pipeline benötigt mindestens einen Status" });
+  }
+
+  const names = stages.map(stage => String(stage?.name || '').trim());
+  if (names.some(name => !name) || new Set(names).size !== names.length) {
+    return res.status(400).json({ success: false, message: "Jeder Status benötigt einen eindeutigen Namen" });
+  }
+  const unknown = transitions.find(t => !names.includes(t?.from) || !names.includes(t?.to));
+  if (unknown) {
+    return res.status(400).json({ success: false, message: `Übergang verweist auf unbekannten Status: ${unknown?.from} → ${unknown?.to}` });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      "DELETE FROM Pipeline_Stage WHERE apprenticeship_id IS NOT DISTINCT FROM $1;",
+      [apprenticeshipId]
+    );
+
+    const stageIds = new Map();
+    for (const [index, stage] of stages.entries()) {
+      const result = await client.query(
+        `INSERT INTO Pipeline_Stage (apprenticeship_id, name, position, is_final)
+         VALUES ($1, $2, $3, $4)
+         RETURNING stage_id;`,
+        [apprenticeshipId, names[index], index + 1, stage.isFinal === true]
+      );
+      stageIds.set(names[index], result.rows[0].stage_id);
+    }
+
+    for (const transition of transitions) {
+      await client.query(
+        `INSERT INTO Pipeline_Transition (from_stage_id, to_stage_id)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING;`,
+        [stageIds.get(transition.from), stageIds.get(transition.to)]
+      );
+    }
+
+    await client.query("COMMIT");
+
+    await auditLog('UPDATE', 'pipeline', apprenticeshipId, req.user.id, {
+      stages: names,
+      transitions,
+      ip: req.ip
+    });
+
+    const pipeline = await loadPipeline(pool, apprenticeshipId);
+    res.status(200).json({ success: true, message: "Pipeline erfolgreich gespeichert", pipeline });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("PUT /api/pipelines/:apprenticeshipId Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
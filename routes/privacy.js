@@ -0,0 +1,240 @@
+import express from 'express';
+import { ZipArchive } from 'archiver';
+import { pool } from '../config/db.js';
+import { getStorage } from '../config/storage.js';
+import { authRequired, checkAdmin } from '../middleware/auth.js';
+import { auditLog } from '../middleware/logging.js';
+import { snakeToCamelObj, snakeToCamelArray } from '../utils/caseUtils.js';
+import { getRetentionPolicy, runRetention, RETENTION_ACTIONS } from '../utils/retention.js';
+
+const router = express.Router();
+
+/**
+ * Validate the months/action overrides of the retention endpoints.
+ * Returns an error message or null.
+ */
+function validateRetentionOverrides({ months, action }) {
+  if (months !== undefined && !/^\d+$/.test(String(months).trim())) {
+    return 'months muss eine ganze Zahl sein';
+  }
+  if (months !== undefined && parseInt(months, 10) < 1) {
+    return 'months muss mindestens 1 sein';
+  }
+  if (action && !RETENTION_ACTIONS.includes(action)) {
+    return `Ungültige Aktion. Erlaubt: ${RETENTION_ACTIONS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Everything stored about one candidate, for data-subject access requests.
+ */
+async function collectCandidateData(candidateId) {
+  const candidateResult = await pool.query(
+    'SELECT * FROM Candidate WHERE candidate_id = $1;',
+    [candidateId]
+  );
+  if (candidateResult.rows.length === 0) return null;
+
+  const queries = {
+    apprenticeships: `
+      SELECT a.apprenticeship_id, a.name
+      FROM Candidate_Apprenticeship ca
+      JOIN Apprenticeship a ON ca.apprenticeship_id = a.apprenticeship_id
+      WHERE ca.candidate_id = $1`,
+    registrations: `
+      SELECT er.*, e.title as event_title
+      FROM Event_Registration er
+      JOIN Event e ON er.event_id = e.event_id
+      WHERE er.candidate_id = $1
+      ORDER BY er.registered_at`,
+    checkins: `
+      SELECT ci.checkin_id, er.event_id, e.title as event_title, ci.session_id, ci.checked_in_at, ci.checked_in_by
+      FROM Event_Checkin ci
+      JOIN Event_Registration er ON ci.registration_id = er.registration_id
+      JOIN Event e ON er.event_id = e.event_id
+      WHERE er.candidate_id = $1
+      ORDER BY ci.checked_in_at`,
+    invitations: `
+      SELECT i.invitation_id, i.event_id, e.title as event_title, i.email, i.status, i.attempts,
+             i.last_error, i.sent_at, i.created_at
+      FROM Event_Invitation i
+      JOIN Event e ON i.event_id = e.event_id
+      WHERE i.candidate_id = $1
+      ORDER BY i.created_at`,
+    attendanceReports: `
+      SELECT ea.*, e.title as event_title,
+             a.first_name as creator_first_name, a.last_name as creator_last_name
+      FROM Event_Attendance ea
+      JOIN Event e ON ea.event_id = e.event_id
+      LEFT JOIN Account a ON ea.created_by = a.account_id
+      WHERE ea.candidate_id = $1
+      ORDER BY ea.created_at`,
+    attendanceRevisions: `
+      SELECT r.*, e.title as event_title
+      FROM Attendance_Revision r
+      JOIN Event e ON r.event_id = e.event_id
+      WHERE r.candidate_id = $1
+      ORDER BY r.attendance_id, r.version`,
+    pendingRegistrations: `
+      SELECT p.pending_id, p.event_id, e.title as event_title, p.session_id, p.email, p.form_data, p.ip,
+             p.created_at, p.expires_at, p.confirmed_at, p.registration_id
+      FROM Pending_Registration p
+      JOIN Event e ON p.event_id = e.event_id
+      WHERE LOWER(p.email) = (SELECT LOWER(email) FROM Candidate WHERE candidate_id = $1)
+         OR p.registration_id IN (SELECT registration_id FROM Event_Registration WHERE candidate_id = $1)
+      ORDER BY p.created_at`,
+    statusHistory: `
+      SELECT * FROM Candidate_Status_History WHERE candidate_id = $1 ORDER BY changed_at`,
+    notes: `
+      SELECT * FROM Candidate_Note WHERE candidate_id = $1 ORDER BY created_at`,
+    tags: `
+      SELECT t.name, ct.tagged_at
+      FROM Candidate_Tag ct
+      JOIN Tag t ON ct.tag_id = t.tag_id
+      WHERE ct.candidate_id = $1`,
+    documents: `
+      SELECT document_id, document_type, file_name, mime_type, size_bytes, uploaded_at, storage_key
+      FROM Candidate_Document WHERE candidate_id = $1 ORDER BY uploaded_at`,
+    auditEntries: `
+      SELECT audit_id, action, account_id, new_data, timestamp
+      FROM Audit_Log
+      WHERE table_name = 'candidate' AND record_id = $1
+      ORDER BY timestamp`,
+  };
+
+  const data = { candidate: snakeToCamelObj(candidateResult.rows[0]) };
+  for (const [key, query] of Object.entries(queries)) {
+    const result = await pool.query(query, [candidateId]);
+    data[key] = snakeToCamelArray(result.rows);
+  }
+  return data;
+}
+
+/**
+ * GET /retention/preview - Dry-run of the retention policy
+ * Query: months, action (anonymize|delete) override the configured policy
+ */
+router.get('/retention/preview', authRequired, checkAdmin, async (req, res) => {
+  const { months, action } = req.query;
+
+  const validationError = validateRetentionOverrides({ months, action });
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+  // The configured policy itself may be invalid (RETENTION_MONTHS/RETENTION_ACTION)
+  const { error: policyError } = getRetentionPolicy({ months, action });
+  if (policyError) {
+    return res.status(500).json({ success: false, message: policyError });
+  }
+
+  try {
+    const result = await runRetention({ dryRun: true, months, action });
+    res.json({
+      success: true,
+      policy: result.policy,
+      count: result.candidates.length,
+      candidates: snakeToCamelArray(result.candidates)
+    });
+  } catch (error) {
+    console.error('GET /api/privacy/retention/preview Error:', error);
+    res.status(500).json({ success: false, message: 'Fehler bei der Retention-Vorschau' });
+  }
+});
+
+/**
+ * POST /retention/run - Apply the retention policy now
+ * Body: { confirm: true, months?, action? } - months/action override the configured policy.
+ * confirm must be set explicitly, the run anonymizes or deletes candidates irreversibly.
+ */
+router.post('/retention/run', authRequired, checkAdmin, async (req, res) => {
+  const { months, action, confirm } = req.body || {};
+
+  const validationError = validateRetentionOverrides({ months, action });
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+  const { error: policyError } = getRetentionPolicy({ months, action });
+  if (policyError) {
+    return res.status(500).json({ success: false, message: policyError });
+  }
+  if (confirm !== true) {
+    return res.status(400).json({
+      success: false,
+      message: 'Die Retention ist nicht umkehrbar. Bitte mit confirm=true bestätigen (Vorschau: GET /api/privacy/retention/preview).'
+    });
+  }
+
+  try {
+    const result = await runRetention({ dryRun: false, months, action, userId: req.user.id });
+    res.json({
+      success: true,
+      policy: result.policy,
+      count: result.candidates.length,
+      processed: result.processed
+    });
+  } catch (error) {
+    console.error('POST /api/privacy/retention/run Error:', error);
+    res.status(500).json({ success: false, message: 'Fehler beim Ausführen der Retention' });
+  }
+});
+
+/**
+ * GET /candidates/:id/export - Full data export for one candidate (format=json|zip)
+ * The ZIP variant contains data.json and all uploaded documents.
+ */
+router.get('/candidates/:id/export', authRequired, checkAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { format = 'json' } = req.query;
+
+  if (!['json', 'zip'].includes(format)) {
+    return res.status(400).json({ success: false, message: 'Ungültiges Format. Erlaubt sind json und zip.' });
+  }
+
+  try {
+    const data = await collectCandidateData(id);
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'Kandidat nicht gefunden' });
+    }
+
+    await auditLog('EXPORT_DATA', 'candidate', parseInt(id), req.user.id, {
+      format,
+      ip: req.ip
+    });
+
+    const exportData = {
+      exportedAt: new Date().toISOString(),
+      ...data,
+      documents: data.documents.map(({ storageKey, ...document }) => document)
+    };
+    const fileName = `kandidat_${id}_daten`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+      return res.json(exportData);
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+
+    const archive = new ZipArchive({ zlib: { level: 9 } });
+    archive.on('error', (err) => {
+      console.error(`Data export ZIP for candidate ${id} failed:`, err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+    archive.append(JSON.stringify(exportData, null, 2), { name: 'data.json' });
+    for (const document of data.documents) {
+      archive.append(getStorage().createReadStream(document.storageKey), {
+        name: `dokumente/${document.documentId}_${document.fileName}`
+      });
+    }
+    await archive.finalize();
+  } catch (error) {
+    console.error(`GET /api/privacy/candidates/${id}/export Error:`, error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, message: 'Fehler beim Datenexport' });
+  }
+});
+
+export default router;
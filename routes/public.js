@@ -0,0 +1,376 @@
+import express from 'express';
+import { pool } from '../config/db.js';
+import { sendMail } from '../config/mail.js';
+import { auditLog } from '../middleware/logging.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { snakeToCamelArray } from '../utils/caseUtils.js';
+import { buildCalendar, loadCalendarSessions, sendCalendar } from '../utils/ics.js';
+import { loadApprenticeshipPipeline, recordStatusChange, resolveInitialStatus } from '../utils/pipeline.js';
+import {
+  confirmationHours,
+  confirmationUrl,
+  createConfirmationToken,
+  hashConfirmationToken,
+  parseRegistrationToken,
+  purgeExpiredPendingRegistrations,
+  verifyRegistrationToken
+} from '../utils/publicRegistration.js';
+import { buildFormSchema, validateSubmission, BASE_FIELDS } from '../utils/registrationForm.js';
+import { hasFreePlace, isRegistrationClosed, lockEventForRegistration, registerCandidate } from '../utils/registrations.js';
+
+// Unauthenticated endpoints, mounted at /api/public
+const router = express.Router();
+
+// Per IP: form submissions and confirmations
+const submitLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: () => parseInt(process.env.PUBLIC_REGISTRATION_RATE_LIMIT || '5', 10)
+});
+const confirmLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 30 });
+// Calendar services poll subscribed feeds from shared addresses
+const calendarLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 300 });
+
+// Per e-mail and event: no second confirmation mail within this time
+const EMAIL_COOLDOWN_MINUTES = 10;
+
+const ACCEPTED_MESSAGE = "Vielen Dank! Bitte bestätigen Sie Ihre Anmeldung über den Link in der E-Mail, die wir Ihnen gesendet haben.";
+const INVALID_LINK_MESSAGE = "Der Anmeldelink ist ungültig oder nicht mehr aktiv.";
+
+// The personal calendar feed includes sessions from this many days back
+const CALENDAR_FEED_PAST_DAYS = 90;
+
+/**
+ * Load the event behind a public link, or null if the link is invalid or public registration is off.
+ */
+async function loadPublicEvent(token) {
+  const parsed = parseRegistrationToken(token);
+  if (!parsed) return null;
+
+  const result = await pool.query(`
+    SELECT e.event_id, e.title, e.description, e.branch_id, e.capacity, e.registrations_closing_at,
+           e.public_registration_key, e.registration_form,
+           l.name as location_name, l.address as location_address, l.city as location_city, l.plz as location_plz
+    FROM Event e
+    LEFT JOIN Location l ON e.location_id = l.location_id
+    WHERE e.event_id = $1 AND e.public_registration = TRUE
+  `, [parsed.eventId]);
+
+  const event = result.rows[0];
+  if (!event || !verifyRegistrationToken(parsed, event.public_registration_key)) return null;
+  return event;
+}
+
+async function loadFormSchema(event) {
+  const apprenticeships = await pool.query(
+    `SELECT apprenticeship_id, name FROM Apprenticeship
+     WHERE $1::int IS NULL OR branch_id = $1
+     ORDER BY name`,
+    [event.branch_id]
+  );
+  return buildFormSchema(event.registration_form || [], apprenticeships.rows);
+}
+
+/**
+ * GET /events/:token - Event details and form schema for the public registration page
+ */
+router.get("/events/:token", async (req, res) => {
+  try {
+    const event = await loadPublicEvent(req.params.token);
+    if (!event) {
+      return res.status(404).json({ success: false, message: INVALID_LINK_MESSAGE });
+    }
+
+    const sessionsResult = await pool.query(`
+      SELECT session_id as id, to_char(date_at, 'YYYY-MM-DD') as date_at, starting_at, ending_at
+      FROM Event_Session
+      WHERE event_id = $1
+      ORDER BY date_at, starting_at
+    `, [event.event_id]);
+
+    const sessions = [];
+    for (const session of sessionsResult.rows) {
+      sessions.push({ ...session, full: !await hasFreePlace(pool, event.event_id, session.id) });
+    }
+
+    res.json({
+      success: true,
+      event: {
+        title: event.title,
+        description: event.description,
+        location: event.location_name ? {
+          name: event.location_name,
+          address: event.location_address,
+          city: event.location_city,
+          plz: event.location_plz
+        } : null,
+        registrationsClosingAt: event.registrations_closing_at,
+        closed: isRegistrationClosed(event),
+        // Full events still accept registrations for the waitlist
+        full: !await hasFreePlace(pool, event.event_id),
+        sessions: snakeToCamelArray(sessions)
+      },
+      form: await loadFormSchema(event)
+    });
+  } catch (error) {
+    console.error("GET /api/public/events/:token Error:", error);
+    res.status(500).json({ success: false, message: "Serverfehler" });
+  }
+});
+
+/**
+ * POST /events/:token/registrations - Submit the public form
+ * Body: form values by field key, sessionId? and the honeypot field "website" (must stay empty).
+ * Nothing is registered yet; the candidate receives a confirmation link by e-mail (double opt-in).
+ */
+router.post("/events/:token/registrations", submitLimit, async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    const event = await loadPublicEvent(req.params.token);
+    if (!event) {
+      return res.status(404).json({ success: false, message: INVALID_LINK_MESSAGE });
+    }
+    if (isRegistrationClosed(event)) {
+      return res.status(409).json({ success: false, message: "Die Anmeldung für diesen Anlass ist geschlossen." });
+    }
+
+    // Bots fill every field; answer as if everything was fine
+    if (body.website) {
+      console.warn(`Public registration for event ${event.event_id} rejected by honeypot (${req.ip})`);
+      return res.status(202).json({ success: true, message: ACCEPTED_MESSAGE });
+    }
+
+    const schema = await loadFormSchema(event);
+    const { values, errors } = validateSubmission(schema, body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, message: "Bitte überprüfen Sie Ihre Angaben.", errors });
+    }
+
+    const sessionId = body.sessionId ? parseInt(body.sessionId, 10) : null;
+    if (sessionId) {
+      const sessionCheck = await pool.query(
+        "SELECT 1 FROM Event_Session WHERE session_id = $1 AND event_id = $2",
+        [sessionId, event.event_id]
+      );
+      if (sessionCheck.rows.length === 0) {
+        return res.status(400).json({ success: false, message: "Ungültige Session" });
+      }
+    }
+
+    const recent = await pool.query(
+      `SELECT 1 FROM Pending_Registration
+       WHERE event_id = $1 AND LOWER(email) = $2 AND confirmed_at IS NULL
+         AND created_at > NOW() - make_interval(mins => $3)`,
+      [event.event_id, values.email, EMAIL_COOLDOWN_MINUTES]
+    );
+    if (recent.rows.length > 0) {
+      return res.status(202).json({ success: true, message: ACCEPTED_MESSAGE });
+    }
+
+    await purgeExpiredPendingRegistrations(pool);
+
+    const { token, tokenHash } = createConfirmationToken();
+    const pendingResult = await pool.query(
+      `INSERT INTO Pending_Registration (event_id, session_id, email, form_data, token_hash, ip, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7))
+       RETURNING pending_id`,
+      [event.event_id, sessionId, values.email, JSON.stringify(values), tokenHash, req.ip, confirmationHours()]
+    );
+
+    try {
+      await sendMail({
+        to: values.email,
+        subject: `Bitte bestätigen Sie Ihre Anmeldung: ${event.title}`,
+        text: [
+          `Guten Tag ${values.firstName} ${values.lastName}`,
+          '',
+          `Vielen Dank für Ihre Anmeldung zu "${event.title}".`,
+          'Bitte bestätigen Sie die Anmeldung über folgenden Link:',
+          '',
+          confirmationUrl(token),
+          '',
+          `Der Link ist ${confirmationHours()} Stunden gültig. Falls Sie sich nicht angemeldet haben, können Sie diese E-Mail ignorieren.`
+        ].join('\n')
+      });
+    } catch (mailError) {
+      await pool.query("DELETE FROM Pending_Registration WHERE pending_id = $1", [pendingResult.rows[0].pending_id]);
+      throw mailError;
+    }
+
+    res.status(202).json({ success: true, message: ACCEPTED_MESSAGE });
+  } catch (error) {
+    console.error("POST /api/public/events/:token/registrations Error:", error);
+    res.status(500).json({ success: false, message: "Die Anmeldung konnte nicht verarbeitet werden. Bitte versuchen Sie es später erneut." });
+  }
+});
+
+/**
+ * POST /registrations/confirm - Confirm a registration from the e-mail link. Body: { token }
+ * Matches an existing candidate by e-mail or creates a new one, then registers them
+ * (or puts them on the waitlist). Confirming twice returns the existing registration.
+ */
+router.post("/registrations/confirm", confirmLimit, async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) {
+    return res.status(400).json({ success: false, message: "token ist erforderlich" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const pendingResult = await client.query(
+      `SELECT p.*, er.status as registration_status
+       FROM Pending_Registration p
+       LEFT JOIN Event_Registration er ON p.registration_id = er.registration_id
+       WHERE p.token_hash = $1
+       FOR UPDATE OF p`,
+      [hashConfirmationToken(token)]
+    );
+    const pending = pendingResult.rows[0];
+
+    if (!pending) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "Der Bestätigungslink ist ungültig." });
+    }
+    if (pending.confirmed_at) {
+      await client.query("ROLLBACK");
+      return res.json({ success: true, message: "Ihre Anmeldung wurde bereits bestätigt.", status: pending.registration_status });
+    }
+    if (new Date(pending.expires_at) < new Date()) {
+      await client.query("DELETE FROM Pending_Registration WHERE pending_id = $1", [pending.pending_id]);
+      await client.query("COMMIT");
+      return res.status(410).json({ success: false, message: "Der Bestätigungslink ist abgelaufen. Bitte melden Sie sich erneut an." });
+    }
+
+    const event = await lockEventForRegistration(client, pending.event_id);
+    if (isRegistrationClosed(event)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ success: false, message: "Die Anmeldung für diesen Anlass ist inzwischen geschlossen." });
+    }
+
+    const form = pending.form_data;
+    const apprenticeshipId = form.apprenticeshipId ? parseInt(form.apprenticeshipId, 10) : null;
+
+    // Create or match the candidate by e-mail
+    let candidateCreated = false;
+    const candidateResult = await client.query(
+      "SELECT candidate_id FROM Candidate WHERE LOWER(email) = LOWER($1) ORDER BY candidate_id LIMIT 1",
+      [pending.email]
+    );
+    let candidateId = candidateResult.rows[0]?.candidate_id;
+    if (!candidateId) {
+      const pipeline = await loadApprenticeshipPipeline(client, apprenticeshipId ? [apprenticeshipId] : []);
+      const { status } = resolveInitialStatus(pipeline, null);
+      const insertResult = await client.query(
+        `INSERT INTO Candidate (first_name, last_name, email, birth_date, candidate_status)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING candidate_id`,
+        [form.firstName, form.lastName, pending.email, form.birthDate || null, status]
+      );
+      candidateId = insertResult.rows[0].candidate_id;
+      candidateCreated = true;
+      await recordStatusChange(client, { candidateId, toStatus: status, changedBy: null, comment: 'Öffentliche Event-Anmeldung' });
+    }
+    if (apprenticeshipId) {
+      await client.query(
+        `INSERT INTO Candidate_Apprenticeship (candidate_id, apprenticeship_id)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [candidateId, apprenticeshipId]
+      );
+    }
+
+    const { registration, conflict } = await registerCandidate(client, {
+      eventId: pending.event_id,
+      candidateId,
+      sessionId: pending.session_id
+    });
+    if (conflict) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ success: false, message: "Sie sind für diesen Anlass bereits angemeldet." });
+    }
+
+    const baseKeys = BASE_FIELDS.map(field => field.key);
+    const answers = Object.fromEntries(Object.entries(form).filter(([key]) => !baseKeys.includes(key)));
+    await client.query(
+      "UPDATE Event_Registration SET source = 'public', form_answers = $1 WHERE registration_id = $2",
+      [JSON.stringify(answers), registration.registration_id]
+    );
+    // The form data now lives in Candidate/Event_Registration; the row only answers repeated confirmations
+    await client.query(
+      `UPDATE Pending_Registration
+       SET confirmed_at = NOW(), registration_id = $1, email = NULL, ip = NULL, form_data = '{}'::jsonb
+       WHERE pending_id = $2`,
+      [registration.registration_id, pending.pending_id]
+    );
+    await client.query("COMMIT");
+
+    if (candidateCreated) {
+      await auditLog('CREATE', 'candidate', candidateId, null, {
+        firstName: form.firstName,
+        lastName: form.lastName,
+        email: pending.email,
+        source: 'public_registration',
+        ip: req.ip
+      });
+    }
+    await auditLog('CREATE', 'event_registration', registration.registration_id, null, {
+      eventId: pending.event_id,
+      candidateId,
+      sessionId: registration.session_id,
+      status: registration.status,
+      source: 'public_registration',
+      ip: req.ip
+    });
+
+    const waitlisted = registration.status === 'waitlisted';
+    res.status(201).json({
+      success: true,
+      message: waitlisted
+        ? "Ihre Anmeldung ist bestätigt. Der Anlass ist ausgebucht, Sie stehen auf der Warteliste."
+        : "Ihre Anmeldung ist bestätigt.",
+      status: registration.status
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("POST /api/public/registrations/confirm Error:", error);
+    res.status(500).json({ success: false, message: "Die Bestätigung konnte nicht verarbeitet werden." });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /calendar/:token(.ics) - Personal iCalendar feed of a user (events assigned via Event_Recruiter)
+ * Authenticated by the secret token from GET /api/users/me/calendar-feed. The feed is built on
+ * every request, so changed event times show up with the next refresh of the calendar client.
+ */
+router.get("/calendar/:token", calendarLimit, async (req, res) => {
+  const token = req.params.token.replace(/\.ics$/, '');
+
+  try {
+    const accountResult = await pool.query(
+      "SELECT account_id, first_name, last_name FROM Account WHERE calendar_token = $1",
+      [token]
+    );
+    const account = accountResult.rows[0];
+    if (!account) {
+      return res.status(404).json({ success: false, message: "Kalender nicht gefunden" });
+    }
+
+    const from = new Date(Date.now() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const sessions = await loadCalendarSessions(pool, { recruiterId: account.account_id, from });
+    const calendar = buildCalendar({
+      name: `TalentBinder – ${account.first_name} ${account.last_name}`,
+      sessions,
+      host: req.get('host')
+    });
+
+    sendCalendar(res, 'talentbinder.ics', calendar, { inline: true });
+  } catch (error) {
+    console.error("GET /api/public/calendar/:token Error:", error);
+    res.status(500).json({ success: false, message: "Serverfehler" });
+  }
+});
+
+export default router;
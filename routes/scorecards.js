@@ -0,0 +1,213 @@
+import express from 'express';
+import { pool } from '../config/db.js';
+import { authRequired, checkAdmin } from '../middleware/auth.js';
+import { auditLog } from '../middleware/logging.js';
+import { loadScorecard, validateScorecard } from '../utils/scorecards.js';
+
+// Evaluation scorecards for attendance reports, mounted at /api/scorecards
+const router = express.Router();
+
+/**
+ * Replace the criteria of a scorecard. Criteria with an `id` of this scorecard are updated,
+ * others are added, missing ones removed (stored scores keep their copy of the criterion).
+ */
+async function saveCriteria(client, scorecardId, criteria) {
+  const keepIds = criteria.map(criterion => Number(criterion.id)).filter(Number.isInteger);
+  await client.query(
+    "DELETE FROM Scorecard_Criterion WHERE scorecard_id = $1 AND NOT (criterion_id = ANY($2::int[]))",
+    [scorecardId, keepIds]
+  );
+
+  for (const [index, criterion] of criteria.entries()) {
+    const values = [
+      String(criterion.name).trim(),
+      criterion.description || null,
+      criterion.scaleMin ?? 1,
+      criterion.scaleMax ?? 5,
+      criterion.weight ?? 1,
+      index + 1
+    ];
+    const updated = criterion.id
+      ? await client.query(
+        `UPDATE Scorecard_Criterion
+         SET name = $1, description = $2, scale_min = $3, scale_max = $4, weight = $5, position = $6
+         WHERE criterion_id = $7 AND scorecard_id = $8`,
+        [...values, criterion.id, scorecardId]
+      )
+      : { rowCount: 0 };
+
+    if (updated.rowCount === 0) {
+      await client.query(
+        `INSERT INTO Scorecard_Criterion (name, description, scale_min, scale_max, weight, position, scorecard_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [...values, scorecardId]
+      );
+    }
+  }
+}
+
+function sendSaveError(res, error, route) {
+  if (error.code === "23505") {
+    return res.status(409).json({ success: false, message: "Für diesen Eventtyp bzw. Lehrberuf existiert bereits eine Scorecard" });
+  }
+  if (error.code === "23503") {
+    return res.status(400).json({ success: false, message: "Eventtyp oder Lehrberuf existiert nicht" });
+  }
+  console.error(`${route} Error:`, error);
+  res.status(500).json({ success: false, message: error.message });
+}
+
+/**
+ * GET / - All scorecards with their criteria
+ */
+router.get("/", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT sc.scorecard_id
+      FROM Scorecard sc
+      LEFT JOIN Event_Type et ON sc.template_id = et.template_id
+      LEFT JOIN Apprenticeship a ON sc.apprenticeship_id = a.apprenticeship_id
+      ORDER BY (sc.template_id IS NULL AND sc.apprenticeship_id IS NULL) DESC, et.title, a.name
+    `);
+    const scorecards = [];
+    for (const row of result.rows) {
+      scorecards.push(await loadScorecard(pool, row.scorecard_id));
+    }
+
+    res.status(200).json({ success: true, scorecards });
+  } catch (error) {
+    console.error("GET /api/scorecards Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /:scorecardId - One scorecard with its criteria
+ */
+router.get("/:scorecardId", authRequired, async (req, res) => {
+  try {
+    const scorecard = await loadScorecard(pool, req.params.scorecardId);
+    if (!scorecard) {
+      return res.status(404).json({ success: false, message: "Scorecard nicht gefunden" });
+    }
+
+    res.status(200).json({ success: true, scorecard });
+  } catch (error) {
+    console.error("GET /api/scorecards/:scorecardId Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST / - Create a scorecard (admin only)
+ * Body: { name, templateId?, apprenticeshipId?, criteria: [{ name, description?, scaleMin?, scaleMax?, weight? }] }
+ * Without templateId and apprenticeshipId it becomes the default scorecard.
+ */
+router.post("/", authRequired, checkAdmin, async (req, res) => {
+  const { name, templateId, apprenticeshipId, criteria } = req.body || {};
+  const validationError = validateScorecard({ name, templateId, apprenticeshipId, criteria });
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO Scorecard (name, template_id, apprenticeship_id)
+       VALUES ($1, $2, $3)
+       RETURNING scorecard_id`,
+      [name.trim(), templateId || null, apprenticeshipId || null]
+    );
+    const scorecardId = result.rows[0].scorecard_id;
+    await saveCriteria(client, scorecardId, criteria.map(({ id, ...criterion }) => criterion));
+    await client.query("COMMIT");
+
+    await auditLog('CREATE', 'scorecard', scorecardId, req.user.id, {
+      name: name.trim(),
+      templateId,
+      apprenticeshipId,
+      criteria: criteria.map(criterion => criterion.name),
+      ip: req.ip
+    });
+
+    res.status(201).json({ success: true, scorecard: await loadScorecard(pool, scorecardId) });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    sendSaveError(res, error, "POST /api/scorecards");
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /:scorecardId - Replace name, assignment and criteria of a scorecard (admin only)
+ * Existing reports keep their scores.
+ */
+router.put("/:scorecardId", authRequired, checkAdmin, async (req, res) => {
+  const { name, templateId, apprenticeshipId, criteria } = req.body || {};
+  const validationError = validateScorecard({ name, templateId, apprenticeshipId, criteria });
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `UPDATE Scorecard SET name = $1, template_id = $2, apprenticeship_id = $3
+       WHERE scorecard_id = $4
+       RETURNING scorecard_id`,
+      [name.trim(), templateId || null, apprenticeshipId || null, req.params.scorecardId]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, message: "Scorecard nicht gefunden" });
+    }
+    const scorecardId = result.rows[0].scorecard_id;
+    await saveCriteria(client, scorecardId, criteria);
+    await client.query("COMMIT");
+
+    await auditLog('UPDATE', 'scorecard', scorecardId, req.user.id, {
+      name: name.trim(),
+      templateId,
+      apprenticeshipId,
+      criteria: criteria.map(criterion => criterion.name),
+      ip: req.ip
+    });
+
+    res.status(200).json({ success: true, scorecard: await loadScorecard(pool, scorecardId) });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    sendSaveError(res, error, "PUT /api/scorecards/:scorecardId");
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /:scorecardId - Delete a scorecard (admin only); existing reports keep their scores
+ */
+router.delete("/:scorecardId", authRequired, checkAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM Scorecard WHERE scorecard_id = $1 RETURNING scorecard_id, name",
+      [req.params.scorecardId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Scorecard nicht gefunden" });
+    }
+
+    await auditLog('DELETE', 'scorecard', result.rows[0].scorecard_id, req.user.id, {
+      name: result.rows[0].name,
+      ip: req.ip
+    });
+
+    res.status(200).json({ success: true, message: `Scorecard "${result.rows[0].name}" wurde gelöscht.` });
+  } catch (error) {
+    console.error("DELETE /api/scorecards/:scorecardId Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
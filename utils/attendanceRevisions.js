@@ -0,0 +1,164 @@
+// Utility: revision history of attendance reports
+// Each save stores the full state of the report (with its scores) as a new version.
+import { weightedScore } from './scorecards.js';
+
+const SCORES_JSON = `COALESCE((
+  SELECT jsonb_agg(jsonb_build_object(
+    'criterionId', s.criterion_id, 'name', s.criterion_name, 'score', s.score,
+    'scaleMin', s.scale_min, 'scaleMax', s.scale_max, 'weight', s.weight
+  ) ORDER BY s.score_id)
+  FROM Attendance_Score s WHERE s.attendance_id = ea.attendance_id
+), '[]'::jsonb)`;
+
+const DIFF_FIELDS = ['attendance', 'status', 'comment'];
+
+/**
+ * Store the current state of reports as their next version.
+ * action: 'create' | 'update' | 'delete' (call before deleting the report).
+ */
+export async function recordRevisions(db, attendanceIds, action, accountId) {
+  if (attendanceIds.length === 0) return;
+  await db.query(`
+    INSERT INTO Attendance_Revision (attendance_id, version, action, event_id, candidate_id, attendance, status, comment, scores, created_by, changed_by)
+    SELECT
+      ea.attendance_id,
+      COALESCE((SELECT MAX(r.version) FROM Attendance_Revision r WHERE r.attendance_id = ea.attendance_id), 0) + 1,
+      $2, ea.event_id, ea.candidate_id, ea.attendance, ea.status, ea.comment, ${SCORES_JSON}, ea.created_by, $3
+    FROM Event_Attendance ea
+    WHERE ea.attendance_id = ANY($1::int[])
+  `, [attendanceIds, action, accountId]);
+}
+
+function toVersion(row) {
+  const scores = row.scores.map(score => ({
+    criterionId: score.criterionId,
+    name: score.name,
+    score: score.score,
+    scaleMin: score.scaleMin,
+    scaleMax: score.scaleMax,
+    weight: Number(score.weight)
+  }));
+  return {
+    revisionId: row.revision_id,
+    version: row.version,
+    action: row.action,
+    attendance: row.attendance,
+    status: row.status,
+    comment: row.comment,
+    scores,
+    weightedScore: weightedScore(scores),
+    changedAt: row.changed_at,
+    changedBy: row.changed_by,
+    changedByName: row.changed_by_name
+  };
+}
+
+/**
+ * Changed fields and scores between two versions: [{ field, criterionId?, name?, from, to }]
+ */
+export function diffVersions(from, to) {
+  const changes = DIFF_FIELDS
+    .filter(field => (from?.[field] ?? null) !== (to[field] ?? null))
+    .map(field => ({ field, from: from?.[field] ?? null, to: to[field] ?? null }));
+
+  const key = (score) => score.criterionId ?? `name:${score.name}`;
+  const before = new Map((from?.scores || []).map(score => [key(score), score]));
+  const after = new Map(to.scores.map(score => [key(score), score]));
+  for (const id of new Set([...before.keys(), ...after.keys()])) {
+    const old = before.get(id);
+    const current = after.get(id);
+    if (old?.score !== current?.score) {
+      changes.push({
+        field: 'score',
+        criterionId: (current || old).criterionId,
+        name: (current || old).name,
+        from: old?.score ?? null,
+        to: current?.score ?? null
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Reports on a candidate at an event with all their versions, oldest first.
+ * Each version lists its changes against the one before. Deleted reports only with includeDeleted.
+ */
+export async function loadReportHistories(db, { eventId, candidateId, attendanceId = null, includeDeleted = false }) {
+  const result = await db.query(`
+    SELECT r.*, author.first_name || ' ' || author.last_name as creator_name,
+           editor.first_name || ' ' || editor.last_name as changed_by_name
+    FROM Attendance_Revision r
+    LEFT JOIN Account author ON r.created_by = author.account_id
+    LEFT JOIN Account editor ON r.changed_by = editor.account_id
+    WHERE r.event_id = $1 AND r.candidate_id = $2 AND ($3::int IS NULL OR r.attendance_id = $3)
+    ORDER BY r.attendance_id, r.version
+  `, [eventId, candidateId, attendanceId]);
+
+  const reports = new Map();
+  for (const row of result.rows) {
+    if (!reports.has(row.attendance_id)) {
+      reports.set(row.attendance_id, {
+        attendanceId: row.attendance_id,
+        createdBy: row.created_by,
+        creatorName: row.creator_name,
+        deleted: false,
+        versions: []
+      });
+    }
+    const report = reports.get(row.attendance_id);
+    const version = toVersion(row);
+    version.changes = diffVersions(report.versions.at(-1), version);
+    report.versions.push(version);
+    if (row.action === 'delete') {
+      Object.assign(report, { deleted: true, deletedAt: row.changed_at, deletedBy: row.changed_by });
+    }
+  }
+
+  return [...reports.values()].filter(report => includeDeleted || !report.deleted);
+}
+
+/**
+ * Deleted reports in the shape of GET /:eventId/attendance, taken from their last version.
+ */
+export async function loadDeletedReports(db, { eventId, candidateId = null }) {
+  const result = await db.query(`
+    SELECT DISTINCT ON (r.attendance_id)
+      r.*,
+      (SELECT MIN(first.changed_at) FROM Attendance_Revision first WHERE first.attendance_id = r.attendance_id) as created_at,
+      c.first_name as candidate_first_name,
+      c.last_name as candidate_last_name,
+      author.first_name as creator_first_name,
+      author.last_name as creator_last_name
+    FROM Attendance_Revision r
+    JOIN Candidate c ON r.candidate_id = c.candidate_id
+    LEFT JOIN Account author ON r.created_by = author.account_id
+    WHERE r.event_id = $1 AND ($2::int IS NULL OR r.candidate_id = $2)
+    ORDER BY r.attendance_id, r.version DESC
+  `, [eventId, candidateId]);
+
+  return result.rows
+    .filter(row => row.action === 'delete')
+    .map(row => {
+      const version = toVersion(row);
+      return {
+        attendanceId: row.attendance_id,
+        eventId: row.event_id,
+        candidateId: row.candidate_id,
+        attendance: version.attendance,
+        status: version.status,
+        comment: version.comment,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        candidateFirstName: row.candidate_first_name,
+        candidateLastName: row.candidate_last_name,
+        creatorFirstName: row.creator_first_name,
+        creatorLastName: row.creator_last_name,
+        scores: version.scores,
+        weightedScore: version.weightedScore,
+        deleted: true,
+        deletedAt: row.changed_at,
+        deletedBy: row.changed_by
+      };
+    });
+}
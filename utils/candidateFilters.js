@@ -0,0 +1,134 @@
+// Utility: build WHERE conditions for candidate list queries (list, export, ...)
+// All conditions reference the Candidate table as alias `c`.
+
+/**
+ * Search hits: candidates whose name, email, apprenticeship or notes match the term.
+ * Every branch is a trigram operator on an indexed expression (migrations/006 and 019), so the
+ * search does not score every candidate. With the pg_trgm defaults (similarity 0.3, word
+ * similarity 0.6) each hit has a candidate_search_score() of at least 0.3, which then ranks them.
+ */
+function searchCondition(search, param) {
+  const term = `search_normalize(${param(search)})`;
+  const emailPattern = param(`%${String(search).trim().toLowerCase().replace(/[\\%_]/g, '\\$&')}%`);
+  return `c.candidate_id IN (
+      SELECT s.candidate_id FROM Candidate s WHERE search_normalize(s.first_name || ' ' || s.last_name) % ${term}
+      UNION
+      SELECT s.candidate_id FROM Candidate s WHERE ${term} <% search_normalize(s.first_name || ' ' || s.last_name)
+      UNION
+      SELECT s.candidate_id FROM Candidate s
+      WHERE lower(coalesce(s.email, '')) LIKE ${emailPattern} OR ${term} <% lower(coalesce(s.email, ''))
+      UNION
+      SELECT ca_s.candidate_id FROM Candidate_Apprenticeship ca_s
+      JOIN Apprenticeship a_s ON ca_s.apprenticeship_id = a_s.apprenticeship_id
+      WHERE ${term} <% search_normalize(a_s.name)
+      UNION
+      SELECT n_s.candidate_id FROM Candidate_Note n_s WHERE ${term} <% search_normalize(n_s.body)
+    )`;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  return raw.map(v => String(v).trim()).filter(Boolean);
+}
+
+function toIntList(value) {
+  return toList(value).map(v => parseInt(v, 10)).filter(n => !Number.isNaN(n));
+}
+
+/**
+ * Translate list query params into SQL conditions.
+ * Supported params: search, status, apprenticeshipId, branchId, createdBy,
+ * createdFrom, createdTo, eventId (registered for event), tag (tag names)
+ * Values are appended to `values`, placeholders are numbered accordingly.
+ */
+export function buildCandidateFilters(query = {}, values = []) {
+  const conditions = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const { search, status, apprenticeshipId, branchId, createdBy, createdFrom, createdTo, eventId, tag } = query;
+
+  if (search) {
+    conditions.push(searchCondition(search, param));
+  }
+
+  const statuses = toList(status);
+  if (statuses.length > 0) {
+    conditions.push(`c.candidate_status = ANY(${param(statuses)}::text[])`);
+  }
+
+  const apprenticeshipIds = toIntList(apprenticeshipId);
+  if (apprenticeshipIds.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM Candidate_Apprenticeship ca_f
+      WHERE ca_f.candidate_id = c.candidate_id AND ca_f.apprenticeship_id = ANY(${param(apprenticeshipIds)}::int[])
+    )`);
+  }
+
+  const branchIds = toIntList(branchId);
+  if (branchIds.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM Candidate_Apprenticeship ca_b
+      JOIN Apprenticeship a_b ON ca_b.apprenticeship_id = a_b.apprenticeship_id
+      WHERE ca_b.candidate_id = c.candidate_id AND a_b.branch_id = ANY(${param(branchIds)}::int[])
+    )`);
+  }
+
+  const createdByIds = toIntList(createdBy);
+  if (createdByIds.length > 0) {
+    conditions.push(`c.created_by = ANY(${param(createdByIds)}::int[])`);
+  }
+
+  if (createdFrom) {
+    conditions.push(`c.created_at >= ${param(createdFrom)}`);
+  }
+
+  if (createdTo) {
+    conditions.push(`c.created_at <= ${param(createdTo)}`);
+  }
+
+  const eventIds = toIntList(eventId);
+  if (eventIds.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM Event_Registration er_f
+      WHERE er_f.candidate_id = c.candidate_id AND er_f.event_id = ANY(${param(eventIds)}::int[])
+    )`);
+  }
+
+  // Several tags: the candidate must carry all of them
+  const tags = toList(tag).map(t => t.toLowerCase());
+  if (tags.length > 0) {
+    conditions.push(`(
+      SELECT COUNT(DISTINCT LOWER(t_f.name)) FROM Candidate_Tag ct_f
+      JOIN Tag t_f ON ct_f.tag_id = t_f.tag_id
+      WHERE ct_f.candidate_id = c.candidate_id AND LOWER(t_f.name) = ANY(${param(tags)}::text[])
+    ) = ${param(new Set(tags).size)}`);
+  }
+
+  return conditions;
+}
+
+/**
+ * ORDER BY clause for candidate lists, always with a stable tie-breaker.
+ * With a search term the list is ranked by relevance unless another sort is requested;
+ * the term is appended to `values` in that case.
+ */
+export function candidateOrderBy(sortBy, search = null, values = []) {
+  if (search && (!sortBy || sortBy === 'relevance')) {
+    values.push(search);
+    return `candidate_search_score(c.candidate_id, search_normalize($${values.length})) DESC, c.candidate_id DESC`;
+  }
+
+  switch (sortBy) {
+    case 'name_asc':
+      return 'c.last_name ASC, c.first_name ASC, c.candidate_id ASC';
+    case 'status':
+      return 'c.candidate_status ASC, c.created_at DESC, c.candidate_id DESC';
+    case 'created_at_desc':
+    default:
+      return 'c.created_at DESC, c.candidate_id DESC';
+  }
+}
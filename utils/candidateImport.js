@@ -0,0 +1,141 @@
+// Utility: map and validate spreadsheet rows for the candidate bulk import
+import { resolveInitialStatus } from './pipeline.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Column headers recognised without an explicit mapping (compared lowercased)
+const DEFAULT_COLUMN_ALIASES = {
+  firstName: ['vorname', 'firstname', 'first_name', 'first name'],
+  lastName: ['nachname', 'lastname', 'last_name', 'last name', 'familienname'],
+  email: ['e-mail', 'email', 'mail', 'e-mail-adresse'],
+  status: ['status'],
+  apprenticeships: ['lehrberuf', 'lehrberufe', 'beruf', 'apprenticeship', 'apprenticeships'],
+};
+
+export const IMPORT_FIELDS = Object.keys(DEFAULT_COLUMN_ALIASES);
+
+/**
+ * Resolve which spreadsheet column feeds which candidate field.
+ * `customMapping` maps column header -> field name and takes precedence over aliases.
+ */
+export function resolveColumnMapping(headers, customMapping = {}) {
+  const mapping = {};
+
+  for (const [header, field] of Object.entries(customMapping || {})) {
+    if (IMPORT_FIELDS.includes(field) && headers.includes(header)) {
+      mapping[field] = header;
+    }
+  }
+
+  for (const field of IMPORT_FIELDS) {
+    if (mapping[field]) continue;
+    const header = headers.find(h => DEFAULT_COLUMN_ALIASES[field].includes(String(h).trim().toLowerCase()));
+    if (header) mapping[field] = header;
+  }
+
+  return mapping;
+}
+
+function splitApprenticeshipNames(value) {
+  return String(value || '')
+    .split(/[;,\n]/)
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate mapped rows against apprenticeships and existing candidates.
+ *
+ * @param {Object[]} rows - raw spreadsheet rows
+ * @param {Object} mapping - result of resolveColumnMapping
+ * @param {Object} lookups - { apprenticeships: [{ apprenticeship_id, name }], existingCandidates: [{ candidate_id, first_name, last_name, email }],
+ *                            pipelineStages: [{ apprenticeship_id, name }] ordered by position }
+ * @returns {Object[]} one entry per row: { row, candidate, errors, duplicates }
+ */
+export function validateImportRows(rows, mapping, { apprenticeships, existingCandidates, pipelineStages }) {
+  const apprenticeshipByName = new Map(apprenticeships.map(a => [a.name.trim().toLowerCase(), a.apprenticeship_id]));
+  const existingByEmail = new Map(
+    existingCandidates.filter(c => c.email).map(c => [c.email.toLowerCase(), c])
+  );
+  const existingByName = new Map(
+    existingCandidates.map(c => [`${c.first_name} ${c.last_name}`.toLowerCase(), c])
+  );
+  const emailsInFile = new Map();
+
+  // Stages per pipeline (apprenticeship id, null for the default pipeline), see loadCandidatePipeline
+  const pipelines = new Map();
+  for (const stage of pipelineStages) {
+    if (!pipelines.has(stage.apprenticeship_id)) pipelines.set(stage.apprenticeship_id, { stages: [] });
+    pipelines.get(stage.apprenticeship_id).stages.push({ name: stage.name });
+  }
+  const pipelineFor = (apprenticeshipIds) => {
+    const own = apprenticeshipIds.filter(id => pipelines.has(id));
+    return pipelines.get(own.length > 0 ? Math.min(...own) : null) || { stages: [] };
+  };
+
+  return rows.map((raw, index) => {
+    // +2: header row and 1-based numbering, so the number matches the spreadsheet
+    const rowNumber = index + 2;
+    const value = (field) => (mapping[field] ? String(raw[mapping[field]] ?? '').trim() : '');
+
+    const candidate = {
+      firstName: value('firstName'),
+      lastName: value('lastName'),
+      email: value('email') || null,
+      status: value('status') || null,
+      apprenticeshipIds: [],
+    };
+    const errors = [];
+    const duplicates = [];
+
+    if (!candidate.firstName || !candidate.lastName) {
+      errors.push('Vor- und Nachname sind erforderlich.');
+    }
+
+    if (candidate.email && !EMAIL_PATTERN.test(candidate.email)) {
+      errors.push(`Ungültige E-Mail-Adresse: ${candidate.email}`);
+    }
+
+    const apprenticeshipNames = splitApprenticeshipNames(value('apprenticeships'));
+    if (apprenticeshipNames.length === 0) {
+      errors.push('Mindestens ein Lehrberuf ist erforderlich.');
+    }
+    for (const name of apprenticeshipNames) {
+      const apprenticeshipId = apprenticeshipByName.get(name.toLowerCase());
+      if (apprenticeshipId) {
+        if (!candidate.apprenticeshipIds.includes(apprenticeshipId)) candidate.apprenticeshipIds.push(apprenticeshipId);
+      } else {
+        errors.push(`Unbekannter Lehrberuf: ${name}`);
+      }
+    }
+
+    const initial = resolveInitialStatus(pipelineFor(candidate.apprenticeshipIds), candidate.status);
+    if (initial.error) {
+      errors.push(initial.error);
+    } else {
+      candidate.status = initial.status;
+    }
+
+    if (candidate.email) {
+      const emailKey = candidate.email.toLowerCase();
+      const existing = existingByEmail.get(emailKey);
+      if (existing) {
+        duplicates.push({ type: 'email', candidateId: existing.candidate_id, message: 'E-Mail-Adresse ist bereits registriert.' });
+      }
+      if (emailsInFile.has(emailKey)) {
+        duplicates.push({ type: 'file', row: emailsInFile.get(emailKey), message: 'E-Mail-Adresse kommt in der Datei mehrfach vor.' });
+      } else {
+        emailsInFile.set(emailKey, rowNumber);
+      }
+    }
+
+    if (candidate.firstName && candidate.lastName) {
+      const existing = existingByName.get(`${candidate.firstName} ${candidate.lastName}`.toLowerCase());
+      if (existing && !duplicates.some(d => d.candidateId === existing.candidate_id)) {
+        duplicates.push({ type: 'name', candidateId: existing.candidate_id, message: 'Kandidat mit gleichem Namen existiert bereits.' });
+      }
+    }
+
+    return { row: rowNumber, candidate, errors, duplicates };
+  });
+}
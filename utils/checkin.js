@@ -0,0 +1,209 @@
+// Utility: QR-code check-in on event day and automatic no-shows
+// Registrations without a session are expected at every session of their event.
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { pool } from '../config/db.js';
+import { auditLog } from '../middleware/logging.js';
+import { TIMEZONE } from './ics.js';
+
+// Session dates and times are local, sessions without an end time last two hours
+const SESSION_START = `((s.date_at + s.starting_at) AT TIME ZONE '${TIMEZONE}')`;
+const SESSION_END = `((s.date_at + COALESCE(s.ending_at, s.starting_at + interval '2 hours')) AT TIME ZONE '${TIMEZONE}')`;
+
+// Page of the frontend that a scanned code opens, e.g. https://talentbinder.dal.com/checkin
+function checkinBaseUrl() {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3022').split(',')[0].trim();
+  return (process.env.CHECKIN_URL || `${frontendUrl}/checkin`).replace(/\/$/, '');
+}
+
+export function checkinUrl(token) {
+  return `${checkinBaseUrl()}/${token}`;
+}
+
+/**
+ * QR code of the check-in link as SVG markup or PNG buffer
+ */
+export function checkinQrCode(token, format = 'svg') {
+  return format === 'png'
+    ? QRCode.toBuffer(checkinUrl(token), { type: 'png', margin: 2, width: 300 })
+    : QRCode.toString(checkinUrl(token), { type: 'svg', margin: 2 });
+}
+
+/**
+ * Give every active registration of the event a check-in token; existing tokens are kept.
+ */
+export async function ensureCheckinTokens(db, eventId) {
+  const result = await db.query(
+    `SELECT registration_id FROM Event_Registration
+     WHERE event_id = $1 AND checkin_token IS NULL AND status <> 'cancelled'`,
+    [eventId]
+  );
+  for (const row of result.rows) {
+    await db.query(
+      "UPDATE Event_Registration SET checkin_token = COALESCE(checkin_token, $1) WHERE registration_id = $2",
+      [crypto.randomBytes(18).toString('base64url'), row.registration_id]
+    );
+  }
+}
+
+/**
+ * Session to check a registration in for: the requested one, else the registration's own,
+ * else the event's session today that has not ended yet (or the last one today).
+ * Returns { session } or { error }.
+ */
+export async function findCheckinSession(db, registration, sessionId = null) {
+  const wanted = sessionId ?? registration.session_id;
+  const result = await db.query(`
+    SELECT s.session_id, to_char(s.date_at, 'YYYY-MM-DD') as date_at, s.starting_at, s.ending_at
+    FROM Event_Session s
+    WHERE s.event_id = $1
+      AND ($2::int IS NULL OR s.session_id = $2)
+      AND ($2::int IS NOT NULL OR s.date_at = (NOW() AT TIME ZONE '${TIMEZONE}')::date)
+    ORDER BY ${SESSION_END} < NOW(), CASE WHEN ${SESSION_END} >= NOW() THEN s.starting_at END, s.starting_at DESC
+    LIMIT 1
+  `, [registration.event_id, wanted]);
+
+  const session = result.rows[0];
+  if (!session) {
+    return { error: wanted ? 'Session gehört nicht zu diesem Event' : 'Heute findet keine Session dieses Events statt. Bitte sessionId angeben.' };
+  }
+  if (registration.session_id && session.session_id !== registration.session_id) {
+    return { error: 'Kandidat ist für eine andere Session angemeldet' };
+  }
+  return { session };
+}
+
+/**
+ * Live attendance per session: expected registrations, who checked in when and who is still missing.
+ */
+export async function loadSessionAttendance(db, eventId, sessionId = null) {
+  const result = await db.query(`
+    SELECT
+      s.session_id,
+      to_char(s.date_at, 'YYYY-MM-DD') as date_at,
+      s.starting_at,
+      s.ending_at,
+      ${SESSION_START} <= NOW() as started,
+      ${SESSION_END} < NOW() as ended,
+      er.registration_id,
+      er.candidate_id,
+      er.status,
+      c.first_name,
+      c.last_name,
+      ci.checked_in_at,
+      ci.checked_in_by
+    FROM Event_Session s
+    LEFT JOIN Event_Registration er ON er.event_id = s.event_id
+      AND er.status IN ('registered', 'no-show')
+      AND (er.session_id IS NULL OR er.session_id = s.session_id)
+    LEFT JOIN Candidate c ON er.candidate_id = c.candidate_id
+    LEFT JOIN Event_Checkin ci ON ci.registration_id = er.registration_id AND ci.session_id = s.session_id
+    WHERE s.event_id = $1 AND ($2::int IS NULL OR s.session_id = $2)
+    ORDER BY s.date_at, s.starting_at, c.last_name, c.first_name
+  `, [eventId, sessionId]);
+
+  const sessions = new Map();
+  for (const row of result.rows) {
+    if (!sessions.has(row.session_id)) {
+      sessions.set(row.session_id, {
+        sessionId: row.session_id,
+        dateAt: row.date_at,
+        startingAt: row.starting_at,
+        endingAt: row.ending_at,
+        started: row.started,
+        ended: row.ended,
+        expected: 0,
+        checkedIn: 0,
+        missing: 0,
+        noShows: 0,
+        candidates: []
+      });
+    }
+    if (!row.registration_id) continue;
+
+    const session = sessions.get(row.session_id);
+    session.expected++;
+    if (row.checked_in_at) session.checkedIn++;
+    else session.missing++;
+    if (row.status === 'no-show') session.noShows++;
+    session.candidates.push({
+      registrationId: row.registration_id,
+      candidateId: row.candidate_id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      registrationStatus: row.status,
+      checkedInAt: row.checked_in_at,
+      checkedInBy: row.checked_in_by
+    });
+  }
+  return [...sessions.values()];
+}
+
+/**
+ * Flag registrations as no-show once all their sessions have ended without a check-in.
+ * Only events that use the check-in (at least one check-in) are affected, so events whose
+ * attendance is still recorded by hand are left alone. Every flagged registration is audited.
+ */
+export async function markNoShows(db = pool) {
+  const result = await db.query(`
+    UPDATE Event_Registration er
+    SET status = 'no-show', status_changed_at = NOW()
+    WHERE er.status = 'registered'
+      AND EXISTS (
+        SELECT 1 FROM Event_Checkin ci
+        JOIN Event_Registration other ON ci.registration_id = other.registration_id
+        WHERE other.event_id = er.event_id
+      )
+      AND EXISTS (
+        SELECT 1 FROM Event_Session s
+        WHERE s.event_id = er.event_id AND (er.session_id IS NULL OR s.session_id = er.session_id)
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM Event_Session s
+        WHERE s.event_id = er.event_id AND (er.session_id IS NULL OR s.session_id = er.session_id)
+          AND ${SESSION_END} >= NOW()
+      )
+      AND NOT EXISTS (SELECT 1 FROM Event_Checkin ci WHERE ci.registration_id = er.registration_id)
+    RETURNING er.registration_id, er.event_id, er.candidate_id
+  `);
+
+  for (const row of result.rows) {
+    await auditLog('UPDATE', 'event_registration', row.registration_id, null, {
+      eventId: row.event_id,
+      candidateId: row.candidate_id,
+      from: 'registered',
+      to: 'no-show',
+      reason: 'no check-in'
+    });
+  }
+  return result.rows;
+}
+
+let noShowTimer = null;
+let noShowRunning = false;
+
+/**
+ * Check for ended sessions every CHECKIN_NO_SHOW_MINUTES (unset or 0 = off).
+ * Off by default, as it changes registration statuses without anyone asking for it.
+ */
+export function startNoShowSchedule() {
+  const minutes = parseFloat(process.env.CHECKIN_NO_SHOW_MINUTES ?? '0');
+  if (!minutes || minutes < 0 || noShowTimer) return;
+
+  noShowTimer = setInterval(async () => {
+    if (noShowRunning) return;
+    noShowRunning = true;
+    try {
+      const flagged = await markNoShows();
+      if (flagged.length > 0) {
+        console.log(`🚫 Check-in: ${flagged.length} registrations flagged as no-show`);
+      }
+    } catch (error) {
+      console.error('No-show run failed:', error);
+    } finally {
+      noShowRunning = false;
+    }
+  }, minutes * 60 * 1000);
+  noShowTimer.unref();
+  console.log(`🚫 No-show schedule: every ${minutes} min`);
+}
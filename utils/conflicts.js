@@ -0,0 +1,148 @@
+// Utility: scheduling conflicts between events
+// Two sessions clash when they overlap in time on the same day and share the location
+// or a recruiter. Sessions of the same event never clash with each other.
+import { defaultEndingAt } from './eventTimes.js';
+
+export const CONFLICT_MESSAGE = "Terminkonflikt: Ort oder Recruiter sind zu dieser Zeit bereits verplant. Mit force=true trotzdem speichern.";
+
+// Sessions stored without an end time count with the default duration
+const SESSION_END = "COALESCE(s.ending_at, s.starting_at + interval '2 hours')";
+
+/**
+ * Location and recruiters of an event with its sessions, as input for findConflicts().
+ */
+export async function loadEventSchedule(db, eventId) {
+  const eventResult = await db.query(`
+    SELECT
+      e.location_id,
+      COALESCE((SELECT array_agg(r.recruiter_id) FROM Event_Recruiter r WHERE r.event_id = e.event_id), '{}') as recruiter_ids
+    FROM Event e
+    WHERE e.event_id = $1
+  `, [eventId]);
+  const sessionsResult = await db.query(`
+    SELECT session_id, to_char(date_at, 'YYYY-MM-DD') as date_at, starting_at, ending_at
+    FROM Event_Session
+    WHERE event_id = $1
+  `, [eventId]);
+
+  return {
+    locationId: eventResult.rows[0]?.location_id ?? null,
+    recruiterIds: eventResult.rows[0]?.recruiter_ids ?? [],
+    sessions: sessionsResult.rows.map(row => ({
+      sessionId: row.session_id,
+      dateAt: row.date_at,
+      startingAt: row.starting_at,
+      endingAt: row.ending_at
+    }))
+  };
+}
+
+/**
+ * Sessions of other events that clash with the given sessions.
+ * sessions: [{ dateAt, startingAt, endingAt? }]; eventId is excluded from the search.
+ */
+export async function findConflicts(db, { eventId = null, sessions, locationId = null, recruiterIds = [] }) {
+  if (!sessions || sessions.length === 0 || (!locationId && recruiterIds.length === 0)) return [];
+
+  const result = await db.query(`
+    WITH checked AS (
+      SELECT * FROM unnest($1::date[], $2::time[], $3::time[]) AS c(date_at, starting_at, ending_at)
+    ),
+    clashes AS (
+      SELECT to_char(c.date_at, 'YYYY-MM-DD') as date_at, c.starting_at as checked_starting_at, c.ending_at as checked_ending_at,
+             s.session_id, s.starting_at, ${SESSION_END} as ending_at, e.event_id, e.title, e.location_id
+      FROM checked c
+      JOIN Event_Session s ON s.date_at = c.date_at
+        AND s.starting_at < c.ending_at
+        AND c.starting_at < ${SESSION_END}
+      JOIN Event e ON s.event_id = e.event_id
+      WHERE e.event_id IS DISTINCT FROM $4
+    )
+    SELECT 'location' as type, l.location_id, l.name as location_name, NULL::int as recruiter_id, NULL as recruiter_name, x.*
+    FROM clashes x
+    JOIN Location l ON x.location_id = l.location_id
+    WHERE x.location_id = $5
+    UNION ALL
+    SELECT 'recruiter', NULL, NULL, a.account_id, a.first_name || ' ' || a.last_name, x.*
+    FROM clashes x
+    JOIN Event_Recruiter r ON r.event_id = x.event_id AND r.recruiter_id = ANY($6::int[])
+    JOIN Account a ON r.recruiter_id = a.account_id
+    ORDER BY date_at, checked_starting_at, type
+  `, [
+    sessions.map(session => session.dateAt),
+    sessions.map(session => session.startingAt),
+    sessions.map(session => session.endingAt || defaultEndingAt(session.startingAt)),
+    eventId,
+    locationId,
+    recruiterIds
+  ]);
+
+  return result.rows.map(row => ({
+    type: row.type,
+    ...(row.type === 'location'
+      ? { locationId: row.location_id, locationName: row.location_name }
+      : { recruiterId: row.recruiter_id, recruiterName: row.recruiter_name }),
+    dateAt: row.date_at,
+    startingAt: row.checked_starting_at,
+    endingAt: row.checked_ending_at,
+    conflictingEvent: {
+      id: row.event_id,
+      title: row.title,
+      sessionId: row.session_id,
+      startingAt: row.starting_at,
+      endingAt: row.ending_at
+    }
+  }));
+}
+
+/**
+ * All clashes between sessions from today until `weeks` weeks ahead.
+ */
+export async function findUpcomingConflicts(db, { weeks }) {
+  const result = await db.query(`
+    WITH upcoming AS (
+      SELECT s.session_id, to_char(s.date_at, 'YYYY-MM-DD') as date_at, s.starting_at, ${SESSION_END} as ending_at,
+             e.event_id, e.title, e.location_id
+      FROM Event_Session s
+      JOIN Event e ON s.event_id = e.event_id
+      WHERE s.date_at >= CURRENT_DATE AND s.date_at < CURRENT_DATE + $1::int * 7
+    ),
+    pairs AS (
+      SELECT a.date_at,
+             a.event_id as a_event_id, a.title as a_title, a.session_id as a_session_id, a.starting_at as a_starting_at, a.ending_at as a_ending_at,
+             b.event_id as b_event_id, b.title as b_title, b.session_id as b_session_id, b.starting_at as b_starting_at, b.ending_at as b_ending_at,
+             a.location_id as a_location_id, b.location_id as b_location_id
+      FROM upcoming a
+      JOIN upcoming b ON a.date_at = b.date_at
+        AND a.event_id < b.event_id
+        AND a.starting_at < b.ending_at
+        AND b.starting_at < a.ending_at
+    )
+    SELECT 'location' as type, l.location_id, l.name as location_name, NULL::int as recruiter_id, NULL as recruiter_name, p.*
+    FROM pairs p
+    JOIN Location l ON p.a_location_id = l.location_id
+    WHERE p.a_location_id = p.b_location_id
+    UNION ALL
+    SELECT 'recruiter', NULL, NULL, acc.account_id, acc.first_name || ' ' || acc.last_name, p.*
+    FROM pairs p
+    JOIN Event_Recruiter ra ON ra.event_id = p.a_event_id
+    JOIN Event_Recruiter rb ON rb.event_id = p.b_event_id AND rb.recruiter_id = ra.recruiter_id
+    JOIN Account acc ON ra.recruiter_id = acc.account_id
+    ORDER BY date_at, a_starting_at, type
+  `, [weeks]);
+
+  return result.rows.map(row => ({
+    type: row.type,
+    ...(row.type === 'location'
+      ? { locationId: row.location_id, locationName: row.location_name }
+      : { recruiterId: row.recruiter_id, recruiterName: row.recruiter_name }),
+    dateAt: row.date_at,
+    events: ['a', 'b'].map(side => ({
+      id: row[`${side}_event_id`],
+      title: row[`${side}_title`],
+      sessionId: row[`${side}_session_id`],
+      startingAt: row[`${side}_starting_at`],
+      endingAt: row[`${side}_ending_at`]
+    }))
+  }));
+}
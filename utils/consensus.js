@@ -0,0 +1,199 @@
+// Utility: aggregate the attendance reports of several recruiters on a candidate
+// `status` is the recruiter's recommendation (free text), `attendance` whether the candidate
+// showed up (one of ATTENDANCE_VALUES). The consensus is the value most reports agree on.
+import { loadScores } from './scorecards.js';
+
+// Allowed values of Event_Attendance.attendance; the first two count as "showed up"
+export const ATTENDANCE_VALUES = ['present', 'late', 'absent', 'excused'];
+const PRESENT_VALUES = ['present', 'late'];
+
+// German values sent by older clients, mapped like migrations/017
+const LEGACY_ATTENDANCE_VALUES = {
+  anwesend: 'present',
+  'verspätet': 'late',
+  abwesend: 'absent',
+  entschuldigt: 'excused'
+};
+
+/**
+ * Attendance value of a report as stored: one of ATTENDANCE_VALUES, legacy German values
+ * included. Returns null for anything else.
+ */
+export function normalizeAttendance(value) {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  const mapped = LEGACY_ATTENDANCE_VALUES[normalized] || normalized;
+  return ATTENDANCE_VALUES.includes(mapped) ? mapped : null;
+}
+
+// Reports diverge strongly when scores differ by this share of the scale (0.4 = 2 points on 1-5)
+const SCORE_SPREAD_LIMIT = 0.4;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Attendance reports with their scores. Filter by eventId and/or candidateId.
+ */
+export async function loadReports(db, { eventId = null, candidateId = null }) {
+  const result = await db.query(`
+    SELECT ea.attendance_id, ea.event_id, ea.candidate_id, ea.attendance, ea.status, ea.comment, ea.created_at, ea.updated_at, ea.created_by,
+           a.first_name || ' ' || a.last_name as creator_name
+    FROM Event_Attendance ea
+    LEFT JOIN Account a ON ea.created_by = a.account_id
+    WHERE ($1::int IS NULL OR ea.event_id = $1)
+      AND ($2::int IS NULL OR ea.candidate_id = $2)
+    ORDER BY ea.created_at
+  `, [eventId, candidateId]);
+
+  const scores = await loadScores(db, result.rows.map(row => row.attendance_id));
+  return result.rows.map(row => ({ ...row, ...scores.get(row.attendance_id) }));
+}
+
+/**
+ * Votes per value, most frequent first. The consensus is null on a tie for first place.
+ */
+function tally(values) {
+  const counts = new Map();
+  for (const raw of values) {
+    const value = raw?.trim();
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  const votes = [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+  const total = votes.reduce((sum, vote) => sum + vote.count, 0);
+  const tied = votes.length > 1 && votes[0].count === votes[1].count;
+
+  return {
+    consensus: votes.length > 0 && !tied ? votes[0].value : null,
+    agreement: total > 0 ? round(votes[0].count / total, 2) : null,
+    votes
+  };
+}
+
+/**
+ * Average, spread and disagreement per criterion. Criteria are matched by id,
+ * or by name once the criterion has been removed from its scorecard.
+ */
+function aggregateScores(reports) {
+  const byCriterion = new Map();
+  for (const report of reports) {
+    for (const entry of report.scores || []) {
+      const key = entry.criterionId ?? `name:${entry.name}`;
+      if (!byCriterion.has(key)) byCriterion.set(key, { criterionId: entry.criterionId, name: entry.name, entries: [] });
+      byCriterion.get(key).entries.push(entry);
+    }
+  }
+
+  return [...byCriterion.values()].map(({ criterionId, name, entries }) => {
+    const relative = entries.map(entry => (entry.score - entry.scaleMin) / (entry.scaleMax - entry.scaleMin));
+    const scores = entries.map(entry => entry.score);
+    return {
+      criterionId,
+      name,
+      count: entries.length,
+      average: round(scores.reduce((sum, score) => sum + score, 0) / scores.length, 2),
+      min: Math.min(...scores),
+      max: Math.max(...scores),
+      scaleMin: entries[0].scaleMin,
+      scaleMax: entries[0].scaleMax,
+      spread: round(Math.max(...relative) - Math.min(...relative), 2)
+    };
+  });
+}
+
+// true/false for values of ATTENDANCE_VALUES, null for free text of older reports
+function isPresent(value) {
+  const normalized = normalizeAttendance(value);
+  return normalized ? PRESENT_VALUES.includes(normalized) : null;
+}
+
+/**
+ * Consensus of a set of reports: recommendation, attendance, average scores and
+ * the points where the recruiters disagree strongly.
+ * Pass `perEvent: false` for reports across events, where attendance is not a matter of consensus.
+ */
+export function summarizeReports(reports, { perEvent = true } = {}) {
+  const recommendation = tally(reports.map(report => report.status));
+  const attendance = tally(reports.map(report => report.attendance));
+  const criteria = aggregateScores(reports);
+
+  const weightedScores = reports.map(report => report.weightedScore).filter(score => score !== null && score !== undefined);
+  const averageWeightedScore = weightedScores.length > 0
+    ? round(weightedScores.reduce((sum, score) => sum + score, 0) / weightedScores.length)
+    : null;
+
+  const disagreements = [];
+  if (recommendation.votes.length > 1 && recommendation.agreement <= 0.5) {
+    disagreements.push({ type: 'recommendation', values: recommendation.votes.map(vote => vote.value) });
+  }
+  const presence = attendance.votes.map(vote => isPresent(vote.value)).filter(value => value !== null);
+  if (perEvent && new Set(presence).size > 1) {
+    disagreements.push({ type: 'attendance', values: attendance.votes.map(vote => vote.value) });
+  }
+  if (weightedScores.length > 1 && Math.max(...weightedScores) - Math.min(...weightedScores) >= SCORE_SPREAD_LIMIT * 100) {
+    disagreements.push({ type: 'weightedScore', min: Math.min(...weightedScores), max: Math.max(...weightedScores) });
+  }
+  for (const criterion of criteria) {
+    if (criterion.count > 1 && criterion.spread >= SCORE_SPREAD_LIMIT) {
+      disagreements.push({ type: 'criterion', criterionId: criterion.criterionId, name: criterion.name, min: criterion.min, max: criterion.max });
+    }
+  }
+
+  const recruiters = new Map(reports.map(report => [report.created_by, { id: report.created_by, name: report.creator_name }]));
+
+  return {
+    reportCount: reports.length,
+    recruiters: [...recruiters.values()],
+    recommendation,
+    ...(perEvent && { attendance, attended: attendance.consensus ? isPresent(attendance.consensus) : null }),
+    averageWeightedScore,
+    averageScores: criteria,
+    disagreements
+  };
+}
+
+/**
+ * Attendance rate over several events of a candidate or candidates of an event:
+ * [{ attended: true|false|null }], unknown ones are left out.
+ */
+export function attendanceRate(entries) {
+  const known = entries.filter(entry => entry.attended !== null);
+  const attended = known.filter(entry => entry.attended).length;
+  return {
+    total: entries.length,
+    attended,
+    missed: known.length - attended,
+    rate: known.length > 0 ? round(attended / known.length, 2) : null
+  };
+}
+
+/**
+ * Whether a candidate attended an event: a check-in counts as attended, else the reports
+ * decide, else a no-show registration.
+ */
+export function hasAttended(summary, registrationStatus, checkedIn = false) {
+  if (checkedIn) return true;
+  if (summary.attended !== null) return summary.attended;
+  if (registrationStatus === 'no-show') return false;
+  return null;
+}
+
+/**
+ * Debrief order: best average weighted score first, then clearer recommendation, then more reports.
+ * Candidates without scores follow unranked.
+ */
+export function rankCandidates(candidates) {
+  const sorted = [...candidates].sort((a, b) =>
+    (b.summary.averageWeightedScore ?? -1) - (a.summary.averageWeightedScore ?? -1)
+    || (b.summary.recommendation.agreement ?? 0) - (a.summary.recommendation.agreement ?? 0)
+    || b.summary.reportCount - a.summary.reportCount
+    || String(a.lastName).localeCompare(String(b.lastName))
+  );
+
+  let rank = 0;
+  return sorted.map((candidate, index) => {
+    const previous = sorted[index - 1];
+    if (candidate.summary.averageWeightedScore === null) return { ...candidate, rank: null };
+    if (!previous || previous.summary.averageWeightedScore !== candidate.summary.averageWeightedScore) rank = index + 1;
+    return { ...candidate, rank };
+  });
+}
@@ -0,0 +1,97 @@
+// Utility: fuzzy duplicate detection for candidates (name, birth date, email)
+
+/**
+ * Normalize a name for comparison: lowercase, accents stripped (ü -> u, like
+ * search_normalize() in migrations/006, so search and duplicate check agree), only letters kept.
+ */
+export function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z]/g, '');
+}
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Similarity in [0, 1] based on edit distance relative to the longer string
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function sameDate(a, b) {
+  if (!a || !b) return false;
+  const toDay = (d) => (d instanceof Date ? d.toISOString() : String(d)).slice(0, 10);
+  return toDay(a) === toDay(b);
+}
+
+/**
+ * Score existing candidates against a new candidate and return likely duplicates.
+ *
+ * @param {Object} input - { firstName, lastName, email, birthDate }
+ * @param {Object[]} candidates - rows with candidate_id, first_name, last_name, email, birth_date
+ * @param {number} threshold - minimum score (0..1) to report
+ * @returns {Object[]} matches sorted by score: { candidateId, firstName, lastName, email, birthDate, score, reasons }
+ */
+export function findPossibleDuplicates(input, candidates, threshold = 0.75) {
+  const first = normalizeName(input.firstName);
+  const last = normalizeName(input.lastName);
+  const email = input.email ? String(input.email).trim().toLowerCase() : null;
+
+  const matches = [];
+  for (const candidate of candidates) {
+    const reasons = [];
+    let score = 0;
+
+    if (email && candidate.email && candidate.email.toLowerCase() === email) {
+      reasons.push('email');
+      score = 1;
+    }
+
+    const firstSimilarity = similarity(first, normalizeName(candidate.first_name));
+    const lastSimilarity = similarity(last, normalizeName(candidate.last_name));
+    // Also catch swapped first/last names
+    const swappedSimilarity = (similarity(first, normalizeName(candidate.last_name)) + similarity(last, normalizeName(candidate.first_name))) / 2;
+    const nameScore = Math.max((firstSimilarity + lastSimilarity) / 2, swappedSimilarity);
+
+    if (nameScore >= 0.8) {
+      reasons.push(nameScore === 1 ? 'name' : 'similarName');
+      const birthDateMatch = sameDate(input.birthDate, candidate.birth_date);
+      if (birthDateMatch) reasons.push('birthDate');
+      // A matching birth date turns a similar name into a strong match, a different one weakens it
+      const birthFactor = birthDateMatch ? 1 : (input.birthDate && candidate.birth_date ? 0.6 : 0.9);
+      score = Math.max(score, nameScore * birthFactor);
+    }
+
+    if (score >= threshold) {
+      matches.push({
+        candidateId: candidate.candidate_id,
+        firstName: candidate.first_name,
+        lastName: candidate.last_name,
+        email: candidate.email,
+        birthDate: candidate.birth_date,
+        score: Math.round(score * 100) / 100,
+        reasons,
+      });
+    }
+  }
+
+  return matches.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,31 @@
+// Utility: shared access checks for event sub-resources (sessions, series, ...)
+import { pool } from '../config/db.js';
+import { isAdmin } from '../middleware/auth.js';
+
+/**
+ * Load the event and check that the user may change it (creator or admin).
+ * Sends the error response itself and returns null if not.
+ */
+export async function loadEditableEvent(req, res) {
+  const { eventId } = req.params;
+  const result = await pool.query(
+    "SELECT event_id, created_by, title, series_id FROM Event WHERE event_id = $1",
+    [eventId]
+  );
+
+  if (result.rows.length === 0) {
+    res.status(404).json({ success: false, message: "Event nicht gefunden" });
+    return null;
+  }
+
+  const event = result.rows[0];
+  if (event.created_by !== req.user.id && !isAdmin(req.user)) {
+    res.status(403).json({
+      success: false,
+      message: "Zugriff verweigert. Sie können nur Ihre eigenen Events bearbeiten."
+    });
+    return null;
+  }
+
+  return event;
+}
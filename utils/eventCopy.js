@@ -0,0 +1,113 @@
+// Utility: copy an event to a new date (e.g. the same event next year)
+import { recordRevisions } from './attendanceRevisions.js';
+import { createRegistrationKey } from './publicRegistration.js';
+
+/**
+ * Sessions of the copy: the source sessions shifted so the first one falls on `startDate`.
+ */
+export async function loadShiftedSessions(db, sourceEventId, startDate) {
+  const result = await db.query(`
+    SELECT
+      s.session_id,
+      to_char(s.date_at + ($2::date - MIN(s.date_at) OVER ()), 'YYYY-MM-DD') as date_at,
+      s.starting_at,
+      s.ending_at,
+      s.capacity,
+      $2::date - MIN(s.date_at) OVER () as offset_days
+    FROM Event_Session s
+    WHERE s.event_id = $1
+    ORDER BY s.date_at, s.starting_at
+  `, [sourceEventId, startDate]);
+  return result.rows;
+}
+
+/**
+ * Copy metadata, shifted sessions and recruiters of an event; registrations and attendance
+ * reports only if requested. Invitation/registration deadlines move by the same number of days.
+ * `db` must be a transaction client. Returns the new event id and its sessions.
+ */
+export async function copyEvent(db, sourceEventId, { sessions, title = null, createdBy, includeRegistrations, includeAttendance }) {
+  const offsetDays = sessions[0]?.offset_days ?? 0;
+
+  const eventResult = await db.query(`
+    INSERT INTO Event (title, description, branch_id, template_id, location_id, registration_required, capacity,
+                       invitations_sending_at, registrations_closing_at, public_registration, public_registration_key,
+                       registration_form, created_by)
+    SELECT COALESCE($3, title), description, branch_id, template_id, location_id, registration_required, capacity,
+           invitations_sending_at + make_interval(days => $2::int),
+           registrations_closing_at + make_interval(days => $2::int),
+           public_registration, $4, registration_form, $5
+    FROM Event
+    WHERE event_id = $1
+    RETURNING event_id, title;
+  `, [sourceEventId, offsetDays, title, createRegistrationKey(), createdBy]);
+  const event = eventResult.rows[0];
+
+  const sessionIds = new Map();
+  const createdSessions = [];
+  for (const session of sessions) {
+    const sessionResult = await db.query(
+      `INSERT INTO Event_Session (event_id, date_at, starting_at, ending_at, capacity)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING session_id;`,
+      [event.event_id, session.date_at, session.starting_at, session.ending_at, session.capacity]
+    );
+    sessionIds.set(session.session_id, sessionResult.rows[0].session_id);
+    createdSessions.push({
+      id: sessionResult.rows[0].session_id,
+      dateAt: session.date_at,
+      startingAt: session.starting_at,
+      endingAt: session.ending_at,
+      capacity: session.capacity
+    });
+  }
+
+  await db.query(`
+    INSERT INTO Event_Recruiter (event_id, recruiter_id)
+    SELECT $1, recruiter_id FROM Event_Recruiter WHERE event_id = $2;
+  `, [event.event_id, sourceEventId]);
+
+  let registrations = 0;
+  if (includeRegistrations) {
+    // Session ids are mapped onto the copied sessions; registered_at keeps the waitlist order.
+    // Cancellations are dropped, no-shows start over as registered, form answers are not copied.
+    const result = await db.query(`
+      INSERT INTO Event_Registration (event_id, candidate_id, session_id, status, registered_at, source)
+      SELECT $1, er.candidate_id, m.new_id,
+             CASE WHEN er.status = 'waitlisted' THEN 'waitlisted' ELSE 'registered' END,
+             er.registered_at, er.source
+      FROM Event_Registration er
+      LEFT JOIN unnest($3::int[], $4::int[]) AS m(old_id, new_id) ON m.old_id = er.session_id
+      WHERE er.event_id = $2 AND er.status <> 'cancelled';
+    `, [event.event_id, sourceEventId, [...sessionIds.keys()], [...sessionIds.values()]]);
+    registrations = result.rowCount;
+  }
+
+  let attendance = 0;
+  if (includeAttendance) {
+    const result = await db.query(`
+      INSERT INTO Event_Attendance (event_id, candidate_id, attendance, status, comment, scorecard_id, created_at, created_by)
+      SELECT $1, candidate_id, attendance, status, comment, scorecard_id, created_at, created_by
+      FROM Event_Attendance
+      WHERE event_id = $2
+      RETURNING attendance_id;
+    `, [event.event_id, sourceEventId]);
+    attendance = result.rowCount;
+
+    // Each author has one report per candidate, so that pair identifies the copied report
+    await db.query(`
+      INSERT INTO Attendance_Score (attendance_id, criterion_id, criterion_name, score, scale_min, scale_max, weight)
+      SELECT target.attendance_id, s.criterion_id, s.criterion_name, s.score, s.scale_min, s.scale_max, s.weight
+      FROM Attendance_Score s
+      JOIN Event_Attendance source ON s.attendance_id = source.attendance_id
+      JOIN Event_Attendance target ON target.event_id = $1
+        AND target.candidate_id = source.candidate_id
+        AND target.created_by IS NOT DISTINCT FROM source.created_by
+      WHERE source.event_id = $2;
+    `, [event.event_id, sourceEventId]);
+
+    await recordRevisions(db, result.rows.map(row => row.attendance_id), 'create', createdBy);
+  }
+
+  return { eventId: event.event_id, title: event.title, offsetDays, sessions: createdSessions, registrations, attendance };
+}
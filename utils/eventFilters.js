@@ -0,0 +1,91 @@
+// Utility: build WHERE conditions for event list queries
+// All conditions reference the Event table as alias `e`.
+
+function toIntList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  return raw.map(v => parseInt(v, 10)).filter(n => !Number.isNaN(n));
+}
+
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Translate list query params into SQL conditions.
+ * Supported params: when (upcoming|past), dateFrom, dateTo (YYYY-MM-DD, any session in range),
+ * branchId, locationId, templateId, assignedToMe, createdByMe
+ * Values are appended to `values`, placeholders are numbered accordingly.
+ */
+export function buildEventFilters(query = {}, values = [], user = null) {
+  const conditions = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const { when, dateFrom, dateTo, branchId, locationId, templateId, assignedToMe, createdByMe } = query;
+
+  // An event is upcoming while it has a session today or later
+  if (when === 'upcoming') {
+    conditions.push(`EXISTS (SELECT 1 FROM Event_Session s_w WHERE s_w.event_id = e.event_id AND s_w.date_at >= CURRENT_DATE)`);
+  } else if (when === 'past') {
+    conditions.push(`NOT EXISTS (SELECT 1 FROM Event_Session s_w WHERE s_w.event_id = e.event_id AND s_w.date_at >= CURRENT_DATE)`);
+  }
+
+  if (dateFrom || dateTo) {
+    const from = param(dateFrom || null);
+    const to = param(dateTo || null);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM Event_Session s_d
+      WHERE s_d.event_id = e.event_id
+        AND (${from}::date IS NULL OR s_d.date_at >= ${from}::date)
+        AND (${to}::date IS NULL OR s_d.date_at <= ${to}::date)
+    )`);
+  }
+
+  const branchIds = toIntList(branchId);
+  if (branchIds.length > 0) {
+    conditions.push(`e.branch_id = ANY(${param(branchIds)}::int[])`);
+  }
+
+  const locationIds = toIntList(locationId);
+  if (locationIds.length > 0) {
+    conditions.push(`e.location_id = ANY(${param(locationIds)}::int[])`);
+  }
+
+  const templateIds = toIntList(templateId);
+  if (templateIds.length > 0) {
+    conditions.push(`e.template_id = ANY(${param(templateIds)}::int[])`);
+  }
+
+  if (user && isTrue(assignedToMe)) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM Event_Recruiter r_f WHERE r_f.event_id = e.event_id AND r_f.recruiter_id = ${param(user.id)}
+    )`);
+  }
+
+  if (user && isTrue(createdByMe)) {
+    conditions.push(`e.created_by = ${param(user.id)}`);
+  }
+
+  return conditions;
+}
+
+/**
+ * ORDER BY clause for event lists, always with a stable tie-breaker.
+ * The date sorts use the first session (alias `es`).
+ */
+export function eventOrderBy(sortBy) {
+  switch (sortBy) {
+    case 'date_asc':
+      return 'es.date_at ASC NULLS LAST, es.starting_at ASC, e.event_id ASC';
+    case 'date_desc':
+      return 'es.date_at DESC NULLS LAST, es.starting_at DESC, e.event_id DESC';
+    case 'title_asc':
+      return 'e.title ASC, e.event_id ASC';
+    case 'created_at_desc':
+    default:
+      return 'e.created_at DESC, e.event_id DESC';
+  }
+}
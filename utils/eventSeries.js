@@ -0,0 +1,89 @@
+// Utility: database helpers for recurring event series (see migrations/007)
+// Functions take `db` (pool or transaction client) like utils/pipeline.js.
+import { snakeToCamelObj, snakeToCamelArray } from './caseUtils.js';
+
+/**
+ * Series with all occurrences, or null if the series does not exist.
+ */
+export async function loadSeries(db, seriesId) {
+  const seriesResult = await db.query(
+    `SELECT series_id as id, rrule, to_char(starts_on, 'YYYY-MM-DD') as starts_on,
+            exceptions::text[] as exceptions, created_by, created_at
+     FROM Event_Series WHERE series_id = $1;`,
+    [seriesId]
+  );
+  if (seriesResult.rows.length === 0) return null;
+
+  const occurrencesResult = await db.query(`
+    SELECT
+      e.event_id as id,
+      e.title,
+      to_char(e.series_date, 'YYYY-MM-DD') as series_date,
+      e.series_modified,
+      to_char(es.date_at, 'YYYY-MM-DD') as date_at,
+      es.starting_at,
+      es.ending_at,
+      (SELECT COUNT(*)::int FROM Event_Registration r WHERE r.event_id = e.event_id) as registration_count
+    FROM Event e
+    LEFT JOIN LATERAL (
+      SELECT date_at, starting_at, ending_at
+      FROM Event_Session
+      WHERE event_id = e.event_id
+      ORDER BY date_at, starting_at
+      LIMIT 1
+    ) es ON true
+    WHERE e.series_id = $1
+    ORDER BY e.series_date ASC;
+  `, [seriesId]);
+
+  return {
+    ...snakeToCamelObj(seriesResult.rows[0]),
+    occurrences: snakeToCamelArray(occurrencesResult.rows)
+  };
+}
+
+/**
+ * Create the occurrence for `date` as a copy of the template occurrence: metadata,
+ * recruiters and sessions, with sessions and invitation/registration deadlines shifted
+ * by the distance between the two series dates.
+ */
+export async function createOccurrence(db, templateEventId, date) {
+  const eventResult = await db.query(`
+    INSERT INTO Event (title, description, branch_id, template_id, location_id, registration_required, capacity,
+                       invitations_sending_at, registrations_closing_at, created_by, series_id, series_date)
+    SELECT title, description, branch_id, template_id, location_id, registration_required, capacity,
+           invitations_sending_at + make_interval(days => $2::date - series_date),
+           registrations_closing_at + make_interval(days => $2::date - series_date),
+           created_by, series_id, $2::date
+    FROM Event
+    WHERE event_id = $1
+    RETURNING event_id;
+  `, [templateEventId, date]);
+  const eventId = eventResult.rows[0].event_id;
+
+  await db.query(`
+    INSERT INTO Event_Session (event_id, date_at, starting_at, ending_at, capacity)
+    SELECT $1, s.date_at + ($3::date - e.series_date), s.starting_at, s.ending_at, s.capacity
+    FROM Event_Session s
+    JOIN Event e ON s.event_id = e.event_id
+    WHERE s.event_id = $2;
+  `, [eventId, templateEventId, date]);
+
+  await db.query(`
+    INSERT INTO Event_Recruiter (event_id, recruiter_id)
+    SELECT $1, recruiter_id FROM Event_Recruiter WHERE event_id = $2;
+  `, [eventId, templateEventId]);
+
+  return eventId;
+}
+
+/**
+ * Flag an occurrence as individually edited, so series-wide edits skip it.
+ * No-op for events that are not part of a series.
+ */
+export async function markOccurrenceModified(db, eventId) {
+  await db.query(
+    "UPDATE Event SET series_modified = TRUE WHERE event_id = $1 AND series_id IS NOT NULL;",
+    [eventId]
+  );
+}
@@ -0,0 +1,121 @@
+// Utility: collect everything the post-event summary shows (see utils/eventSummaryPdf.js)
+import { loadSessionAttendance } from './checkin.js';
+import { hasAttended, loadReports, summarizeReports } from './consensus.js';
+import { REGISTRATION_STATUSES } from './registrations.js';
+
+/**
+ * Event metadata, sessions with check-ins, recruiters, registration counts and the reports
+ * grouped by candidate. Returns null if the event does not exist.
+ */
+export async function loadEventSummary(db, eventId) {
+  const eventResult = await db.query(`
+    SELECT
+      e.event_id, e.title, e.description, e.capacity, e.registration_required,
+      e.invitations_sending_at, e.registrations_closing_at, e.created_at,
+      b.name as branch_name,
+      et.title as template_title,
+      l.name as location_name, l.address as location_address, l.plz as location_plz, l.city as location_city,
+      a.first_name || ' ' || a.last_name as creator_name
+    FROM Event e
+    LEFT JOIN Branch b ON e.branch_id = b.branch_id
+    LEFT JOIN Event_Type et ON e.template_id = et.template_id
+    LEFT JOIN Location l ON e.location_id = l.location_id
+    LEFT JOIN Account a ON e.created_by = a.account_id
+    WHERE e.event_id = $1
+  `, [eventId]);
+  const event = eventResult.rows[0];
+  if (!event) return null;
+
+  const [sessions, recruitersResult, registrationsResult, reports] = await Promise.all([
+    loadSessionAttendance(db, eventId),
+    db.query(`
+      SELECT a.account_id, a.first_name, a.last_name, a.email
+      FROM Event_Recruiter r
+      JOIN Account a ON r.recruiter_id = a.account_id
+      WHERE r.event_id = $1
+      ORDER BY a.last_name, a.first_name
+    `, [eventId]),
+    db.query(`
+      SELECT er.candidate_id, er.status, er.session_id,
+             EXISTS (SELECT 1 FROM Event_Checkin ci WHERE ci.registration_id = er.registration_id) as checked_in
+      FROM Event_Registration er
+      WHERE er.event_id = $1
+    `, [eventId]),
+    loadReports(db, { eventId })
+  ]);
+
+  // Registered candidates (incl. no-shows) and everyone with a report
+  const registrations = new Map(registrationsResult.rows.map(row => [row.candidate_id, row]));
+  const candidateIds = new Set([
+    ...registrationsResult.rows.filter(row => ['registered', 'no-show'].includes(row.status)).map(row => row.candidate_id),
+    ...reports.map(report => report.candidate_id)
+  ]);
+  const namesResult = await db.query(
+    "SELECT candidate_id, first_name, last_name FROM Candidate WHERE candidate_id = ANY($1::int[])",
+    [[...candidateIds]]
+  );
+
+  const candidates = namesResult.rows.map(row => {
+    const registration = registrations.get(row.candidate_id);
+    const candidateReports = reports.filter(report => report.candidate_id === row.candidate_id);
+    const consensus = summarizeReports(candidateReports);
+    return {
+      candidateId: row.candidate_id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      registrationStatus: registration?.status ?? null,
+      checkedIn: registration?.checked_in ?? false,
+      attended: hasAttended(consensus, registration?.status, registration?.checked_in),
+      recommendation: consensus.recommendation.consensus,
+      averageWeightedScore: consensus.averageWeightedScore,
+      disagreements: consensus.disagreements,
+      reports: candidateReports.map(report => ({
+        creatorName: report.creator_name,
+        attendance: report.attendance,
+        status: report.status,
+        comment: report.comment,
+        scores: report.scores,
+        weightedScore: report.weightedScore,
+        createdAt: report.created_at,
+        updatedAt: report.updated_at
+      }))
+    };
+  }).sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`, 'de'));
+
+  const counts = Object.fromEntries(REGISTRATION_STATUSES.map(status => [
+    status,
+    registrationsResult.rows.filter(row => row.status === status).length
+  ]));
+
+  return {
+    event: {
+      id: event.event_id,
+      title: event.title,
+      description: event.description,
+      branch: event.branch_name,
+      template: event.template_title,
+      location: event.location_name
+        ? { name: event.location_name, address: event.location_address, plz: event.location_plz, city: event.location_city }
+        : null,
+      capacity: event.capacity,
+      registrationRequired: event.registration_required,
+      invitationsSendingAt: event.invitations_sending_at,
+      registrationsClosingAt: event.registrations_closing_at,
+      createdAt: event.created_at,
+      creatorName: event.creator_name
+    },
+    sessions,
+    recruiters: recruitersResult.rows.map(row => ({
+      id: row.account_id,
+      name: `${row.first_name} ${row.last_name}`,
+      email: row.email
+    })),
+    totals: {
+      ...counts,
+      expected: counts.registered + counts['no-show'],
+      attended: candidates.filter(candidate => candidate.attended === true).length,
+      reports: reports.length
+    },
+    candidates
+  };
+}
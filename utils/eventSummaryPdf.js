@@ -0,0 +1,303 @@
+// Utility: render the post-event summary (utils/eventSummary.js) as PDF
+// The layout is driven by a template: section order, labels, fonts, sizes and colors.
+// EVENT_SUMMARY_TEMPLATE may point to a JSON file that overrides parts of DEFAULT_TEMPLATE.
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import { TIMEZONE } from './ics.js';
+
+export const DEFAULT_TEMPLATE = {
+  size: 'A4',
+  margin: 50,
+  title: 'Event-Zusammenfassung',
+  footer: 'TalentBinder · vertraulich',
+  // Any order and subset of: metadata, sessions, recruiters, attendance, reports
+  sections: ['metadata', 'sessions', 'recruiters', 'attendance', 'reports'],
+  // Built-in PDF font names or paths to TTF files (needed for characters beyond Latin-1)
+  fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold' },
+  fontSizes: { title: 20, heading: 13, subheading: 11, body: 9.5, small: 8 },
+  colors: { text: '#1F2933', muted: '#6B7280', accent: '#0B5394', rule: '#D1D5DB', warning: '#B45309' },
+  labels: {
+    metadata: 'Event',
+    sessions: 'Sessions',
+    recruiters: 'Recruiter',
+    attendance: 'Anmeldungen und Teilnahme',
+    reports: 'Reports nach Kandidat',
+    branch: 'Bereich',
+    template: 'Eventtyp',
+    location: 'Ort',
+    capacity: 'Kapazität',
+    unlimited: 'unbegrenzt',
+    registrationsClosingAt: 'Anmeldeschluss',
+    createdBy: 'Erstellt von',
+    date: 'Datum',
+    time: 'Zeit',
+    expected: 'Erwartet',
+    checkedIn: 'Eingecheckt',
+    noShows: 'No-Shows',
+    registered: 'Angemeldet',
+    waitlisted: 'Warteliste',
+    cancelled: 'Abgemeldet',
+    noShow: 'No-Show',
+    attended: 'Teilgenommen',
+    reportCount: 'Reports',
+    candidate: 'Kandidat',
+    registrationStatus: 'Status',
+    recommendation: 'Empfehlung',
+    weightedScore: 'Score',
+    noReports: 'Keine Reports erfasst.',
+    noRecruiters: 'Keine Recruiter zugewiesen.',
+    noSessions: 'Keine Sessions.',
+    disagreement: 'Uneinigkeit',
+    edited: 'bearbeitet',
+    yes: 'ja',
+    no: 'nein',
+    unknown: 'unbekannt',
+    page: 'Seite'
+  }
+};
+
+/**
+ * The default template merged with the JSON file from EVENT_SUMMARY_TEMPLATE, if set.
+ * Read on every call, so template changes apply without a restart.
+ */
+export function loadSummaryTemplate() {
+  const file = process.env.EVENT_SUMMARY_TEMPLATE;
+  if (!file) return DEFAULT_TEMPLATE;
+
+  const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    ...DEFAULT_TEMPLATE,
+    ...custom,
+    fonts: { ...DEFAULT_TEMPLATE.fonts, ...custom.fonts },
+    fontSizes: { ...DEFAULT_TEMPLATE.fontSizes, ...custom.fontSizes },
+    colors: { ...DEFAULT_TEMPLATE.colors, ...custom.colors },
+    labels: { ...DEFAULT_TEMPLATE.labels, ...custom.labels }
+  };
+}
+
+const formatDate = (value) => value ? String(value).slice(0, 10).split('-').reverse().join('.') : '';
+const formatTime = (value) => value ? String(value).slice(0, 5) : '';
+const formatTimestamp = (value) => value
+  ? new Date(value).toLocaleString('de-CH', { timeZone: TIMEZONE, dateStyle: 'medium', timeStyle: 'short' })
+  : '';
+
+function createWriter(doc, template) {
+  const { fonts, fontSizes, colors } = template;
+  const contentWidth = doc.page.width - template.margin * 2;
+  const left = template.margin;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - template.margin) doc.addPage();
+  };
+
+  return {
+    contentWidth,
+    ensureSpace,
+    text(value, { font = 'regular', size = 'body', color = 'text', ...options } = {}) {
+      doc.font(fonts[font]).fontSize(fontSizes[size]).fillColor(colors[color]).text(String(value ?? ''), options);
+    },
+    heading(value) {
+      ensureSpace(60);
+      doc.moveDown(0.8);
+      doc.font(fonts.bold).fontSize(fontSizes.heading).fillColor(colors.accent).text(value, left);
+      const y = doc.y + 2;
+      doc.moveTo(left, y).lineTo(left + contentWidth, y).lineWidth(0.5).strokeColor(colors.rule).stroke();
+      doc.y = y + 6;
+    },
+    // Two-column list of label/value pairs; empty values are skipped
+    fields(pairs) {
+      for (const [label, value] of pairs) {
+        if (value === null || value === undefined || value === '') continue;
+        ensureSpace(16);
+        const y = doc.y;
+        doc.font(fonts.bold).fontSize(fontSizes.body).fillColor(colors.muted).text(label, left, y, { width: 130 });
+        doc.font(fonts.regular).fontSize(fontSizes.body).fillColor(colors.text).text(String(value), left + 140, y, { width: contentWidth - 140 });
+        doc.x = left;
+      }
+    },
+    // Simple table: columns [{ header, width (share of the content width), align? }], rows of cell values
+    table(columns, rows) {
+      const widths = columns.map(column => column.width * contentWidth);
+      const drawRow = (cells, font, color) => {
+        doc.font(fonts[font]).fontSize(fontSizes.body);
+        const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: widths[i] - 6 }))) + 6;
+        ensureSpace(height);
+        const y = doc.y;
+        let x = left;
+        cells.forEach((cell, i) => {
+          doc.fillColor(colors[color]).text(String(cell ?? ''), x + 3, y + 3, { width: widths[i] - 6, align: columns[i].align || 'left' });
+          x += widths[i];
+        });
+        doc.moveTo(left, y + height).lineTo(left + contentWidth, y + height).lineWidth(0.3).strokeColor(colors.rule).stroke();
+        doc.x = left;
+        doc.y = y + height;
+      };
+      drawRow(columns.map(column => column.header), 'bold', 'muted');
+      for (const row of rows) drawRow(row, 'regular', 'text');
+    }
+  };
+}
+
+function statusLabel(status, labels) {
+  const keys = { registered: 'registered', waitlisted: 'waitlisted', cancelled: 'cancelled', 'no-show': 'noShow' };
+  return keys[status] ? labels[keys[status]] : '–';
+}
+
+const SECTIONS = {
+  metadata(write, { event }, { labels }) {
+    write.heading(labels.metadata);
+    const location = event.location
+      ? [event.location.name, event.location.address, [event.location.plz, event.location.city].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+      : null;
+    write.fields([
+      [labels.branch, event.branch],
+      [labels.template, event.template],
+      [labels.location, location],
+      [labels.capacity, event.capacity ?? labels.unlimited],
+      [labels.registrationsClosingAt, formatTimestamp(event.registrationsClosingAt)],
+      [labels.createdBy, event.creatorName]
+    ]);
+    if (event.description) {
+      write.text(event.description, { color: 'muted', paragraphGap: 4 });
+    }
+  },
+
+  sessions(write, { sessions }, { labels }) {
+    write.heading(labels.sessions);
+    if (sessions.length === 0) return write.text(labels.noSessions, { color: 'muted' });
+    write.table(
+      [
+        { header: labels.date, width: 0.2 },
+        { header: labels.time, width: 0.2 },
+        { header: labels.expected, width: 0.2, align: 'right' },
+        { header: labels.checkedIn, width: 0.2, align: 'right' },
+        { header: labels.noShows, width: 0.2, align: 'right' }
+      ],
+      sessions.map(session => [
+        formatDate(session.dateAt),
+        `${formatTime(session.startingAt)}–${formatTime(session.endingAt)}`,
+        session.expected,
+        session.checkedIn,
+        session.noShows
+      ])
+    );
+  },
+
+  recruiters(write, { recruiters }, { labels }) {
+    write.heading(labels.recruiters);
+    if (recruiters.length === 0) return write.text(labels.noRecruiters, { color: 'muted' });
+    for (const recruiter of recruiters) {
+      write.text(recruiter.email ? `${recruiter.name} (${recruiter.email})` : recruiter.name);
+    }
+  },
+
+  attendance(write, { totals, candidates }, { labels }) {
+    write.heading(labels.attendance);
+    write.fields([
+      [labels.registered, totals.expected],
+      [labels.attended, totals.attended],
+      [labels.noShows, totals['no-show']],
+      [labels.waitlisted, totals.waitlisted],
+      [labels.cancelled, totals.cancelled],
+      [labels.reportCount, totals.reports]
+    ]);
+    if (candidates.length === 0) return;
+    write.ensureSpace(40);
+    write.text(' ');
+    write.table(
+      [
+        { header: labels.candidate, width: 0.3 },
+        { header: labels.registrationStatus, width: 0.16 },
+        { header: labels.attended, width: 0.18 },
+        { header: labels.recommendation, width: 0.24 },
+        { header: labels.weightedScore, width: 0.12, align: 'right' }
+      ],
+      candidates.map(candidate => [
+        `${candidate.lastName} ${candidate.firstName}`,
+        statusLabel(candidate.registrationStatus, labels),
+        candidate.attended === null ? labels.unknown : candidate.attended ? labels.yes : labels.no,
+        candidate.recommendation ?? '–',
+        candidate.averageWeightedScore === null ? '–' : `${candidate.averageWeightedScore}%`
+      ])
+    );
+  },
+
+  reports(write, { candidates }, { labels }) {
+    write.heading(labels.reports);
+    if (candidates.length === 0) return write.text(labels.noReports, { color: 'muted' });
+
+    for (const candidate of candidates) {
+      write.ensureSpace(50);
+      write.text(`${candidate.firstName} ${candidate.lastName}`, { font: 'bold', size: 'subheading', paragraphGap: 2 });
+      if (candidate.disagreements.length > 0) {
+        write.text(`${labels.disagreement}: ${candidate.disagreements.map(entry => entry.name || entry.type).join(', ')}`, { size: 'small', color: 'warning' });
+      }
+      if (candidate.reports.length === 0) {
+        write.text(labels.noReports, { color: 'muted', paragraphGap: 6 });
+        continue;
+      }
+
+      for (const report of candidate.reports) {
+        write.ensureSpace(40);
+        const edited = report.updatedAt ? `, ${labels.edited} ${formatTimestamp(report.updatedAt)}` : '';
+        write.text(`${report.creatorName ?? '–'} · ${formatTimestamp(report.createdAt)}${edited}`, { size: 'small', color: 'muted' });
+        const score = report.weightedScore === null ? '' : ` · ${labels.weightedScore} ${report.weightedScore}%`;
+        write.text(`${labels.recommendation}: ${report.status ?? '–'} · ${labels.attended}: ${report.attendance ?? '–'}${score}`);
+        if (report.scores.length > 0) {
+          write.text(report.scores.map(entry => `${entry.name} ${entry.score}/${entry.scaleMax}`).join(' · '), { size: 'small' });
+        }
+        if (report.comment) write.text(report.comment, { color: 'muted' });
+        write.text(' ', { size: 'small' });
+      }
+    }
+  }
+};
+
+/**
+ * Render the summary; resolves with the PDF as Buffer.
+ */
+export function renderEventSummaryPdf(summary, template = DEFAULT_TEMPLATE) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: template.size,
+      margin: template.margin,
+      bufferPages: true,
+      info: { Title: `${template.title}: ${summary.event.title}`, Creator: 'TalentBinder' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const write = createWriter(doc, template);
+      write.text(template.title, { size: 'small', color: 'muted' });
+      write.text(summary.event.title, { font: 'bold', size: 'title' });
+      const dates = [...new Set(summary.sessions.map(session => formatDate(session.dateAt)))].join(', ');
+      if (dates) write.text(dates, { color: 'muted' });
+
+      for (const name of template.sections) {
+        if (!SECTIONS[name]) throw new Error(`Unbekannter Abschnitt im PDF-Template: ${name}`);
+        SECTIONS[name](write, summary, template);
+      }
+
+      // Footer with page numbers; the bottom margin is lifted so the text does not open a new page
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font(template.fonts.regular).fontSize(template.fontSizes.small).fillColor(template.colors.muted)
+          .text(`${template.footer} · ${template.labels.page} ${i + 1}/${range.count}`, template.margin, doc.page.height - bottom / 2 - 4, {
+            width: write.contentWidth,
+            align: 'center',
+            lineBreak: false
+          });
+        doc.page.margins.bottom = bottom;
+      }
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
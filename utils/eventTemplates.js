@@ -0,0 +1,128 @@
+// Utility: event templates (Event_Type) and creating events from them
+import { validateSession } from './eventTimes.js';
+import { validateFormDefinition } from './registrationForm.js';
+import { parseCapacity } from './registrations.js';
+
+// Deadlines derived from *_days_before are set to these local times
+const INVITATIONS_TIME = '08:00:00';
+const REGISTRATIONS_CLOSE_TIME = '23:59:59';
+
+/**
+ * Load a template with its default recruiters, or null.
+ */
+export async function loadEventType(db, templateId) {
+  const result = await db.query(`
+    SELECT
+      et.template_id,
+      et.title,
+      et.description,
+      et.branch_id,
+      et.location_id,
+      et.registrations_required,
+      et.starting_at,
+      et.ending_at,
+      et.multiple_sessions,
+      et.capacity,
+      et.invitations_days_before,
+      et.registrations_close_days_before,
+      et.public_registration,
+      et.registration_form,
+      COALESCE(
+        (SELECT array_agg(r.recruiter_id ORDER BY r.recruiter_id) FROM Event_Type_Recruiter r WHERE r.template_id = et.template_id),
+        '{}'
+      ) as recruiter_ids
+    FROM Event_Type et
+    WHERE et.template_id = $1
+  `, [templateId]);
+  return result.rows[0] || null;
+}
+
+function isDaysValue(value) {
+  return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+/**
+ * Validate the body of POST/PUT /api/event-types. With `partial` only the given fields are checked.
+ * Returns an error message or null.
+ */
+export function validateEventType(input, { partial = false } = {}) {
+  const { title, startingAt, endingAt, capacity, invitationsDaysBefore, registrationsCloseDaysBefore, registrationForm, recruiterIds } = input;
+
+  if (!partial || title !== undefined) {
+    if (!title || typeof title !== 'string' || !title.trim()) return 'title ist erforderlich';
+  }
+  if (startingAt || endingAt) {
+    // validateSession() expects a date, the template only has times
+    const timeError = validateSession({ dateAt: '2000-01-01', startingAt: startingAt || endingAt, endingAt: startingAt ? endingAt : null });
+    if (timeError) return timeError;
+  }
+  if (capacity !== undefined && parseCapacity(capacity) === undefined) {
+    return 'capacity muss eine ganze Zahl ab 0 sein';
+  }
+  if ((invitationsDaysBefore !== undefined && !isDaysValue(invitationsDaysBefore)) ||
+      (registrationsCloseDaysBefore !== undefined && !isDaysValue(registrationsCloseDaysBefore))) {
+    return 'invitationsDaysBefore und registrationsCloseDaysBefore müssen ganze Zahlen ab 0 sein';
+  }
+  if (registrationForm !== undefined) {
+    const formError = validateFormDefinition(registrationForm);
+    if (formError) return formError;
+  }
+  if (recruiterIds !== undefined && (!Array.isArray(recruiterIds) || !recruiterIds.every(id => Number.isInteger(id) && id > 0))) {
+    return 'recruiterIds muss eine Liste von Benutzer-IDs sein';
+  }
+  return null;
+}
+
+// "2026-11-20", 3, "08:00:00" -> "2026-11-17T08:00:00" (local time of the database session)
+function daysBefore(dateAt, days, time) {
+  const date = new Date(`${String(dateAt).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - days);
+  return `${date.toISOString().slice(0, 10)}T${time}`;
+}
+
+/**
+ * Merge a template with the fields of the request. Every field given in `overrides`
+ * wins over the template; sessions without times get the template's default times.
+ * Returns the input for event creation and the template-only settings, or { error }
+ * if the template allows a single session only and several are requested.
+ */
+export function applyEventType(template, overrides) {
+  const pick = (key, fallback) => (overrides[key] !== undefined ? overrides[key] : fallback);
+
+  const requestedSessions = Array.isArray(overrides.sessions) && overrides.sessions.length > 0
+    ? overrides.sessions
+    : [{ dateAt: overrides.dateAt, startingAt: overrides.startingAt, endingAt: overrides.endingAt }];
+  if (!template.multiple_sessions && requestedSessions.length > 1) {
+    return { error: `Die Vorlage "${template.title}" erlaubt nur eine Session` };
+  }
+  const sessions = requestedSessions.map(session => ({
+    ...session,
+    startingAt: session.startingAt || template.starting_at,
+    endingAt: session.endingAt || (session.startingAt ? undefined : template.ending_at) || undefined
+  }));
+
+  const firstDate = sessions.map(session => session.dateAt).filter(Boolean).sort()[0];
+  const deadline = (days, time) => (firstDate && days !== null ? daysBefore(firstDate, days, time) : null);
+
+  const input = {
+    title: pick('title', template.title),
+    description: pick('description', template.description),
+    branchId: pick('branchId', template.branch_id),
+    templateId: template.template_id,
+    locationId: pick('locationId', template.location_id),
+    registrationRequired: pick('registrationRequired', template.registrations_required),
+    capacity: pick('capacity', template.capacity),
+    invitationsSendingAt: pick('invitationsSendingAt', deadline(template.invitations_days_before, INVITATIONS_TIME)),
+    registrationsClosingAt: pick('registrationsClosingAt', deadline(template.registrations_close_days_before, REGISTRATIONS_CLOSE_TIME)),
+    sessions
+  };
+
+  return {
+    input,
+    extras: {
+      recruiterIds: pick('recruiterIds', template.recruiter_ids),
+      publicRegistration: pick('publicRegistration', template.public_registration),
+      registrationForm: pick('registrationForm', template.registration_form)
+    }
+  };
+}
@@ -0,0 +1,52 @@
+// Utility: date and time-of-day helpers for event sessions ("YYYY-MM-DD", "HH:MM" / "HH:MM:SS")
+
+export const DEFAULT_SESSION_MINUTES = 120;
+
+// Sessions end on the day they start, at 23:59 at the latest
+const LAST_MINUTE_OF_DAY = 23 * 60 + 59;
+
+// "HH:MM" or "HH:MM:SS" with hours 0-23
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+export function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+export function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// "YYYY-MM-DD" that is an actual calendar day (rejects e.g. 2026-02-31)
+export function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// If endingAt is not provided, sessions last DEFAULT_SESSION_MINUTES, but do not cross midnight
+export function defaultEndingAt(startingAt) {
+  return minutesToTime(Math.min(timeToMinutes(startingAt) + DEFAULT_SESSION_MINUTES, LAST_MINUTE_OF_DAY));
+}
+
+/**
+ * Validate one session ({ dateAt, startingAt, endingAt }).
+ * Returns an error message or null.
+ */
+export function validateSession({ dateAt, startingAt, endingAt }) {
+  if (!dateAt || !startingAt) {
+    return 'dateAt und startingAt sind erforderlich';
+  }
+  if (!isValidDate(dateAt)) {
+    return `Ungültiges Datum: ${dateAt}`;
+  }
+  if (!TIME_PATTERN.test(String(startingAt)) || (endingAt && !TIME_PATTERN.test(String(endingAt)))) {
+    return 'Zeiten müssen im Format HH:MM (00:00 bis 23:59) angegeben werden';
+  }
+  if (timeToMinutes(endingAt || defaultEndingAt(startingAt)) <= timeToMinutes(startingAt)) {
+    return 'endingAt muss nach startingAt liegen';
+  }
+  return null;
+}
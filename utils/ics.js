@@ -0,0 +1,161 @@
+// Utility: build iCalendar (RFC 5545) files for event sessions
+// Session dates and times are local Swiss times, so every VEVENT carries TZID=Europe/Zurich.
+
+export const TIMEZONE = 'Europe/Zurich';
+const PRODUCT_ID = '-//TalentBinder//Events//DE';
+
+// Definition for clients (e.g. Outlook) that do not know the zone by name
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// "2026-11-02" + "09:00:00" -> "20261102T090000"
+function localDateTime(date, time) {
+  const [hours = '00', minutes = '00', seconds = '00'] = String(time).split(':');
+  return `${String(date).slice(0, 10).replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes}${seconds.slice(0, 2).padEnd(2, '0')}`;
+}
+
+function utcStamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+export function formatLocation(location) {
+  if (!location?.name) return '';
+  const city = [location.plz, location.city].filter(Boolean).join(' ');
+  return [location.name, location.address, city].filter(Boolean).join(', ');
+}
+
+/**
+ * Build a calendar with one VEVENT per session.
+ * sessions: [{ sessionId, eventId, title, description, dateAt ("YYYY-MM-DD"), startingAt, endingAt,
+ *              location: { name, address, plz, city }, part?, parts? }]
+ */
+export function buildCalendar({ name, sessions, host = 'talentbinder' }) {
+  const stamp = utcStamp();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...VTIMEZONE,
+  ];
+
+  for (const session of sessions) {
+    const summary = session.parts > 1 ? `${session.title} (Teil ${session.part}/${session.parts})` : session.title;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:session-${session.sessionId}@${host}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${TIMEZONE}:${localDateTime(session.dateAt, session.startingAt)}`,
+      `DTEND;TZID=${TIMEZONE}:${localDateTime(session.dateAt, session.endingAt || session.startingAt)}`,
+      `SUMMARY:${escapeText(summary)}`,
+    );
+    const location = formatLocation(session.location);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (session.description) lines.push(`DESCRIPTION:${escapeText(session.description)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Sessions for buildCalendar(), either of one event (eventId) or of all events a
+ * recruiter is assigned to (recruiterId, from `from` onwards).
+ */
+export async function loadCalendarSessions(db, { eventId = null, recruiterId = null, from = null }) {
+  const result = await db.query(`
+    SELECT
+      s.session_id,
+      e.event_id,
+      e.title,
+      e.description,
+      to_char(s.date_at, 'YYYY-MM-DD') as date_at,
+      s.starting_at,
+      s.ending_at,
+      l.name as location_name,
+      l.address as location_address,
+      l.plz as location_plz,
+      l.city as location_city,
+      ROW_NUMBER() OVER (PARTITION BY e.event_id ORDER BY s.date_at, s.starting_at) as part,
+      COUNT(*) OVER (PARTITION BY e.event_id) as parts
+    FROM Event_Session s
+    JOIN Event e ON s.event_id = e.event_id
+    LEFT JOIN Location l ON e.location_id = l.location_id
+    WHERE ($1::int IS NULL OR e.event_id = $1)
+      AND ($2::int IS NULL OR EXISTS (
+        SELECT 1 FROM Event_Recruiter r WHERE r.event_id = e.event_id AND r.recruiter_id = $2
+      ))
+    ORDER BY s.date_at, s.starting_at
+  `, [eventId, recruiterId]);
+
+  return result.rows
+    .filter(row => !from || row.date_at >= from)
+    .map(row => ({
+      sessionId: row.session_id,
+      eventId: row.event_id,
+      title: row.title,
+      description: row.description,
+      dateAt: row.date_at,
+      startingAt: row.starting_at,
+      endingAt: row.ending_at,
+      location: { name: row.location_name, address: row.location_address, plz: row.location_plz, city: row.location_city },
+      part: Number(row.part),
+      parts: Number(row.parts),
+    }));
+}
+
+export function sendCalendar(res, fileName, calendar, { inline = false } = {}) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${fileName}"`);
+  // Subscribed calendars must always see the current times
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.send(calendar);
+}
@@ -0,0 +1,210 @@
+// Utility: invitation mailing for events
+// When invitations_sending_at is reached, the event's target candidates are stored as
+// Event_Invitation rows and mailed one by one; failed deliveries are retried on later runs.
+
+import { pool } from '../config/db.js';
+import { sendMail } from '../config/mail.js';
+import { auditLog } from '../middleware/logging.js';
+import { formatLocation } from './ics.js';
+import { createRegistrationToken, registrationLinkUrl } from './publicRegistration.js';
+
+export const INVITATION_STATUSES = ['pending', 'sent', 'failed'];
+export const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 100;
+
+/**
+ * Target candidates of an event: candidates with an e-mail address and an apprenticeship in the
+ * event's branch (all candidates if the event has no branch), who are not anonymized, not in a
+ * final pipeline stage and not already registered.
+ */
+async function insertTargetCandidates(db, eventId) {
+  const result = await db.query(`
+    INSERT INTO Event_Invitation (event_id, candidate_id, email)
+    SELECT e.event_id, c.candidate_id, c.email
+    FROM Event e
+    JOIN Candidate c ON c.email IS NOT NULL AND c.anonymized_at IS NULL
+    WHERE e.event_id = $1
+      AND (e.branch_id IS NULL OR EXISTS (
+        SELECT 1 FROM Candidate_Apprenticeship ca
+        JOIN Apprenticeship a ON ca.apprenticeship_id = a.apprenticeship_id
+        WHERE ca.candidate_id = c.candidate_id AND a.branch_id = e.branch_id
+      ))
+      AND NOT EXISTS (
+        SELECT 1 FROM Pipeline_Stage ps WHERE ps.name = c.candidate_status AND ps.is_final
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM Event_Registration er
+        WHERE er.event_id = e.event_id AND er.candidate_id = c.candidate_id AND er.status <> 'cancelled'
+      )
+      AND EXISTS (SELECT 1 FROM Event_Session s WHERE s.event_id = e.event_id AND s.date_at >= CURRENT_DATE)
+    ON CONFLICT (event_id, candidate_id) DO NOTHING
+    RETURNING invitation_id;
+  `, [eventId]);
+  return result.rowCount;
+}
+
+/**
+ * Mark every event whose sending time is reached as sent and collect its recipients.
+ * Claiming and collecting happen in one transaction, so an event is only queued once.
+ */
+export async function queueDueInvitations() {
+  const client = await pool.connect();
+  const queued = [];
+  try {
+    await client.query('BEGIN');
+    const dueResult = await client.query(`
+      UPDATE Event
+      SET invitations_sent = TRUE
+      WHERE invitations_sent = FALSE
+        AND invitations_sending_at IS NOT NULL
+        AND invitations_sending_at <= NOW()
+      RETURNING event_id;
+    `);
+
+    for (const { event_id } of dueResult.rows) {
+      queued.push({ eventId: event_id, recipients: await insertTargetCandidates(client, event_id) });
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const { eventId, recipients } of queued) {
+    await auditLog('SEND_INVITATIONS', 'event', eventId, null, { recipients });
+  }
+  return queued;
+}
+
+function formatSession(session) {
+  const [year, month, day] = session.date_at.split('-');
+  const time = session.ending_at
+    ? `${session.starting_at.slice(0, 5)}–${session.ending_at.slice(0, 5)} Uhr`
+    : `ab ${session.starting_at.slice(0, 5)} Uhr`;
+  return `- ${day}.${month}.${year}, ${time}`;
+}
+
+export function buildInvitationMail(event, sessions, candidate) {
+  const location = formatLocation(event.location);
+  const lines = [
+    `Guten Tag ${candidate.first_name} ${candidate.last_name}`,
+    '',
+    `Wir laden Sie herzlich zu "${event.title}" ein.`,
+  ];
+  if (event.description) lines.push('', event.description);
+
+  lines.push('', sessions.length > 1 ? 'Termine:' : 'Termin:', ...sessions.map(formatSession));
+  if (location) lines.push('', `Ort: ${location}`);
+
+  if (event.public_registration && event.public_registration_key) {
+    lines.push('', 'Bitte melden Sie sich über folgenden Link an:', registrationLinkUrl(createRegistrationToken(event.event_id, event.public_registration_key)));
+  } else if (event.registration_required) {
+    lines.push('', 'Bitte melden Sie sich bei uns an, wenn Sie teilnehmen möchten.');
+  }
+
+  lines.push('', 'Wir freuen uns auf Sie!');
+  return { to: candidate.email, subject: `Einladung: ${event.title}`, text: lines.join('\n') };
+}
+
+async function loadInvitationEvent(eventId) {
+  const eventResult = await pool.query(`
+    SELECT e.event_id, e.title, e.description, e.registration_required,
+           e.public_registration, e.public_registration_key,
+           l.name as location_name, l.address as location_address, l.plz as location_plz, l.city as location_city
+    FROM Event e
+    LEFT JOIN Location l ON e.location_id = l.location_id
+    WHERE e.event_id = $1
+  `, [eventId]);
+  const event = eventResult.rows[0];
+  event.location = { name: event.location_name, address: event.location_address, plz: event.location_plz, city: event.location_city };
+
+  const sessionsResult = await pool.query(`
+    SELECT to_char(date_at, 'YYYY-MM-DD') as date_at, starting_at, ending_at
+    FROM Event_Session
+    WHERE event_id = $1
+    ORDER BY date_at, starting_at
+  `, [eventId]);
+  return { event, sessions: sessionsResult.rows };
+}
+
+/**
+ * Send all open invitations (pending, or failed with attempts left).
+ * Each recipient's result is stored on its Event_Invitation row.
+ */
+export async function deliverPendingInvitations() {
+  const openResult = await pool.query(`
+    SELECT i.invitation_id, i.event_id, i.email, c.first_name, c.last_name
+    FROM Event_Invitation i
+    JOIN Candidate c ON i.candidate_id = c.candidate_id
+    WHERE i.status <> 'sent' AND i.attempts < $1 AND i.email IS NOT NULL
+    ORDER BY i.event_id, i.invitation_id
+    LIMIT $2
+  `, [MAX_ATTEMPTS, BATCH_SIZE]);
+
+  const events = new Map();
+  let sent = 0;
+  let failed = 0;
+
+  for (const invitation of openResult.rows) {
+    if (!events.has(invitation.event_id)) {
+      events.set(invitation.event_id, await loadInvitationEvent(invitation.event_id));
+    }
+    const { event, sessions } = events.get(invitation.event_id);
+
+    try {
+      const info = await sendMail(buildInvitationMail(event, sessions, invitation));
+      await pool.query(`
+        UPDATE Event_Invitation
+        SET status = 'sent', attempts = attempts + 1, last_error = NULL, message_id = $2, sent_at = NOW()
+        WHERE invitation_id = $1
+      `, [invitation.invitation_id, info?.messageId || null]);
+      sent++;
+    } catch (error) {
+      await pool.query(`
+        UPDATE Event_Invitation
+        SET status = 'failed', attempts = attempts + 1, last_error = $2
+        WHERE invitation_id = $1
+      `, [invitation.invitation_id, String(error.message || error).slice(0, 500)]);
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+}
+
+export async function runInvitations() {
+  const queued = await queueDueInvitations();
+  const delivery = await deliverPendingInvitations();
+  return { queued, ...delivery };
+}
+
+let invitationTimer = null;
+let invitationRunning = false;
+
+/**
+ * Check for due invitations every INVITATION_SCHEDULE_MINUTES (unset or 0 = off).
+ * Off by default: without SMTP_HOST the log transport would mark every invitation as sent.
+ */
+export function startInvitationSchedule() {
+  const minutes = parseFloat(process.env.INVITATION_SCHEDULE_MINUTES ?? '0');
+  if (!minutes || minutes < 0 || invitationTimer) return;
+
+  invitationTimer = setInterval(async () => {
+    if (invitationRunning) return;
+    invitationRunning = true;
+    try {
+      const result = await runInvitations();
+      if (result.queued.length > 0 || result.sent > 0 || result.failed > 0) {
+        console.log(`✉️  Invitations: ${result.queued.length} events queued, ${result.sent} sent, ${result.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Invitation run failed:', error);
+    } finally {
+      invitationRunning = false;
+    }
+  }, minutes * 60 * 1000);
+  invitationTimer.unref();
+  console.log(`✉️  Invitation schedule: every ${minutes} min`);
+}
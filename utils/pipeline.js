@@ -0,0 +1,110 @@
+// Utility: candidate pipeline stages and transition rules
+// `db` is either the pool or a transaction client.
+
+/**
+ * Load the stages and allowed transitions of one pipeline.
+ * apprenticeshipId null loads the default pipeline.
+ */
+export async function loadPipeline(db, apprenticeshipId = null) {
+  const stagesResult = await db.query(
+    `SELECT stage_id, name, position, is_final
+     FROM Pipeline_Stage
+     WHERE apprenticeship_id IS NOT DISTINCT FROM $1
+     ORDER BY position ASC;`,
+    [apprenticeshipId]
+  );
+
+  const transitionsResult = await db.query(
+    `SELECT f.name as from_stage, t.name as to_stage
+     FROM Pipeline_Transition pt
+     JOIN Pipeline_Stage f ON pt.from_stage_id = f.stage_id
+     JOIN Pipeline_Stage t ON pt.to_stage_id = t.stage_id
+     WHERE f.apprenticeship_id IS NOT DISTINCT FROM $1
+     ORDER BY f.position, t.position;`,
+    [apprenticeshipId]
+  );
+
+  return {
+    apprenticeshipId,
+    stages: stagesResult.rows.map(s => ({ id: s.stage_id, name: s.name, position: s.position, isFinal: s.is_final })),
+    transitions: transitionsResult.rows.map(t => ({ from: t.from_stage, to: t.to_stage })),
+  };
+}
+
+/**
+ * Resolve the pipeline of a candidate: the first of their apprenticeships
+ * that has its own stages, otherwise the default pipeline.
+ */
+export async function loadCandidatePipeline(db, candidateId) {
+  const result = await db.query(
+    `SELECT MIN(ca.apprenticeship_id) as apprenticeship_id
+     FROM Candidate_Apprenticeship ca
+     WHERE ca.candidate_id = $1
+       AND EXISTS (SELECT 1 FROM Pipeline_Stage ps WHERE ps.apprenticeship_id = ca.apprenticeship_id);`,
+    [candidateId]
+  );
+  return loadPipeline(db, result.rows[0]?.apprenticeship_id ?? null);
+}
+
+/**
+ * Pipeline of a candidate that is about to be created with these apprenticeships
+ * (same rule as loadCandidatePipeline).
+ */
+export async function loadApprenticeshipPipeline(db, apprenticeshipIds) {
+  const result = await db.query(
+    `SELECT MIN(apprenticeship_id) as apprenticeship_id
+     FROM Pipeline_Stage
+     WHERE apprenticeship_id = ANY($1::int[]);`,
+    [apprenticeshipIds.map(Number)]
+  );
+  return loadPipeline(db, result.rows[0]?.apprenticeship_id ?? null);
+}
+
+/**
+ * Status of a new candidate: the requested stage, or the first stage of the pipeline.
+ * Returns { status } or { error } with a user-facing message.
+ */
+export function resolveInitialStatus(pipeline, status) {
+  if (!status) return { status: pipeline.stages[0]?.name ?? null };
+  if (!pipeline.stages.some(s => s.name === status)) {
+    return { error: `Unbekannter Status "${status}". Erlaubt: ${pipeline.stages.map(s => s.name).join(', ')}` };
+  }
+  return { status };
+}
+
+/**
+ * Check a status change against the pipeline.
+ * Returns an error message, or null if the transition is allowed.
+ * Statuses outside the pipeline (legacy values) may move to any stage.
+ */
+export function validateTransition(pipeline, fromStatus, toStatus) {
+  const target = pipeline.stages.find(s => s.name === toStatus);
+  if (!target) {
+    return `Unbekannter Status "${toStatus}". Erlaubt: ${pipeline.stages.map(s => s.name).join(', ')}`;
+  }
+
+  if (fromStatus === toStatus) return null;
+
+  const source = pipeline.stages.find(s => s.name === fromStatus);
+  if (!source) return null;
+
+  if (source.isFinal) {
+    return `Status "${fromStatus}" ist abgeschlossen und kann nicht mehr geändert werden.`;
+  }
+
+  const allowed = pipeline.transitions.some(t => t.from === fromStatus && t.to === toStatus);
+  if (!allowed) {
+    const next = pipeline.transitions.filter(t => t.from === fromStatus).map(t => t.to);
+    return `Wechsel von "${fromStatus}" nach "${toStatus}" ist nicht erlaubt. Mögliche nächste Status: ${next.join(', ') || 'keine'}`;
+  }
+
+  return null;
+}
+
+export async function recordStatusChange(db, { candidateId, fromStatus, toStatus, changedBy, comment = null }) {
+  await db.query(
+    `INSERT INTO Candidate_Status_History (candidate_id, from_status, to_status, comment, changed_by)
+     VALUES ($1, $2, $3, $4, $5);`,
+    [candidateId, fromStatus ?? null, toStatus, comment, changedBy]
+  );
+}
@@ -0,0 +1,72 @@
+// Utility: signed public registration links and double-opt-in tokens
+import crypto from 'crypto';
+
+// Read lazily, env is loaded after the imports in index.js
+function signingSecret() {
+  const secret = process.env.PUBLIC_REGISTRATION_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('PUBLIC_REGISTRATION_SECRET or JWT_SECRET must be set');
+  return secret;
+}
+
+function sign(eventId, key) {
+  return crypto.createHmac('sha256', signingSecret()).update(`event:${eventId}:${key}`).digest('base64url');
+}
+
+// Base URL of the public form in the frontend, e.g. https://talentbinder.dal.com/anmeldung
+function publicBaseUrl() {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3022').split(',')[0].trim();
+  return (process.env.PUBLIC_REGISTRATION_URL || `${frontendUrl}/anmeldung`).replace(/\/$/, '');
+}
+
+export function confirmationHours() {
+  const hours = parseInt(process.env.PUBLIC_REGISTRATION_CONFIRM_HOURS || '48', 10);
+  return Number.isNaN(hours) || hours <= 0 ? 48 : hours;
+}
+
+export function createRegistrationKey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+export function createRegistrationToken(eventId, key) {
+  return `${eventId}.${sign(eventId, key)}`;
+}
+
+/**
+ * Split a link token into event id and signature; returns null for malformed tokens.
+ * The signature still has to be checked with verifyRegistrationToken() against the event's key.
+ */
+export function parseRegistrationToken(token) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ''));
+  return match ? { eventId: parseInt(match[1], 10), signature: match[2] } : null;
+}
+
+export function verifyRegistrationToken({ eventId, signature }, key) {
+  if (!key) return false;
+  const expected = Buffer.from(sign(eventId, key));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export function registrationLinkUrl(token) {
+  return `${publicBaseUrl()}/${token}`;
+}
+
+export function confirmationUrl(token) {
+  return `${publicBaseUrl()}/bestaetigen?token=${token}`;
+}
+
+// Confirmation tokens are only stored as hashes
+export function createConfirmationToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashConfirmationToken(token) };
+}
+
+export function hashConfirmationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Unconfirmed submissions (e-mail, form data, IP) are not kept beyond their expiry
+export async function purgeExpiredPendingRegistrations(db) {
+  const result = await db.query("DELETE FROM Pending_Registration WHERE confirmed_at IS NULL AND expires_at < NOW()");
+  return result.rowCount;
+}
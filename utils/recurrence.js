@@ -0,0 +1,202 @@
+// Utility: expand RRULE-style recurrence rules (RFC 5545 subset) into occurrence dates
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (e.g. WE, 1WE, -1FR),
+// BYMONTHDAY, BYMONTH, UNTIL, COUNT. Dates are handled as "YYYY-MM-DD" strings in UTC.
+
+// Upper bound for occurrences of one series, protects against rules like FREQ=DAILY;UNTIL=21000101
+export const MAX_OCCURRENCES = 100;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(value) {
+  return new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function parseUntil(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+  return match ? toDate(`${match[1]}-${match[2]}-${match[3]}`) : null;
+}
+
+/**
+ * Parse a rule such as "FREQ=MONTHLY;BYDAY=1WE;BYMONTH=9,10,11,12,1,2,3;UNTIL=20270331".
+ * A leading "RRULE:" is accepted. Returns { rule } or { error } with a user-facing message.
+ */
+export function parseRRule(text) {
+  if (!text || typeof text !== 'string') {
+    return { error: 'rrule ist erforderlich' };
+  }
+
+  const parts = {};
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) {
+      return { error: `Ungültiger Regelteil: ${part}` };
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    until: null,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+  };
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'UNTIL', 'COUNT', 'WKST'].includes(key));
+  if (unsupported.length > 0) {
+    return { error: `Nicht unterstützte Regelteile: ${unsupported.join(', ')}` };
+  }
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return { error: `FREQ muss einer der Werte ${FREQUENCIES.join(', ')} sein` };
+  }
+  if (Number.isNaN(rule.interval) || rule.interval < 1) {
+    return { error: 'INTERVAL muss eine positive Zahl sein' };
+  }
+
+  if (parts.BYDAY) {
+    for (const entry of parts.BYDAY.split(',')) {
+      const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+      if (!match) {
+        return { error: `Ungültiger BYDAY-Wert: ${entry}` };
+      }
+      const ordinal = match[1] ? parseInt(match[1], 10) : null;
+      if (ordinal !== null && (rule.freq !== 'MONTHLY' || ordinal === 0)) {
+        return { error: `BYDAY mit Position (${entry}) ist nur bei FREQ=MONTHLY möglich` };
+      }
+      rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), ordinal });
+    }
+  }
+
+  if (parts.BYMONTHDAY) {
+    rule.byMonthDay = parts.BYMONTHDAY.split(',').map(v => parseInt(v, 10));
+    if (rule.byMonthDay.some(day => Number.isNaN(day) || day === 0 || Math.abs(day) > 31)) {
+      return { error: 'BYMONTHDAY muss zwischen 1 und 31 (bzw. -1 und -31) liegen' };
+    }
+  }
+
+  if (parts.BYMONTH) {
+    rule.byMonth = parts.BYMONTH.split(',').map(v => parseInt(v, 10));
+    if (rule.byMonth.some(month => Number.isNaN(month) || month < 1 || month > 12)) {
+      return { error: 'BYMONTH muss zwischen 1 und 12 liegen' };
+    }
+  }
+
+  if (parts.UNTIL) {
+    rule.until = parseUntil(parts.UNTIL);
+    if (!rule.until) {
+      return { error: `Ungültiges UNTIL-Datum: ${parts.UNTIL}` };
+    }
+  }
+
+  if (rule.count !== null && (Number.isNaN(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+    return { error: `COUNT muss zwischen 1 und ${MAX_OCCURRENCES} liegen` };
+  }
+  if (!rule.until && rule.count === null) {
+    return { error: 'Die Regel benötigt UNTIL oder COUNT' };
+  }
+
+  return { rule };
+}
+
+// Candidate days of one period, sorted
+function periodDates(rule, periodStart, startDate) {
+  if (rule.freq === 'DAILY') {
+    return [periodStart];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [startDate.getUTCDay()];
+    // periodStart is the Monday of the week
+    return weekdays
+      .map(weekday => addDays(periodStart, (weekday + 6) % 7))
+      .sort((a, b) => a - b);
+  }
+
+  // MONTHLY
+  const year = periodStart.getUTCFullYear();
+  const month = periodStart.getUTCMonth();
+  const lastDay = daysInMonth(year, month);
+  const days = new Set();
+
+  for (const { weekday, ordinal } of rule.byDay) {
+    const matching = [];
+    for (let day = 1; day <= lastDay; day++) {
+      if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) matching.push(day);
+    }
+    if (ordinal === null) {
+      matching.forEach(day => days.add(day));
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day) days.add(day);
+    }
+  }
+
+  for (const monthDay of rule.byMonthDay) {
+    const day = monthDay > 0 ? monthDay : lastDay + monthDay + 1;
+    if (day >= 1 && day <= lastDay) days.add(day);
+  }
+
+  if (rule.byDay.length === 0 && rule.byMonthDay.length === 0 && startDate.getUTCDate() <= lastDay) {
+    days.add(startDate.getUTCDate());
+  }
+
+  return [...days].sort((a, b) => a - b).map(day => new Date(Date.UTC(year, month, day)));
+}
+
+function periodStartAt(rule, startDate, index) {
+  const step = index * rule.interval;
+  if (rule.freq === 'DAILY') {
+    return addDays(startDate, step);
+  }
+  if (rule.freq === 'WEEKLY') {
+    const monday = addDays(startDate, -((startDate.getUTCDay() + 6) % 7));
+    return addDays(monday, step * 7);
+  }
+  return new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + step, 1));
+}
+
+/**
+ * Occurrence dates ("YYYY-MM-DD") of a parsed rule, starting at startsOn.
+ * The start date is always the first occurrence. COUNT includes dates that are later
+ * removed as exceptions, as in RFC 5545. Expansion stops after MAX_OCCURRENCES + 1 dates,
+ * so callers can detect rules that produce too many occurrences.
+ */
+export function expandRRule(rule, startsOn, exceptions = []) {
+  const startDate = toDate(startsOn);
+  const excluded = new Set(exceptions.map(date => String(date).slice(0, 10)));
+  const dates = [formatDate(startDate)];
+
+  // Enough periods for MAX_OCCURRENCES even with sparse rules (e.g. BYMONTH with one month)
+  for (let index = 0; index < MAX_OCCURRENCES * 12 && dates.length <= MAX_OCCURRENCES; index++) {
+    const periodStart = periodStartAt(rule, startDate, index);
+    if (rule.until && periodStart > rule.until) break;
+
+    let done = false;
+    for (const date of periodDates(rule, periodStart, startDate)) {
+      if (date <= startDate) continue;
+      if (rule.byMonth.length > 0 && !rule.byMonth.includes(date.getUTCMonth() + 1)) continue;
+      if (rule.until && date > rule.until) { done = true; break; }
+      if (rule.count !== null && dates.length >= rule.count) { done = true; break; }
+      dates.push(formatDate(date));
+    }
+    if (done || (rule.count !== null && dates.length >= rule.count)) break;
+  }
+
+  return dates.filter(date => !excluded.has(date));
+}
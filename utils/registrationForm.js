@@ -0,0 +1,108 @@
+// Utility: form schema for public event registration
+// Every form has the base fields; events can add their own questions (Event.registration_form).
+
+export const FIELD_TYPES = ['text', 'textarea', 'email', 'date', 'number', 'select', 'checkbox'];
+
+const MAX_CUSTOM_FIELDS = 20;
+const MAX_TEXT_LENGTH = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const BASE_FIELDS = [
+  { key: 'firstName', label: 'Vorname', type: 'text', required: true },
+  { key: 'lastName', label: 'Nachname', type: 'text', required: true },
+  { key: 'email', label: 'E-Mail', type: 'email', required: true },
+  { key: 'birthDate', label: 'Geburtsdatum', type: 'date', required: false },
+  { key: 'apprenticeshipId', label: 'Lehrberuf', type: 'select', required: false },
+];
+
+/**
+ * Check the custom fields an event defines. Returns an error message or null.
+ */
+export function validateFormDefinition(fields) {
+  if (!Array.isArray(fields)) return 'registrationForm muss eine Liste von Feldern sein';
+  if (fields.length > MAX_CUSTOM_FIELDS) return `Maximal ${MAX_CUSTOM_FIELDS} zusätzliche Felder erlaubt`;
+
+  const keys = new Set(BASE_FIELDS.map(field => field.key));
+  for (const field of fields) {
+    if (!field || !/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(field.key || '')) {
+      return `Ungültiger Feldschlüssel: ${field?.key}`;
+    }
+    if (keys.has(field.key)) return `Feldschlüssel ist doppelt oder reserviert: ${field.key}`;
+    keys.add(field.key);
+
+    if (!field.label || typeof field.label !== 'string') return `Feld ${field.key} benötigt ein label`;
+    if (!FIELD_TYPES.includes(field.type)) {
+      return `Feld ${field.key}: type muss einer der Werte ${FIELD_TYPES.join(', ')} sein`;
+    }
+    if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+      return `Feld ${field.key} benötigt options`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Full schema as shown to the public form: base fields followed by the event's own fields.
+ * `apprenticeships` fills the options of the apprenticeship field.
+ */
+export function buildFormSchema(customFields = [], apprenticeships = []) {
+  const base = BASE_FIELDS.map(field => field.key === 'apprenticeshipId'
+    ? { ...field, options: apprenticeships.map(a => ({ value: a.apprenticeship_id, label: a.name })) }
+    : field);
+  const custom = customFields.map(({ key, label, type, required, options }) => ({
+    key, label, type, required: required === true, ...(options ? { options } : {})
+  }));
+  return [...base, ...custom];
+}
+
+function optionValues(field) {
+  return (field.options || []).map(option => String(typeof option === 'object' ? option.value : option));
+}
+
+/**
+ * Validate submitted values against a schema from buildFormSchema().
+ * Returns { values, errors } where errors maps field keys to messages.
+ */
+export function validateSubmission(schema, body = {}) {
+  const values = {};
+  const errors = {};
+
+  for (const field of schema) {
+    let value = body[field.key];
+    if (typeof value === 'string') value = value.trim();
+    const empty = value === undefined || value === null || value === '' || (field.type === 'checkbox' && value !== true);
+
+    if (empty) {
+      if (field.required) errors[field.key] = `${field.label} ist erforderlich`;
+      else if (field.type === 'checkbox') values[field.key] = false;
+      continue;
+    }
+
+    switch (field.type) {
+      case 'email':
+        if (!EMAIL_PATTERN.test(String(value))) errors[field.key] = `${field.label} ist keine gültige E-Mail-Adresse`;
+        else values[field.key] = String(value).toLowerCase();
+        break;
+      case 'date':
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || Number.isNaN(Date.parse(value))) errors[field.key] = `${field.label} muss ein Datum (YYYY-MM-DD) sein`;
+        else values[field.key] = value;
+        break;
+      case 'number':
+        if (Number.isNaN(Number(value))) errors[field.key] = `${field.label} muss eine Zahl sein`;
+        else values[field.key] = Number(value);
+        break;
+      case 'select':
+        if (!optionValues(field).includes(String(value))) errors[field.key] = `${field.label}: ungültige Auswahl`;
+        else values[field.key] = value;
+        break;
+      case 'checkbox':
+        values[field.key] = true;
+        break;
+      default:
+        if (String(value).length > MAX_TEXT_LENGTH) errors[field.key] = `${field.label} ist zu lang`;
+        else values[field.key] = String(value);
+    }
+  }
+
+  return { values, errors };
+}
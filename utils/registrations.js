@@ -0,0 +1,143 @@
+// Utility: event registration rules (capacity, waitlist, closing date), see migrations/008
+// Functions take `db` (pool or transaction client) like utils/pipeline.js.
+import { pool } from '../config/db.js';
+
+export const REGISTRATION_STATUSES = ['registered', 'waitlisted', 'cancelled', 'no-show'];
+
+// Statuses that occupy a place; no-shows keep theirs because the event already took place
+const TAKEN_STATUSES = ['registered', 'no-show'];
+
+/**
+ * Capacity from a request body: null (unlimited) for empty values, a non-negative
+ * integer, or undefined if the value is invalid.
+ */
+export function parseCapacity(value) {
+  if (value === null || value === '') return null;
+  const capacity = Number(value);
+  return Number.isInteger(capacity) && capacity >= 0 ? capacity : undefined;
+}
+
+export function isRegistrationClosed(event, now = new Date()) {
+  return Boolean(event.registrations_closing_at) && new Date(event.registrations_closing_at) < now;
+}
+
+/**
+ * Lock the event row for the rest of the transaction, so concurrent registrations
+ * cannot both take the last place. Returns the event or null.
+ */
+export async function lockEventForRegistration(db, eventId) {
+  const result = await db.query(
+    "SELECT event_id, title, capacity, registrations_closing_at FROM Event WHERE event_id = $1 FOR UPDATE",
+    [eventId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether one more registration fits into the event and, if given, the session.
+ */
+export async function hasFreePlace(db, eventId, sessionId = null) {
+  const result = await db.query(`
+    SELECT
+      e.capacity as event_capacity,
+      (SELECT COUNT(*)::int FROM Event_Registration
+        WHERE event_id = e.event_id AND status = ANY($3::text[])) as event_taken,
+      s.capacity as session_capacity,
+      (SELECT COUNT(*)::int FROM Event_Registration
+        WHERE session_id = s.session_id AND status = ANY($3::text[])) as session_taken
+    FROM Event e
+    LEFT JOIN Event_Session s ON s.session_id = $2 AND s.event_id = e.event_id
+    WHERE e.event_id = $1;
+  `, [eventId, sessionId, TAKEN_STATUSES]);
+
+  const row = result.rows[0];
+  if (!row) return false;
+  if (row.event_capacity !== null && row.event_taken >= row.event_capacity) return false;
+  if (row.session_capacity !== null && row.session_taken >= row.session_capacity) return false;
+  return true;
+}
+
+/**
+ * Register a candidate, or put them on the waitlist if the event or session is full.
+ * A cancelled registration is reactivated instead of creating a second one.
+ * Returns { registration, created } or { conflict: true } if the candidate is already registered/waitlisted.
+ * Call inside a transaction after lockEventForRegistration().
+ */
+export async function registerCandidate(db, { eventId, candidateId, sessionId = null }) {
+  const existing = await db.query(
+    "SELECT registration_id, status FROM Event_Registration WHERE event_id = $1 AND candidate_id = $2",
+    [eventId, candidateId]
+  );
+  if (existing.rows.length > 0 && existing.rows[0].status !== 'cancelled') {
+    return { conflict: true };
+  }
+
+  const status = await hasFreePlace(db, eventId, sessionId) ? 'registered' : 'waitlisted';
+
+  if (existing.rows.length > 0) {
+    const result = await db.query(
+      `UPDATE Event_Registration
+       SET status = $1, session_id = $2, registered_at = NOW(), status_changed_at = NOW()
+       WHERE registration_id = $3
+       RETURNING registration_id, candidate_id, session_id, status, registered_at`,
+      [status, sessionId, existing.rows[0].registration_id]
+    );
+    return { registration: result.rows[0], created: false };
+  }
+
+  const result = await db.query(
+    `INSERT INTO Event_Registration (event_id, candidate_id, session_id, status)
+     VALUES ($1, $2, $3, $4)
+     RETURNING registration_id, candidate_id, session_id, status, registered_at`,
+    [eventId, candidateId, sessionId, status]
+  );
+  return { registration: result.rows[0], created: true };
+}
+
+/**
+ * Move waitlisted registrations up in registration order as long as places are free.
+ * A waitlisted registration for a full session is skipped, later ones for other sessions
+ * may still move up. excludeRegistrationId keeps a registration that was just moved to the
+ * waitlist from moving straight back. Returns the promoted registrations.
+ */
+export async function promoteFromWaitlist(db, eventId, { excludeRegistrationId = null } = {}) {
+  const waitlisted = await db.query(
+    `SELECT registration_id, candidate_id, session_id
+     FROM Event_Registration
+     WHERE event_id = $1 AND status = 'waitlisted'
+       AND ($2::int IS NULL OR registration_id <> $2)
+     ORDER BY registered_at ASC, registration_id ASC`,
+    [eventId, excludeRegistrationId]
+  );
+
+  const promoted = [];
+  for (const registration of waitlisted.rows) {
+    if (!await hasFreePlace(db, eventId, registration.session_id)) continue;
+    await db.query(
+      "UPDATE Event_Registration SET status = 'registered', status_changed_at = NOW() WHERE registration_id = $1",
+      [registration.registration_id]
+    );
+    promoted.push(registration);
+  }
+  return promoted;
+}
+
+/**
+ * promoteFromWaitlist() in its own transaction, for changes outside of a registration
+ * (e.g. a raised capacity).
+ */
+export async function refillFromWaitlist(eventId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await lockEventForRegistration(client, eventId);
+    const promoted = await promoteFromWaitlist(client, eventId);
+    await client.query("COMMIT");
+    return promoted;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
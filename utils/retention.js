@@ -0,0 +1,175 @@
+// Utility: data retention for candidate PII (Swiss nDSG / GDPR)
+// Candidates without activity for RETENTION_MONTHS are anonymized or deleted.
+
+import { pool } from '../config/db.js';
+import { removeStoredFiles } from '../config/storage.js';
+import { auditLog } from '../middleware/logging.js';
+import { purgeExpiredPendingRegistrations } from './publicRegistration.js';
+
+export const RETENTION_ACTIONS = ['anonymize', 'delete'];
+
+/**
+ * Months and action of the retention policy. Overrides are validated by the caller.
+ * RETENTION_MONTHS defaults to 24; any other value than a whole number of at least 1 is a
+ * configuration error and returned as { error }, so no run starts with an unintended period.
+ */
+export function getRetentionPolicy(overrides = {}) {
+  const rawMonths = overrides.months ?? process.env.RETENTION_MONTHS;
+  const action = overrides.action || process.env.RETENTION_ACTION || 'anonymize';
+
+  const months = rawMonths === undefined || rawMonths === '' ? 24 : Number(String(rawMonths).trim());
+  if (!Number.isInteger(months) || months < 1) {
+    return { error: `RETENTION_MONTHS muss eine ganze Zahl ab 1 sein (ist: "${rawMonths}")` };
+  }
+  if (!RETENTION_ACTIONS.includes(action)) {
+    return { error: `RETENTION_ACTION muss eine von ${RETENTION_ACTIONS.join(', ')} sein (ist: "${action}")` };
+  }
+  return { months, action };
+}
+
+/**
+ * Candidates whose last activity is older than the retention period.
+ * Activity: creation, registrations, attendance reports, status changes, notes, audit entries.
+ */
+export async function findExpiredCandidates({ months }) {
+  const result = await pool.query(`
+    WITH activity AS (
+      SELECT
+        c.candidate_id,
+        c.first_name,
+        c.last_name,
+        c.candidate_status,
+        GREATEST(
+          c.created_at,
+          (SELECT MAX(er.registered_at) FROM Event_Registration er WHERE er.candidate_id = c.candidate_id),
+          (SELECT MAX(COALESCE(ea.updated_at, ea.created_at)) FROM Event_Attendance ea WHERE ea.candidate_id = c.candidate_id),
+          (SELECT MAX(h.changed_at) FROM Candidate_Status_History h WHERE h.candidate_id = c.candidate_id),
+          (SELECT MAX(n.created_at) FROM Candidate_Note n WHERE n.candidate_id = c.candidate_id),
+          (SELECT MAX(al.timestamp) FROM Audit_Log al
+            WHERE al.table_name = 'candidate' AND al.record_id = c.candidate_id AND al.action <> 'EXPORT_DATA')
+        ) as last_activity_at
+      FROM Candidate c
+      WHERE c.anonymized_at IS NULL
+    )
+    SELECT candidate_id, first_name, last_name, candidate_status, last_activity_at
+    FROM activity
+    WHERE last_activity_at < NOW() - make_interval(months => $1)
+    ORDER BY last_activity_at ASC;
+  `, [months]);
+  return result.rows;
+}
+
+// Public registration forms submitted with the candidate's e-mail or leading to their registrations
+async function deletePendingRegistrations(client, candidateId) {
+  await client.query(`
+    DELETE FROM Pending_Registration
+    WHERE LOWER(email) = (SELECT LOWER(email) FROM Candidate WHERE candidate_id = $1)
+       OR registration_id IN (SELECT registration_id FROM Event_Registration WHERE candidate_id = $1);
+  `, [candidateId]);
+}
+
+async function anonymizeCandidate(client, candidateId) {
+  await client.query(`
+    UPDATE Candidate
+    SET first_name = 'Anonymisiert',
+        last_name = '#' || candidate_id,
+        email = NULL,
+        birth_date = NULL,
+        anonymized_at = NOW()
+    WHERE candidate_id = $1;
+  `, [candidateId]);
+  await client.query('DELETE FROM Candidate_Note WHERE candidate_id = $1;', [candidateId]);
+  await client.query('DELETE FROM Candidate_Tag WHERE candidate_id = $1;', [candidateId]);
+  await client.query('UPDATE Event_Attendance SET comment = NULL WHERE candidate_id = $1;', [candidateId]);
+  await client.query('UPDATE Attendance_Revision SET comment = NULL WHERE candidate_id = $1;', [candidateId]);
+  await client.query('UPDATE Event_Registration SET form_answers = NULL WHERE candidate_id = $1;', [candidateId]);
+  await client.query('UPDATE Event_Invitation SET email = NULL WHERE candidate_id = $1;', [candidateId]);
+  await client.query('UPDATE Candidate_Status_History SET comment = NULL WHERE candidate_id = $1;', [candidateId]);
+  // Audit entries keep who did what and when, but not the personal data they logged
+  await client.query(`
+    UPDATE Audit_Log SET new_data = '{"anonymized":true}'
+    WHERE table_name = 'candidate' AND record_id = $1;
+  `, [candidateId]);
+}
+
+/**
+ * Apply the retention policy. With dryRun only the affected candidates are returned.
+ */
+export async function runRetention({ dryRun = true, userId = null, ...overrides } = {}) {
+  const policy = getRetentionPolicy(overrides);
+  if (policy.error) {
+    throw new Error(policy.error);
+  }
+
+  const candidates = await findExpiredCandidates(policy);
+  if (dryRun) {
+    return { policy, dryRun, candidates, processed: 0 };
+  }
+
+  await purgeExpiredPendingRegistrations(pool);
+  if (candidates.length === 0) {
+    return { policy, dryRun, candidates, processed: 0 };
+  }
+
+  let processed = 0;
+  for (const candidate of candidates) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const documents = await client.query(
+        'DELETE FROM Candidate_Document WHERE candidate_id = $1 RETURNING storage_key;',
+        [candidate.candidate_id]
+      );
+      await deletePendingRegistrations(client, candidate.candidate_id);
+
+      if (policy.action === 'delete') {
+        await client.query('DELETE FROM Candidate WHERE candidate_id = $1;', [candidate.candidate_id]);
+      } else {
+        await anonymizeCandidate(client, candidate.candidate_id);
+      }
+      await client.query('COMMIT');
+
+      await removeStoredFiles(documents.rows.map(row => row.storage_key));
+      await auditLog(policy.action === 'delete' ? 'RETENTION_DELETE' : 'RETENTION_ANONYMIZE', 'candidate', candidate.candidate_id, userId, {
+        retentionMonths: policy.months,
+        lastActivityAt: candidate.last_activity_at,
+      });
+      processed++;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Retention for candidate ${candidate.candidate_id} failed:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  return { policy, dryRun, candidates, processed };
+}
+
+let retentionTimer = null;
+
+/**
+ * Run the retention policy periodically if RETENTION_SCHEDULE_HOURS is set.
+ * Refuses to start with an invalid policy.
+ */
+export function startRetentionSchedule() {
+  const hours = parseFloat(process.env.RETENTION_SCHEDULE_HOURS);
+  if (!hours || hours < 0 || retentionTimer) return;
+
+  const policy = getRetentionPolicy();
+  if (policy.error) {
+    console.error(`🧹 Retention schedule not started: ${policy.error}`);
+    return;
+  }
+
+  retentionTimer = setInterval(async () => {
+    try {
+      const result = await runRetention({ dryRun: false });
+      console.log(`🧹 Retention: ${result.processed}/${result.candidates.length} candidates processed (${result.policy.action})`);
+    } catch (error) {
+      console.error('Retention run failed:', error);
+    }
+  }, hours * 60 * 60 * 1000);
+  retentionTimer.unref();
+  console.log(`🧹 Retention schedule: every ${hours}h`);
+}
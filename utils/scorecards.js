@@ -0,0 +1,181 @@
+// Utility: evaluation scorecards and per-criterion scores of attendance reports
+// `db` is either the pool or a transaction client.
+
+const MAX_CRITERIA = 20;
+
+function toCriterion(row) {
+  return {
+    id: row.criterion_id,
+    name: row.name,
+    description: row.description,
+    scaleMin: row.scale_min,
+    scaleMax: row.scale_max,
+    weight: Number(row.weight),
+    position: row.position
+  };
+}
+
+/**
+ * Load a scorecard with its criteria, or null.
+ */
+export async function loadScorecard(db, scorecardId) {
+  const scorecardResult = await db.query(
+    `SELECT scorecard_id, name, template_id, apprenticeship_id, created_at
+     FROM Scorecard WHERE scorecard_id = $1`,
+    [scorecardId]
+  );
+  const scorecard = scorecardResult.rows[0];
+  if (!scorecard) return null;
+
+  const criteriaResult = await db.query(
+    `SELECT criterion_id, name, description, scale_min, scale_max, weight, position
+     FROM Scorecard_Criterion WHERE scorecard_id = $1 ORDER BY position`,
+    [scorecardId]
+  );
+
+  return {
+    id: scorecard.scorecard_id,
+    name: scorecard.name,
+    templateId: scorecard.template_id,
+    apprenticeshipId: scorecard.apprenticeship_id,
+    createdAt: scorecard.created_at,
+    criteria: criteriaResult.rows.map(toCriterion)
+  };
+}
+
+/**
+ * The scorecard for a report on a candidate at an event: the one of the event's type,
+ * else of the candidate's first apprenticeship that has one, else the default. Null if none.
+ */
+export async function resolveScorecard(db, { eventId, candidateId }) {
+  const result = await db.query(`
+    SELECT sc.scorecard_id
+    FROM Scorecard sc
+    WHERE sc.template_id = (SELECT template_id FROM Event WHERE event_id = $1)
+       OR sc.apprenticeship_id IN (SELECT apprenticeship_id FROM Candidate_Apprenticeship WHERE candidate_id = $2)
+       OR (sc.template_id IS NULL AND sc.apprenticeship_id IS NULL)
+    ORDER BY
+      CASE WHEN sc.template_id IS NOT NULL THEN 0 WHEN sc.apprenticeship_id IS NOT NULL THEN 1 ELSE 2 END,
+      sc.apprenticeship_id
+    LIMIT 1
+  `, [eventId, candidateId]);
+  return result.rows[0] ? loadScorecard(db, result.rows[0].scorecard_id) : null;
+}
+
+/**
+ * Check the body of POST/PUT /api/scorecards. Returns an error message or null.
+ */
+export function validateScorecard({ name, templateId, apprenticeshipId, criteria }) {
+  if (!name || typeof name !== 'string' || !name.trim()) return 'name ist erforderlich';
+  if (templateId && apprenticeshipId) return 'Eine Scorecard gehört entweder zu einem Eventtyp oder zu einem Lehrberuf';
+  if (!Array.isArray(criteria) || criteria.length === 0) return 'Mindestens ein Kriterium ist erforderlich';
+  if (criteria.length > MAX_CRITERIA) return `Maximal ${MAX_CRITERIA} Kriterien erlaubt`;
+
+  const names = new Set();
+  for (const criterion of criteria) {
+    const criterionName = String(criterion?.name || '').trim();
+    if (!criterionName) return 'Jedes Kriterium benötigt einen Namen';
+    if (names.has(criterionName.toLowerCase())) return `Kriterium ist doppelt: ${criterionName}`;
+    names.add(criterionName.toLowerCase());
+
+    const scaleMin = criterion.scaleMin ?? 1;
+    const scaleMax = criterion.scaleMax ?? 5;
+    if (!Number.isInteger(scaleMin) || !Number.isInteger(scaleMax) || scaleMax <= scaleMin) {
+      return `Ungültige Skala für "${criterionName}": scaleMin und scaleMax müssen ganze Zahlen sein, scaleMax > scaleMin`;
+    }
+    const weight = criterion.weight ?? 1;
+    if (typeof weight !== 'number' || !(weight > 0) || weight >= 1000) {
+      return `Ungültige Gewichtung für "${criterionName}": muss grösser als 0 sein`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check submitted scores ([{ criterionId, score }]) against a scorecard.
+ * Criteria may be left out; returns { values } or { error }.
+ */
+export function validateScores(scorecard, scores) {
+  if (!Array.isArray(scores)) return { error: 'scores muss eine Liste sein' };
+  if (scores.length === 0) return { values: [] };
+  if (!scorecard) return { error: 'Für dieses Event ist keine Scorecard hinterlegt' };
+
+  const criteria = new Map(scorecard.criteria.map(criterion => [criterion.id, criterion]));
+  const seen = new Set();
+  const values = [];
+
+  for (const entry of scores) {
+    const criterion = criteria.get(Number(entry?.criterionId));
+    if (!criterion) return { error: `Unbekanntes Kriterium: ${entry?.criterionId}` };
+    if (seen.has(criterion.id)) return { error: `Kriterium mehrfach bewertet: ${criterion.name}` };
+    seen.add(criterion.id);
+
+    const score = entry.score;
+    if (!Number.isInteger(score) || score < criterion.scaleMin || score > criterion.scaleMax) {
+      return { error: `Bewertung für "${criterion.name}" muss eine ganze Zahl von ${criterion.scaleMin} bis ${criterion.scaleMax} sein` };
+    }
+    values.push({ criterion, score });
+  }
+  return { values };
+}
+
+/**
+ * Replace the scores of a report. Criterion name, scale and weight are stored with each score.
+ */
+export async function saveScores(db, attendanceId, scorecardId, values) {
+  await db.query("DELETE FROM Attendance_Score WHERE attendance_id = $1", [attendanceId]);
+  for (const { criterion, score } of values) {
+    await db.query(
+      `INSERT INTO Attendance_Score (attendance_id, criterion_id, criterion_name, score, scale_min, scale_max, weight)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [attendanceId, criterion.id, criterion.name, score, criterion.scaleMin, criterion.scaleMax, criterion.weight]
+    );
+  }
+  await db.query(
+    "UPDATE Event_Attendance SET scorecard_id = $2 WHERE attendance_id = $1",
+    [attendanceId, values.length > 0 ? scorecardId : null]
+  );
+}
+
+/**
+ * Weighted score in percent of the scale (0 = every criterion at its minimum, 100 = at its maximum).
+ */
+export function weightedScore(scores) {
+  if (scores.length === 0) return null;
+  let total = 0;
+  let weights = 0;
+  for (const entry of scores) {
+    total += entry.weight * (entry.score - entry.scaleMin) / (entry.scaleMax - entry.scaleMin);
+    weights += entry.weight;
+  }
+  return Math.round(total / weights * 1000) / 10;
+}
+
+/**
+ * Scores of several reports: Map attendanceId -> { scores, weightedScore }
+ */
+export async function loadScores(db, attendanceIds) {
+  const byReport = new Map(attendanceIds.map(id => [id, []]));
+  if (attendanceIds.length === 0) return new Map();
+
+  const result = await db.query(`
+    SELECT s.attendance_id, s.criterion_id, s.criterion_name, s.score, s.scale_min, s.scale_max, s.weight
+    FROM Attendance_Score s
+    LEFT JOIN Scorecard_Criterion c ON s.criterion_id = c.criterion_id
+    WHERE s.attendance_id = ANY($1::int[])
+    ORDER BY s.attendance_id, c.position NULLS LAST, s.score_id
+  `, [attendanceIds]);
+
+  for (const row of result.rows) {
+    byReport.get(row.attendance_id)?.push({
+      criterionId: row.criterion_id,
+      name: row.criterion_name,
+      score: row.score,
+      scaleMin: row.scale_min,
+      scaleMax: row.scale_max,
+      weight: Number(row.weight)
+    });
+  }
+
+  return new Map([...byReport].map(([id, scores]) => [id, { scores, weightedScore: weightedScore(scores) }]));
+}
@@ -0,0 +1,158 @@
+// Utility: read uploaded CSV/XLSX files into plain row objects keyed by header
+
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// XLSX files are ZIP archives
+const isZip = (buffer) => buffer?.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+/**
+ * The file extension decides; the MIME type is only a fallback. Windows browsers send
+ * .csv files as application/vnd.ms-excel, so that type is told apart by the content.
+ */
+export function detectSpreadsheetFormat(file) {
+  const name = (file?.originalname || '').toLowerCase();
+  if (name.endsWith('.xlsx')) return 'xlsx';
+  if (name.endsWith('.csv')) return 'csv';
+  if (file?.mimetype === XLSX_MIME_TYPE) return 'xlsx';
+  if (file?.mimetype === 'application/vnd.ms-excel') return isZip(file.buffer) ? 'xlsx' : 'csv';
+  if (file?.mimetype === 'text/csv') return 'csv';
+  return null;
+}
+
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    // Rich text, hyperlinks and formulas
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+  }
+  return String(value).trim();
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber - 1] = cellToString(cell.value);
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) record[header] = cellToString(row.getCell(index + 1).value);
+    });
+    rows.push(record);
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+function readCsv(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  // Swiss Excel exports use ";" as separator, everything else ","
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const records = parse(text, {
+    columns: true,
+    delimiter,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+  });
+
+  const headers = records.length > 0 ? Object.keys(records[0]) : firstLine.split(delimiter).map(h => h.trim());
+  return { headers, rows: records };
+}
+
+/**
+ * Parse an uploaded spreadsheet (multer file) into { headers, rows }.
+ * Only the first worksheet of an XLSX file is read.
+ * Unsupported or unreadable files return { error } with a user-facing message.
+ */
+export async function parseSpreadsheet(file) {
+  const format = detectSpreadsheetFormat(file);
+  if (!format) {
+    return { error: 'Nicht unterstütztes Dateiformat. Bitte CSV oder XLSX hochladen.' };
+  }
+
+  try {
+    return format === 'xlsx' ? await readXlsx(file.buffer) : readCsv(file.buffer);
+  } catch (error) {
+    return { error: `Die Datei konnte nicht als ${format.toUpperCase()} gelesen werden: ${error.message}` };
+  }
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function exportValue(value) {
+  if (typeof value !== 'string') return value;
+  return FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(exportValue(value));
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Respect backpressure so large exports are not buffered in memory; stop when the client disconnects
+function write(res, chunk) {
+  if (res.destroyed) throw new Error('Download abgebrochen');
+  if (res.write(chunk)) return;
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { res.off('close', onClose); resolve(); };
+    const onClose = () => { res.off('drain', onDrain); reject(new Error('Download abgebrochen')); };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * Stream rows as a CSV or XLSX download.
+ * `columns` is a list of { header, key, width? }; `rows` is an array or async iterable of plain
+ * objects. String cells that would start a formula are prefixed with "'".
+ * Returns the number of rows written.
+ */
+export async function sendSpreadsheet(res, { format, fileName, sheetName = 'Export', columns, rows }) {
+  let count = 0;
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', XLSX_MIME_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 20 }));
+    sheet.getRow(1).font = { bold: true };
+    for await (const row of rows) {
+      sheet.addRow(Object.fromEntries(columns.map(c => [c.key, exportValue(row[c.key])]))).commit();
+      count++;
+    }
+    await workbook.commit();
+    return count;
+  }
+
+  // UTF-8 BOM and ";" so Excel (de-CH) opens the file with umlauts and columns intact
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+  await write(res, '\uFEFF' + columns.map(c => csvEscape(c.header)).join(';') + '\r\n');
+  for await (const row of rows) {
+    await write(res, columns.map(c => csvEscape(row[c.key])).join(';') + '\r\n');
+    count++;
+  }
+  res.end();
+  return count;
+}